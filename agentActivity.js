@@ -0,0 +1,156 @@
+// agentActivity.js
+// Historical agent status: rows of the Agents Status & Activity report (see
+// agentStatus.js) turned into per-agent state timelines and per-agent daily
+// summaries (first login, last logout, time per state / pause reason, state
+// changes). Days are Asia/Dubai calendar days.
+
+import { fetchAgentStatus, normalizeAgentRow } from './agentStatus.js';
+import { localDate } from './timeUtils.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const TZ_OFFSET_SECONDS = 4 * 60 * 60;   // Asia/Dubai, no DST
+
+// States that mean the agent is not logged in
+export const LOGGED_OUT_STATES = new Set(['logout', 'logged_out', 'loggedout', 'logoff', 'offline']);
+
+export const ACTIVITY_VIEWS = ['daily', 'timeline'];
+
+// Longest range one report may cover; the whole history is held in memory
+export const MAX_ACTIVITY_DAYS = 31;
+
+// Table layouts per view (see the aggregated-table kinds in reportExport.js)
+export const AGENT_ACTIVITY_COLUMNS = {
+  daily: [
+    { header: 'Date', key: 'date' },
+    { header: 'Agent', key: 'agent' },
+    { header: 'Extension', key: 'extension' },
+    { header: 'First Login', key: 'firstLogin', kind: 'time' },
+    { header: 'Last Logout', key: 'lastLogout', kind: 'time' },
+    { header: 'State Changes', key: 'stateChanges', kind: 'count' },
+    { header: 'Logged In', key: 'loggedInSeconds', kind: 'duration' },
+    { header: 'Time per State', key: 'stateSeconds', kind: 'durations' }
+  ],
+  timeline: [
+    { header: 'Agent', key: 'agent' },
+    { header: 'Extension', key: 'extension' },
+    { header: 'State', key: 'state' },
+    { header: 'Reason', key: 'reason' },
+    { header: 'Start', key: 'start', kind: 'time' },
+    { header: 'End', key: 'end', kind: 'time' },
+    { header: 'Duration', key: 'seconds', kind: 'duration' }
+  ]
+};
+
+// Pause reasons are reported as their own bucket, e.g. "break (lunch)"
+const stateKey = e => (e.reason ? `${e.state} (${e.reason})` : e.state);
+
+/**
+ * Per-agent state timelines: each status row starts a state that lasts until
+ * the agent's next row, the end of the range or now, whichever is first.
+ * Consecutive rows with the same state and reason are merged.
+ *
+ * @param {object[]} rows – from fetchAgentStatus.
+ * @param {object} range  – { startDate, endDate } in epoch seconds.
+ * @returns {object[]} { agent, extension, state, reason, start, end, seconds },
+ *   ordered by agent then time.
+ */
+export function buildTimelines(rows, { startDate, endDate }) {
+  const byAgent = new Map();
+  for (const row of rows) {
+    const e = normalizeAgentRow(row);
+    if (e.since == null) continue;
+    const key = e.extension || e.name;
+    if (!byAgent.has(key)) byAgent.set(key, []);
+    byAgent.get(key).push(e);
+  }
+
+  const until = Math.min(endDate, Math.floor(Date.now() / 1000));
+  const entries = [];
+  for (const events of byAgent.values()) {
+    events.sort((a, b) => a.since - b.since);
+    let current = null;
+    events.forEach((e, i) => {
+      const start = Math.max(e.since, startDate);
+      const end = Math.min(events[i + 1]?.since ?? until, until);
+      if (end < start) return;
+      if (current && stateKey(current) === stateKey(e)) {
+        current.end = end;
+        current.seconds = end - current.start;
+        return;
+      }
+      current = { agent: e.name, extension: e.extension, state: e.state, reason: e.reason, start, end, seconds: end - start };
+      entries.push(current);
+    });
+  }
+  return entries.sort((a, b) => a.agent.localeCompare(b.agent) || a.start - b.start);
+}
+
+/**
+ * Per-agent, per-day summaries of timelines from buildTimelines(). States
+ * that run past midnight are split between the days.
+ *
+ * @param {object[]} timeline
+ * @returns {object[]} { date, agent, extension, firstLogin, lastLogout,
+ *   stateChanges, loggedInSeconds, stateSeconds: { state: seconds } }
+ */
+export function dailySummaries(timeline) {
+  const days = new Map();
+  const dayFor = (e, date) => {
+    const key = `${e.extension || e.agent}|${date}`;
+    if (!days.has(key)) {
+      days.set(key, {
+        date, agent: e.agent, extension: e.extension,
+        firstLogin: null, lastLogout: null, stateChanges: 0, loggedInSeconds: 0, stateSeconds: {}
+      });
+    }
+    return days.get(key);
+  };
+
+  for (const e of timeline) {
+    const loggedOut = LOGGED_OUT_STATES.has(e.state);
+    let from = e.start;
+    while (true) {
+      const midnight = Math.floor((from + TZ_OFFSET_SECONDS) / DAY_SECONDS) * DAY_SECONDS + DAY_SECONDS - TZ_OFFSET_SECONDS;
+      const to = Math.min(e.end, midnight);
+      const day = dayFor(e, localDate(from));
+      day.stateSeconds[stateKey(e)] = (day.stateSeconds[stateKey(e)] || 0) + (to - from);
+      if (loggedOut) {
+        if (from === e.start) day.lastLogout = e.start;
+      } else {
+        day.loggedInSeconds += to - from;
+        // A login carried over from the previous day counts from midnight,
+        // as one from before the range counts from the range start
+        if (day.firstLogin == null) day.firstLogin = from;
+      }
+      if (from === e.start) day.stateChanges += 1;
+      if (to >= e.end) break;
+      from = to;
+    }
+  }
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date) || a.agent.localeCompare(b.agent));
+}
+
+/**
+ * Fetch the agent status history for a range (every page) and aggregate it.
+ *
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {'daily'|'timeline'} [opts.view='daily']
+ * @param {string} [opts.name]      – only this agent (portal-side filter).
+ * @param {string} [opts.extension] – only this extension (portal-side filter).
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope;
+ *   status rows are offered as report type "agentStatus".
+ * @returns {Promise<object[]>}
+ */
+export async function agentActivityReport(tenant, params, { view = 'daily', name, extension, rowFilter } = {}) {
+  let rows = await fetchAgentStatus(tenant, {
+    startDate: params.startDate * 1000,
+    endDate: params.endDate * 1000,
+    name,
+    extension
+  });
+  if (rowFilter) rows = rows.filter(r => rowFilter('agentStatus', r));
+  const timeline = buildTimelines(rows, params);
+  return view === 'timeline' ? timeline : dailySummaries(timeline);
+}
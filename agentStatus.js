@@ -12,7 +12,8 @@
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { getPortalSession, httpsAgent } from './tokenService.js';
+import { pool } from './db.js';
 
 const MAX_RETRIES = 3;
 
@@ -37,6 +38,32 @@ function toCsv(records, delimiter = ',') {
   return [header, ...rows].join('\n');
 }
 
+// Epoch seconds from epoch s / ms / digit string / ISO string
+function toEpochSeconds(v) {
+  if (typeof v === 'number') return Math.floor(v > 10_000_000_000 ? v / 1000 : v);
+  if (typeof v !== 'string' || !v) return null;
+  if (/^\d+$/.test(v)) return Math.floor(v.length > 10 ? Number(v) / 1000 : Number(v));
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * Reduce a status row to { extension, name, state, reason, since }. Field
+ * names differ between portal versions, so each one has fallbacks.
+ * @param {object} r – row from fetchAgentStatus.
+ * @returns {object}
+ */
+export function normalizeAgentRow(r) {
+  const name = r.name ?? r.agent_name ?? (`${r.first_name ?? ''} ${r.last_name ?? ''}`.trim() || null);
+  return {
+    extension: String(r.extension ?? ''),
+    name: name || String(r.extension ?? ''),
+    state: String(r.status ?? r.state ?? r.agent_status ?? r.event ?? 'unknown').toLowerCase(),
+    reason: r.pause_reason ?? r.reason ?? r.status_reason ?? null,
+    since: toEpochSeconds(r.status_time ?? r.state_time ?? r.last_status_change ?? r.since ?? r.timestamp ?? r.datetime)
+  };
+}
+
 /**
  * Fetch the report, automatically traversing pages until completion.
  * @param {string} acct                         – tenant / account id.
@@ -52,7 +79,7 @@ export async function fetchAgentStatus(
   { startDate, endDate, name, extension } = {}
 ) {
   // Use env-configurable endpoint; fall back to the common REST path.
-  const url = `${process.env.BASE_URL}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
+  const endpoint = process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats';
   const records = [];
   let startKey;
 
@@ -67,21 +94,12 @@ export async function fetchAgentStatus(
           ...(startKey && { start_key: startKey })
         };
 
-        // Obtain JWT once and log the first 40 chars for debugging
-        const token = await getPortalToken(acct);
-        console.log('REQ', url, params, {
-          'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
-          'X-User-Agent': 'portal',
-          Authorization: `Bearer ${token ? token.slice(0,40) + '…' : 'undefined'}`
-        });
+        const { baseUrl, headers } = await getPortalSession(acct);
+        const url = `${baseUrl}${endpoint}`;
 
         const { data } = await axios.get(url, {
           params,
-          headers: {
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
-            'X-User-Agent': 'portal',
-            Authorization: `Bearer ${token}`
-          },
+          headers,
           httpsAgent
         });
 
@@ -147,8 +165,10 @@ async function cli() {
 
 // Execute when run directly
 if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
-  cli().catch(err => {
-    console.error(err.response?.data || err.stack || err.message);
-    process.exit(1);
-  });
+  cli()
+    .then(() => pool.end()) // release the tenant registry's DB connections
+    .catch(err => {
+      console.error(err.response?.data || err.stack || err.message);
+      process.exit(1);
+    });
 }
@@ -0,0 +1,516 @@
+// analytics.js
+// KPI aggregation over unified report rows (see unifiedReport.js) and over
+// raw report rows for the per-agent and queue service-level reports, plus
+// fixed-interval traffic buckets.
+// Everything here consumes rows page by page, so a summary never needs the
+// whole range in memory.
+
+import ms from 'ms';
+import { asArray, toEpoch } from './unifiedReport.js';
+import { reportRows, unifiedRows } from './reportExport.js';
+
+// Seconds from a duration cell: number, digit string or "H:MM:SS"
+export function toSeconds(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string') return null;
+  if (/^\d+(\.\d+)?$/.test(v)) return Number(v);
+  const hms = v.match(/^(\d+):(\d{2}):(\d{2})$/);
+  return hms ? Number(hms[1]) * 3600 + Number(hms[2]) * 60 + Number(hms[3]) : null;
+}
+
+// Top `n` entries of a Map<name,{calls,…}> by call count
+function top(map, n) {
+  return [...map.entries()]
+    .map(([name, stats]) => ({ name, ...stats }))
+    .sort((a, b) => b.calls - a.calls)
+    .slice(0, n);
+}
+
+const avg = (sum, n) => (n ? sum / n : 0);
+
+/**
+ * KPI summary of a range: volumes by type, abandon rate (inbound), average
+ * wait and talk time, busiest queues / campaigns and agents, and the most
+ * common agent dispositions.
+ *
+ * @param {AsyncIterable<object[]>} pages – unified rows, e.g. from unifiedRows().
+ * @param {object} [opts]
+ * @param {number} [opts.topN=5]
+ * @returns {Promise<object>}
+ */
+export async function summarizeCalls(pages, { topN = 5 } = {}) {
+  const volumes = { Inbound: 0, Outbound: 0, Campaign: 0, CDR: 0 };
+  const queues = new Map();   // name → { calls, abandoned }
+  const agents = new Map();   // name → { calls, talkSeconds }
+  const dispositions = new Map();   // name → { calls }
+  let total = 0;
+  let abandoned = 0;
+  let waitSum = 0;
+  let waitCount = 0;
+  let talkSum = 0;
+  let talkCount = 0;
+
+  for await (const rows of pages) {
+    for (const r of rows) {
+      total += 1;
+      const type = volumes[r.Type] !== undefined ? r.Type : 'CDR';
+      volumes[type] += 1;
+
+      const isAbandoned = type === 'Inbound' && r.Abandoned === 'YES';
+      if (isAbandoned) abandoned += 1;
+
+      const wait = toSeconds(r['Wait Duration']);
+      if (wait != null) { waitSum += wait; waitCount += 1; }
+      const talk = toSeconds(r['Talk Duration']);
+      if (talk != null && talk > 0) { talkSum += talk; talkCount += 1; }
+
+      const queue = r['Queue / Campaign Name'];
+      if (queue) {
+        const q = queues.get(queue) || { calls: 0, abandoned: 0 };
+        q.calls += 1;
+        if (isAbandoned) q.abandoned += 1;
+        queues.set(queue, q);
+      }
+
+      const agent = r['Agent name'];
+      if (agent) {
+        const a = agents.get(agent) || { calls: 0, talkSeconds: 0 };
+        a.calls += 1;
+        a.talkSeconds += talk || 0;
+        agents.set(agent, a);
+      }
+
+      const disposition = r['Agent Disposition'];
+      if (disposition) {
+        const d = dispositions.get(disposition) || { calls: 0 };
+        d.calls += 1;
+        dispositions.set(disposition, d);
+      }
+    }
+  }
+
+  return {
+    total,
+    volumes,
+    abandoned,
+    abandonRate: avg(abandoned, volumes.Inbound),
+    avgWaitSeconds: avg(waitSum, waitCount),
+    avgTalkSeconds: avg(talkSum, talkCount),
+    topQueues: top(queues, topN),
+    topAgents: top(agents, topN),
+    topDispositions: top(dispositions, topN)
+  };
+}
+
+// --- Per-agent KPIs --------------------------------------------------------
+
+// Report types that carry agent legs
+export const AGENT_REPORT_TYPES = ['queueCalls', 'queueOutboundCalls', 'campaignsActivity'];
+
+// Agent KPI table layout shared by the API exports: header, field and kind
+// (count | duration in seconds | ratio)
+export const AGENT_KPI_COLUMNS = [
+  { header: 'Agent', key: 'agent' },
+  { header: 'Offered', key: 'offered', kind: 'count' },
+  { header: 'Answered', key: 'answered', kind: 'count' },
+  { header: 'Missed', key: 'missed', kind: 'count' },
+  { header: 'Answer Rate', key: 'answerRate', kind: 'ratio' },
+  { header: 'Talk Time', key: 'talkSeconds', kind: 'duration' },
+  { header: 'Avg Talk Time', key: 'avgTalkSeconds', kind: 'duration' },
+  { header: 'Avg Handle Time', key: 'avgHandleSeconds', kind: 'duration' },
+  { header: 'Transfers', key: 'transfers', kind: 'count' },
+  { header: 'Dispositions', key: 'dispositions', kind: 'count' },
+  { header: 'Disposition Breakdown', key: 'dispositionCounts', kind: 'breakdown' }
+];
+
+const agentName = h => `${h.first_name ?? ''} ${h.last_name ?? ''}`.trim() || (h.ext ? String(h.ext) : '');
+// deriveAnsweredTime() fills unanswered rows with '--'
+const wasAnswered = r => Boolean(r.answered_time) && r.answered_time !== '--';
+const rowAgentName = r => `${r.agent_first_name ?? ''} ${r.agent_last_name ?? ''}`.trim() || r.agent_name || '';
+
+// Disposition cells are either a plain name or { name, … }
+function dispositionName(d) {
+  const name = d && typeof d === 'object' ? d.name : d;
+  return typeof name === 'string' ? name.trim() : '';
+}
+
+function isTransfer(row, legs) {
+  const t = row.agent_transfer;
+  if (Array.isArray(t) ? t.length : t && t !== '0' && t !== 'false') return true;
+  return legs.some(h => /transfer/i.test(`${h.event ?? ''} ${h.agent_action ?? ''}`));
+}
+
+// Agents a queue call was offered to (name → answered?), in leg order. Rows
+// without usable legs fall back to the row's own agent fields.
+function queueCallAgents(row, legs) {
+  const agents = new Map();
+  for (const h of legs) {
+    const name = agentName(h);
+    if (!name) continue;
+    const answered = Boolean(h.connected || h.answered_time || h.event === 'answer');
+    agents.set(name, agents.get(name) || answered);
+  }
+  const fallback = rowAgentName(row);
+  if (!agents.size && fallback) agents.set(fallback, wasAnswered(row));
+  return agents;
+}
+
+/**
+ * Per-agent KPIs over raw queue and campaign rows.
+ *
+ * For queue calls every agent in `agent_history` counts one offer per call;
+ * the first agent who connected is credited with the answer, its talk time
+ * (`agent_talk_time`, else `talked_duration`), handle time (`talked_duration`,
+ * i.e. answer to hangup including hold and transfer), transfer and
+ * disposition. Campaign calls count for `agent_name` and are answered when
+ * the agent talked.
+ *
+ * @param {object} sources – { reportType: AsyncIterable<object[]> } for
+ *   queueCalls, queueOutboundCalls and/or campaignsActivity.
+ * @returns {Promise<object[]>} one entry per agent, busiest first.
+ */
+export async function summarizeAgents(sources) {
+  const agents = new Map();
+  const stats = name => {
+    if (!agents.has(name)) {
+      agents.set(name, { agent: name, offered: 0, answered: 0, talkSeconds: 0, handleSeconds: 0, transfers: 0, dispositions: 0, dispositionCounts: {} });
+    }
+    return agents.get(name);
+  };
+  const credit = (a, row, legs, talk, handle) => {
+    a.answered += 1;
+    a.talkSeconds += talk || 0;
+    a.handleSeconds += handle || talk || 0;
+    if (isTransfer(row, legs)) a.transfers += 1;
+    const disposition = dispositionName(row.agent_disposition) || dispositionName(row.disposition);
+    if (disposition) {
+      a.dispositions += 1;
+      a.dispositionCounts[disposition] = (a.dispositionCounts[disposition] || 0) + 1;
+    }
+  };
+
+  for (const [type, pages] of Object.entries(sources)) {
+    for await (const rows of pages) {
+      for (const r of rows) {
+        if (type === 'campaignsActivity') {
+          if (!r.agent_name) continue;
+          const a = stats(r.agent_name);
+          a.offered += 1;
+          const talk = toSeconds(r.agent_talk_time);
+          if (talk > 0 || wasAnswered(r)) credit(a, r, [], talk, talk);
+          continue;
+        }
+
+        const legs = asArray(r.agent_history);
+        const offered = queueCallAgents(r, legs);
+        let handler = null;
+        for (const [name, answered] of offered) {
+          stats(name).offered += 1;
+          if (answered && !handler) handler = name;
+        }
+        if (handler) {
+          const handle = toSeconds(r.talked_duration);
+          credit(stats(handler), r, legs, toSeconds(r.agent_talk_time) ?? handle, handle);
+        }
+      }
+    }
+  }
+
+  return [...agents.values()]
+    .map(a => ({
+      ...a,
+      missed: a.offered - a.answered,
+      answerRate: avg(a.answered, a.offered),
+      avgTalkSeconds: avg(a.talkSeconds, a.answered),
+      avgHandleSeconds: avg(a.handleSeconds, a.answered)
+    }))
+    .sort((x, y) => y.answered - x.answered || y.offered - x.offered || x.agent.localeCompare(y.agent));
+}
+
+/**
+ * Fetch the agent-facing report types for a range and summarise them.
+ *
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @returns {Promise<object[]>}
+ */
+export function agentKpiReport(tenant, params, { rowFilter } = {}) {
+  return summarizeAgents(Object.fromEntries(
+    AGENT_REPORT_TYPES.map(type => [type, reportRows(type, tenant, params, { rowFilter })])
+  ));
+}
+
+// --- Queue service level ---------------------------------------------------
+
+export const QUEUE_SLA_COLUMNS = [
+  { header: 'Queue', key: 'queue' },
+  { header: 'Offered', key: 'offered', kind: 'count' },
+  { header: 'Answered', key: 'answered', kind: 'count' },
+  { header: 'Abandoned', key: 'abandoned', kind: 'count' },
+  { header: 'Abandon Rate', key: 'abandonRate', kind: 'ratio' },
+  { header: 'SLA Threshold', key: 'slaSeconds', kind: 'duration' },
+  { header: 'Service Level', key: 'serviceLevel', kind: 'ratio' },
+  { header: 'SLA Target', key: 'slaTarget', kind: 'ratio' },
+  { header: 'Meets Target', key: 'meetsTarget', kind: 'flag' },
+  { header: 'Avg Speed of Answer', key: 'asaSeconds', kind: 'duration' },
+  { header: 'Longest Wait', key: 'longestWaitSeconds', kind: 'duration' }
+];
+
+const DEFAULT_SLA = { threshold: '20s', target: 0.8 };
+const warnedSla = new Set();   // invalid QUEUE_SLA values already reported
+
+// Warn once per invalid value and fall back to the default
+function slaFallback(field, key, value) {
+  const note = `${key}.${field}=${JSON.stringify(value)}`;
+  if (!warnedSla.has(note)) {
+    warnedSla.add(note);
+    console.warn(`QUEUE_SLA ${note} is invalid; using the default ${field} ${DEFAULT_SLA[field]}`);
+  }
+  return DEFAULT_SLA[field];
+}
+
+/**
+ * SLA policy lookup from QUEUE_SLA (JSON), keyed by queue name or by
+ * "<tenant>/<queue>" for a single tenant, e.g.
+ *   QUEUE_SLA={"default":{"threshold":"20s","target":0.8},"Sales":{"threshold":"30s"},"shams/VIP":{"target":0.9}}
+ * Unset fields fall back to the queue entry, then to default (80% in 20s).
+ * Invalid thresholds (not a number of seconds or an ms() string) and targets
+ * (not a share between 0 and 1) are logged and replaced by the default.
+ *
+ * @returns {(tenant: string, queue: string) => {seconds: number, target: number}}
+ */
+export function loadSlaPolicy() {
+  let overrides = {};
+  if (process.env.QUEUE_SLA) {
+    try {
+      overrides = JSON.parse(process.env.QUEUE_SLA);
+    } catch {
+      console.warn('QUEUE_SLA is not valid JSON; using the default SLA');
+    }
+  }
+  const base = { ...DEFAULT_SLA, ...overrides.default };
+  return (tenant, queue) => {
+    const key = `${tenant}/${queue}`;
+    const policy = { ...base, ...overrides[queue], ...overrides[key] };
+    // Bare numbers are seconds
+    const toSla = t => (typeof t === 'number' ? t : ms(String(t)) / 1000);
+    let seconds = toSla(policy.threshold);
+    if (!Number.isFinite(seconds) || seconds < 0) seconds = toSla(slaFallback('threshold', key, policy.threshold));
+    let target = typeof policy.target === 'number' || typeof policy.target === 'string' ? Number(policy.target) : NaN;
+    if (!Number.isFinite(target) || target <= 0 || target > 1) target = slaFallback('target', key, policy.target);
+    return { seconds, target };
+  };
+}
+
+/**
+ * Per-queue service level over inbound queue rows as returned by fetchReport
+ * (wait_duration and abandoned already derived there).
+ *
+ * Service level is the share of offered calls answered within the queue's
+ * threshold; average speed of answer is the mean wait of answered calls.
+ * Answered calls without a wait time count as offered but never as within
+ * the threshold, and are left out of the average.
+ *
+ * @param {AsyncIterable<object[]>} pages – queueCalls rows, e.g. from reportRows().
+ * @param {object} opts
+ * @param {string} opts.tenant
+ * @param {Function} [opts.slaFor] – (tenant, queue) → { seconds, target }.
+ * @returns {Promise<object[]>} one entry per queue, busiest first.
+ */
+export async function summarizeQueues(pages, { tenant, slaFor = loadSlaPolicy() }) {
+  const queues = new Map();
+  for await (const rows of pages) {
+    for (const r of rows) {
+      const name = r.queue_name || '(no queue)';
+      if (!queues.has(name)) {
+        const sla = slaFor(tenant, name);
+        queues.set(name, {
+          queue: name, offered: 0, answered: 0, abandoned: 0, withinSla: 0, waitSum: 0, waited: 0, longestWaitSeconds: 0, sla
+        });
+      }
+      const q = queues.get(name);
+      const wait = toSeconds(r.wait_duration);
+      q.offered += 1;
+      if (wait != null) q.longestWaitSeconds = Math.max(q.longestWaitSeconds, wait);
+      if (r.abandoned === 'YES') {
+        q.abandoned += 1;
+      } else {
+        q.answered += 1;
+        if (wait != null) {
+          q.waitSum += wait;
+          q.waited += 1;
+          if (wait <= q.sla.seconds) q.withinSla += 1;
+        }
+      }
+    }
+  }
+
+  return [...queues.values()]
+    .map(({ sla, waitSum, waited, withinSla, ...q }) => {
+      const serviceLevel = avg(withinSla, q.offered);
+      return {
+        ...q,
+        abandonRate: avg(q.abandoned, q.offered),
+        slaSeconds: sla.seconds,
+        slaTarget: sla.target,
+        serviceLevel,
+        meetsTarget: serviceLevel >= sla.target,
+        asaSeconds: avg(waitSum, waited)
+      };
+    })
+    .sort((x, y) => y.offered - x.offered || x.queue.localeCompare(y.queue));
+}
+
+/**
+ * Fetch inbound queue calls for a range and compute per-queue service level.
+ *
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @returns {Promise<object[]>}
+ */
+export function queueSlaReport(tenant, params, { rowFilter } = {}) {
+  return summarizeQueues(reportRows('queueCalls', tenant, params, { rowFilter }), { tenant });
+}
+
+// --- Interval traffic ------------------------------------------------------
+
+export const INTERVAL_MINUTES = [15, 30, 60];
+
+// More buckets than this is a mistake (e.g. a year in 15-minute steps)
+export const MAX_INTERVALS = 10_000;
+
+export const INTERVAL_COLUMNS = [
+  { header: 'Interval Start', key: 'start', kind: 'time' },
+  { header: 'Calls', key: 'calls', kind: 'count' },
+  { header: 'Inbound', key: 'inbound', kind: 'count' },
+  { header: 'Outbound', key: 'outbound', kind: 'count' },
+  { header: 'Campaign', key: 'campaign', kind: 'count' },
+  { header: 'CDR', key: 'cdr', kind: 'count' },
+  { header: 'Answered', key: 'answered', kind: 'count' },
+  { header: 'Abandoned', key: 'abandoned', kind: 'count' },
+  { header: 'Avg Wait', key: 'avgWaitSeconds', kind: 'duration' },
+  { header: 'Avg Talk', key: 'avgTalkSeconds', kind: 'duration' }
+];
+
+// Answered: inbound by the abandon rule, everything else by talk or answer time
+function unifiedAnswered(r, talk) {
+  if (r.Type === 'Inbound') return r.Abandoned === 'NO';
+  const answeredAt = r['Answered time'];
+  return talk > 0 || Boolean(answeredAt && answeredAt !== '--');
+}
+
+/**
+ * Bucket unified rows by Called Time into fixed intervals covering the whole
+ * range, empty intervals included. Asia/Dubai is a whole number of hours
+ * from UTC, so buckets aligned in UTC are aligned on the Dubai clock too.
+ *
+ * @param {AsyncIterable<object[]>} pages – unified rows, e.g. from unifiedRows().
+ * @param {object} opts
+ * @param {number} opts.startDate – epoch seconds.
+ * @param {number} opts.endDate   – epoch seconds.
+ * @param {number} opts.minutes   – one of INTERVAL_MINUTES.
+ * @returns {Promise<object[]>} one entry per interval, in time order.
+ */
+export async function summarizeIntervals(pages, { startDate, endDate, minutes }) {
+  const size = minutes * 60;
+  const first = Math.floor(startDate / size) * size;
+  const count = Math.max(1, Math.ceil((endDate - first) / size));
+  if (count > MAX_INTERVALS) throw new Error('Range too long for this interval');
+
+  const buckets = Array.from({ length: count }, (_, i) => ({
+    start: first + i * size,
+    calls: 0, inbound: 0, outbound: 0, campaign: 0, cdr: 0,
+    answered: 0, abandoned: 0, waitSum: 0, waitCount: 0, talkSum: 0, talkCount: 0
+  }));
+  const typeKey = { Inbound: 'inbound', Outbound: 'outbound', Campaign: 'campaign' };
+
+  for await (const rows of pages) {
+    for (const r of rows) {
+      const idx = Math.floor((toEpoch(r) / 1000 - first) / size);
+      const b = buckets[idx];
+      if (!b) continue;
+      b.calls += 1;
+      b[typeKey[r.Type] || 'cdr'] += 1;
+
+      const wait = toSeconds(r['Wait Duration']);
+      if (wait != null) { b.waitSum += wait; b.waitCount += 1; }
+      const talk = toSeconds(r['Talk Duration']);
+      if (talk != null && talk > 0) { b.talkSum += talk; b.talkCount += 1; }
+
+      if (r.Type === 'Inbound' && r.Abandoned === 'YES') b.abandoned += 1;
+      else if (unifiedAnswered(r, talk)) b.answered += 1;
+    }
+  }
+
+  return buckets.map(({ waitSum, waitCount, talkSum, talkCount, ...b }) => ({
+    ...b,
+    avgWaitSeconds: avg(waitSum, waitCount),
+    avgTalkSeconds: avg(talkSum, talkCount)
+  }));
+}
+
+/**
+ * Fetch every call type for a range and bucket it into intervals.
+ *
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @param {number} [opts.minutes=30]  – one of INTERVAL_MINUTES.
+ * @returns {Promise<object[]>}
+ */
+export function intervalReport(tenant, params, { rowFilter, minutes = 30 } = {}) {
+  return summarizeIntervals(unifiedRows(tenant, params, { rowFilter }), { ...params, minutes });
+}
+
+// --- Dashboard -------------------------------------------------------------
+
+// Split one page stream into `n` streams that each see every page, so several
+// summaries can share a single pass over the range. Pages are buffered only
+// until the slowest consumer has taken them.
+function tee(pages, n) {
+  const source = pages[Symbol.asyncIterator]();
+  const buffers = Array.from({ length: n }, () => []);
+  let pending = null;
+  const pull = () => {
+    pending ??= source.next().then(result => {
+      pending = null;
+      buffers.forEach(b => b.push(result));
+    });
+    return pending;
+  };
+  return buffers.map(buffer => ({
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        while (!buffer.length) await pull();
+        const { value, done } = buffer.shift();
+        if (done) return;
+        yield value;
+      }
+    }
+  }));
+}
+
+/**
+ * Everything the dashboard charts need in one pass over the unified rows:
+ * the range summary (volumes, top queues / agents / dispositions) and hourly
+ * buckets for the volume and abandon-rate trend.
+ *
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @returns {Promise<{summary: object, hourly: object[]}>}
+ */
+export async function dashboardReport(tenant, params, { rowFilter } = {}) {
+  const [forSummary, forHours] = tee(unifiedRows(tenant, params, { rowFilter }), 2);
+  const [summary, hourly] = await Promise.all([
+    summarizeCalls(forSummary, { topN: 10 }),
+    summarizeIntervals(forHours, { ...params, minutes: 60 })
+  ]);
+  return { summary, hourly };
+}
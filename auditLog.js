@@ -0,0 +1,180 @@
+// auditLog.js
+// General activity log (table `audit_log`): logins, failed logins and
+// logouts, every report query with its parameters and row count, and every
+// export. Recording playback has its own, finer trail in recordingAudit.js.
+//
+// Retention is set by an admin (stored in `app_settings`); the default comes
+// from AUDIT_LOG_RETENTION_DAYS, unset keeps everything. Expired rows are
+// purged at startup and every AUDIT_LOG_PURGE_INTERVAL (default 6h).
+
+import ms from 'ms';
+import { pool } from './db.js';
+
+export const AUDIT_EVENTS = ['login', 'login_failed', 'logout', 'report', 'export', 'settings', 'session_revoked'];
+
+const RETENTION_SETTING = 'audit_log_retention_days';
+const DELETE_BATCH = 5000;
+
+/**
+ * Audit event of an API request path: exports (…/export, …/pdf, recording
+ * ZIPs) and report queries, with the report's name (e.g. "queueCalls",
+ * "summary", "recordings/zip"); null for everything else.
+ *
+ * @returns {{event: string, report: string}|null}
+ */
+export function requestActivity(path) {
+  let event = null;
+  if (/\/(export|pdf)$/.test(path) || path === '/api/recordings/zip') event = 'export';
+  else if (path.startsWith('/api/reports/')) event = 'report';
+  if (!event) return null;
+  return { event, report: path.replace(/^\/api\/(reports\/)?/, '').replace(/\/(export|pdf)$/, '') };
+}
+
+/**
+ * Middleware logging report queries and exports once the response is over,
+ * with the rows the handler returned (res.json's `data`) or exported
+ * (res.locals.rowCount, see streamExport in server.js).
+ *
+ * @param {Function} write – (req, entry) → void, e.g. a logActivity() wrapper.
+ * @returns {Function} Express middleware for the /api mount.
+ */
+export function auditRequests(write) {
+  return (req, res, next) => {
+    const path = req.baseUrl + req.path;
+    const activity = requestActivity(path);
+    if (!activity) return next();
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (Array.isArray(body?.data)) res.locals.rowCount = body.data.length;
+      return json(body);
+    };
+    res.once('close', () => {
+      const { account, ...params } = req.query;
+      if (Array.isArray(req.body?.ids)) params.ids = req.body.ids.length;
+      write(req, { ...activity, tenant: account, path, params, rowCount: res.locals.rowCount, status: res.statusCode });
+    });
+    next();
+  };
+}
+
+/**
+ * Write one audit_log row.
+ *
+ * @param {object} entry
+ * @param {string} entry.event        – one of AUDIT_EVENTS.
+ * @param {object} [entry.user]       – session claims or user row ({ id, username }).
+ * @param {string} [entry.username]   – when there is no user, e.g. a failed login.
+ * @param {string} [entry.ip]
+ * @param {string} [entry.tenant]
+ * @param {string} [entry.path]       – request path.
+ * @param {string} [entry.report]     – report / export name.
+ * @param {object} [entry.params]     – query parameters.
+ * @param {number} [entry.rowCount]
+ * @param {number} [entry.status]     – HTTP status of the response.
+ * @param {string} [entry.detail]     – e.g. why a login failed.
+ * @returns {Promise<void>}
+ */
+export async function logActivity({ event, user, username, ip, tenant, path, report, params, rowCount, status, detail }) {
+  await pool.query(
+    `INSERT INTO audit_log (event, user_id, username, ip, tenant, path, report, params, row_count, status, detail)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [event, user?.id ?? null, String(user?.username ?? username ?? '').slice(0, 50), ip ?? null, tenant ?? null,
+      path ?? null, report ?? null, params ? JSON.stringify(params) : null, rowCount ?? null, status ?? null,
+      detail ? String(detail).slice(0, 255) : null]
+  );
+}
+
+// WHERE clause for the viewer's filters; text filters match substrings
+function logWhere({ event, user, tenant, ip, report, startDate, endDate } = {}) {
+  const clauses = [];
+  const args = [];
+  if (event) { clauses.push('event = ?'); args.push(event); }
+  if (tenant) { clauses.push('tenant = ?'); args.push(tenant); }
+  if (user) { clauses.push('username LIKE ?'); args.push(`%${user}%`); }
+  if (ip) { clauses.push('ip LIKE ?'); args.push(`${ip}%`); }
+  if (report) { clauses.push('report LIKE ?'); args.push(`%${report}%`); }
+  if (startDate) { clauses.push('at >= FROM_UNIXTIME(?)'); args.push(startDate); }
+  if (endDate) { clauses.push('at < FROM_UNIXTIME(?)'); args.push(endDate); }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', args };
+}
+
+/**
+ * One page of the activity log, newest first.
+ *
+ * @param {object} [filters] – { event, user, tenant, ip, report, startDate, endDate }
+ *   (dates in epoch seconds).
+ * @param {object} [opts]
+ * @param {number} [opts.limit=100]
+ * @param {number} [opts.offset=0]
+ * @returns {Promise<{data: object[], total: number}>}
+ */
+export async function searchAuditLog(filters, { limit = 100, offset = 0 } = {}) {
+  const { where, args } = logWhere(filters);
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, args);
+  const [rows] = await pool.query(
+    `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...args, limit, offset]
+  );
+  const data = rows.map(r => ({ ...r, params: typeof r.params === 'string' ? JSON.parse(r.params) : r.params }));
+  return { data, total };
+}
+
+/**
+ * Days audit_log rows are kept: the admin's setting, else
+ * AUDIT_LOG_RETENTION_DAYS; null keeps them forever.
+ */
+export async function getAuditRetention() {
+  const [rows] = await pool.query('SELECT value FROM app_settings WHERE name = ?', [RETENTION_SETTING]);
+  const value = rows.length ? rows[0].value : process.env.AUDIT_LOG_RETENTION_DAYS;
+  const days = Number(value);
+  return value != null && value !== '' && days > 0 ? days : null;
+}
+
+/**
+ * Set the retention in days (null keeps rows forever).
+ *
+ * @param {number|null} days
+ * @param {object} [user] – admin making the change.
+ */
+export async function setAuditRetention(days, user) {
+  await pool.query(
+    `INSERT INTO app_settings (name, value, updated_by) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE value = VALUES(value), updated_by = VALUES(updated_by)`,
+    [RETENTION_SETTING, days == null ? '' : String(days), user?.username ?? null]
+  );
+}
+
+/**
+ * Delete rows older than the retention period.
+ * @returns {Promise<number>} rows removed
+ */
+export async function purgeAuditLog() {
+  const days = await getAuditRetention();
+  if (!days) return 0;
+  let removed = 0;
+  while (true) {
+    const [result] = await pool.query(
+      'DELETE FROM audit_log WHERE at < NOW() - INTERVAL ? DAY ORDER BY id LIMIT ?',
+      [days, DELETE_BATCH]
+    );
+    removed += result.affectedRows;
+    if (result.affectedRows < DELETE_BATCH) return removed;
+  }
+}
+
+/**
+ * Purge expired rows now and every AUDIT_LOG_PURGE_INTERVAL.
+ */
+export function startAuditLogPurge() {
+  const interval = ms(process.env.AUDIT_LOG_PURGE_INTERVAL || '6h');
+  const tick = async () => {
+    try {
+      const removed = await purgeAuditLog();
+      if (removed) console.log(`Audit log: ${removed} rows past retention removed`);
+    } catch (err) {
+      console.error('Audit log purge failed:', err.message);
+    }
+  };
+  tick();
+  setInterval(tick, interval).unref();
+}
@@ -0,0 +1,196 @@
+// callDetail.js
+// Everything known about one customer call. The same call shows up as
+// separate rows in the queue, outbound, campaign and CDR reports; rows are
+// linked when they share any of call_id / bleg_call_id / a_leg /
+// interaction_id (transitively, so a transfer's second leg is found through
+// the first). The linked rows are turned into one chronological timeline:
+// queue entry, ring attempts, answer, transfers, dispositions and hangup.
+
+import { reportRows } from './reportExport.js';
+import { asArray, normalizeRow, SOURCES } from './unifiedReport.js';
+
+// Fields that carry a call leg identifier
+export const LINK_FIELDS = ['call_id', 'callid', 'bleg_call_id', 'a_leg', 'interaction_id'];
+
+// Search window around the call's start when no explicit range is given:
+// the queue / CDR legs start a little before the row the user clicked, and
+// transfers and callbacks can follow well after it
+export const WINDOW_BEFORE_SECONDS = 60 * 60;
+export const WINDOW_AFTER_SECONDS = 4 * 60 * 60;
+
+// Report type → unified source key / label
+const SOURCE_KEYS = Object.fromEntries(Object.entries(SOURCES).map(([key, type]) => [type, key]));
+const SOURCE_LABELS = { queueCalls: 'Inbound', queueOutboundCalls: 'Outbound', campaignsActivity: 'Campaign', cdrs: 'CDR' };
+
+// Epoch seconds from epoch s / ms / digit string / ISO string
+function epochSeconds(v) {
+  if (typeof v === 'number') return Math.floor(v > 10_000_000_000 ? v / 1000 : v);
+  if (typeof v !== 'string' || !v || v === '--') return null;
+  if (/^\d+$/.test(v)) return Math.floor(v.length > 10 ? Number(v) / 1000 : Number(v));
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+const linkIds = row => LINK_FIELDS.map(f => row[f]).filter(v => v != null && v !== '').map(String);
+const personName = p => `${p?.first_name ?? ''} ${p?.last_name ?? ''}`.trim();
+const recordingOf = row => row.media_recording_id || row.recording_filename || null;
+
+function dispositionText(row) {
+  const name = d => (d && typeof d === 'object' ? d.name : d) || '';
+  let sub = row.agent_subdisposition;
+  if (Array.isArray(sub)) sub = sub[0];
+  return [name(row.agent_disposition), name(sub), name(sub?.subdisposition)].filter(Boolean).join(' / ');
+}
+
+/**
+ * Timeline events of one raw row.
+ *
+ * @param {string} type – report type the row came from.
+ * @param {object} row  – raw row (after deriveAnsweredTime).
+ * @returns {object[]} { ts, event, source, callId, text }
+ */
+export function rowEvents(type, row) {
+  const source = SOURCE_LABELS[type];
+  const callId = row.call_id ?? row.callid ?? '';
+  const events = [];
+  const add = (ts, event, text) => {
+    const sec = epochSeconds(ts);
+    if (sec != null) events.push({ ts: sec, event, source, callId, text });
+  };
+
+  if (type === 'cdrs') {
+    const from = row.caller_id_number ?? '';
+    const to = row.callee_id_number ?? row.to ?? '';
+    const start = row.timestamp ?? row.datetime;
+    add(start, 'leg', `Call leg ${[from, to].filter(Boolean).join(' → ')}`.trim());
+    add(row.answered_time, 'answer', 'Leg answered');
+    const seconds = Number(row.duration_seconds);
+    const startSec = epochSeconds(start);
+    const end = row.hangup_time || (startSec != null && seconds > 0 ? startSec + seconds : null);
+    add(end, 'hangup', `Leg ended${row.hangup_cause ? ` (${row.hangup_cause})` : ''}`);
+    return events;
+  }
+
+  if (type === 'campaignsActivity') {
+    add(row.timestamp ?? row.datetime, 'dial', `Campaign ${row.campaign_name ?? ''} dialled ${row.lead_name || row.lead_number || 'lead'}`.trim());
+    for (const h of asArray(row.lead_history)) {
+      const agent = personName(h.agent);
+      const what = h.type || h.event || 'attempt';
+      add(h.last_attempt, 'attempt', `${what}${agent ? ` – ${agent}` : ''}${h.hangup_cause ? ` (${h.hangup_cause})` : ''}`);
+    }
+    const disposition = dispositionText(row);
+    if (disposition) add(row.timestamp ?? row.datetime, 'disposition', `Disposition: ${disposition}`);
+    return events;
+  }
+
+  // Inbound / outbound queue calls
+  const queues = asArray(row.queue_history);
+  if (type === 'queueCalls') {
+    add(row.called_time, 'queue', `Entered queue ${queues[0]?.queue_name ?? row.queue_name ?? ''}`.trim());
+  } else {
+    add(row.called_time, 'dial', `Outbound call${row.to ? ` to ${row.to}` : ''} via queue ${row.queue_name ?? ''}`.trim());
+  }
+  queues.slice(1).forEach(q => add(q.ts, 'transfer', `Transferred to queue ${q.queue_name ?? ''}`.trim()));
+
+  let answered = false;
+  for (const h of asArray(row.agent_history)) {
+    const agent = personName(h) || h.ext || 'agent';
+    const ext = h.ext ? ` (${h.ext})` : '';
+    const detail = `${h.event ?? ''} ${h.agent_action ?? ''}`;
+    if (/transfer/i.test(detail)) {
+      add(h.last_attempt, 'transfer', `Transferred by ${agent}${ext}`);
+    } else if (h.connected || h.event === 'answer') {
+      answered = true;
+      add(h.last_attempt, 'answer', `Answered by ${agent}${ext}`);
+    } else {
+      add(h.last_attempt, 'ring', `Rang ${agent}${ext}${h.event ? ` – ${h.event}` : ''}`);
+    }
+  }
+  if (!answered) add(row.answered_time, 'answer', 'Answered');
+
+  const transfer = row.agent_transfer;
+  if (Array.isArray(transfer) ? transfer.length : transfer && transfer !== '0' && transfer !== 'false') {
+    const to = Array.isArray(transfer) ? transfer.join(', ') : transfer === true || transfer === '1' ? '' : transfer;
+    add(row.hangup_time ?? row.called_time, 'transfer', `Agent transfer${to ? ` to ${to}` : ''}`);
+  }
+  const disposition = dispositionText(row);
+  if (disposition) add(row.hangup_time ?? row.called_time, 'disposition', `Disposition: ${disposition}`);
+  const hungUpBy = row.agent_hangup === true || row.agent_hangup === '1' ? ' by agent' : '';
+  add(row.hangup_time, 'hangup', `Hung up${hungUpBy}`);
+  return events;
+}
+
+// Order of simultaneous events
+const EVENT_ORDER = ['leg', 'dial', 'queue', 'ring', 'attempt', 'answer', 'transfer', 'disposition', 'hangup'];
+
+/**
+ * Rows that belong to `callId`: those carrying it as a leg id, then those
+ * sharing any leg id with a row already linked, until nothing new is found.
+ *
+ * @param {{type: string, row: object}[]} rows
+ * @param {string} callId
+ * @returns {{type: string, row: object}[]} linked rows in input order
+ */
+export function linkRows(rows, callId) {
+  const candidates = rows.map(r => ({ ...r, ids: linkIds(r.row) })).filter(c => c.ids.length);
+  const ids = new Set([String(callId)]);
+  const matched = new Set();
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const c of candidates) {
+      if (matched.has(c) || !c.ids.some(id => ids.has(id))) continue;
+      matched.add(c);
+      c.ids.forEach(id => ids.add(id));
+      grew = true;
+    }
+  }
+  return candidates.filter(c => matched.has(c)).map(({ type, row }) => ({ type, row }));
+}
+
+/**
+ * Collect every row of the range that belongs to `callId` and build its
+ * timeline.
+ *
+ * @param {string} tenant
+ * @param {string} callId
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @returns {Promise<{callId: string, records: object[], timeline: object[], recordings: object[]}|null>}
+ *   null when no row matches.
+ */
+export async function callDetail(tenant, callId, params, { rowFilter } = {}) {
+  // Keep only rows with a leg id; linking needs the whole window since a leg
+  // can point at an id that is only seen later
+  const candidates = [];
+  await Promise.all(Object.values(SOURCES).map(async type => {
+    for await (const page of reportRows(type, tenant, params, { rowFilter })) {
+      for (const row of page) {
+        if (linkIds(row).length) candidates.push({ type, row });
+      }
+    }
+  }));
+
+  const linked = linkRows(candidates, callId);
+  if (!linked.length) return null;
+
+  const timeline = linked
+    .flatMap(({ type, row }) => rowEvents(type, row))
+    .sort((a, b) => a.ts - b.ts || EVENT_ORDER.indexOf(a.event) - EVENT_ORDER.indexOf(b.event));
+
+  const recordings = [];
+  const seen = new Set();
+  for (const { type, row } of linked) {
+    const id = recordingOf(row);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    recordings.push({ id, source: SOURCE_LABELS[type], callId: row.call_id ?? row.callid ?? '' });
+  }
+
+  const records = linked
+    .map(({ type, row }) => normalizeRow(row, SOURCE_KEYS[type]))
+    .sort((a, b) => (epochSeconds(a['Called Time']) ?? 0) - (epochSeconds(b['Called Time']) ?? 0));
+
+  return { callId: String(callId), records, timeline, recordings };
+}
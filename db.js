@@ -0,0 +1,14 @@
+// db.js
+// Shared MySQL connection pool used by the web server and helper scripts.
+
+import mysql from 'mysql2/promise';
+
+export const pool = mysql.createPool({
+  host: 'localhost',
+  user: 'root',
+  password: 'Ayan@1012',
+  database: 'shams',
+  port: 3306,
+  waitForConnections: true,
+  connectionLimit: 5,
+});
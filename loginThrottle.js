@@ -0,0 +1,73 @@
+// loginThrottle.js
+// Brute-force protection for /api/login. Failed attempts are counted per
+// username and per client address over LOGIN_WINDOW (default 15m). After
+// LOGIN_MAX_USER_FAILURES (default 5) for one username, or
+// LOGIN_MAX_IP_FAILURES (default 20) from one address, every attempt is
+// refused for LOGIN_LOCKOUT (default 15m), even with the right password.
+// A successful login clears the username's count. Counters live in memory,
+// so a restart lifts all lockouts.
+
+import ms from 'ms';
+
+const MAX_TRACKED = 10000;
+const counters = new Map();   // Map<`user|${name}`|`ip|${addr}`,{failures:number[],lockedUntil:number}>
+
+function settings() {
+  return {
+    window: ms(process.env.LOGIN_WINDOW || '15m'),
+    lockout: ms(process.env.LOGIN_LOCKOUT || '15m'),
+    maxUser: Number(process.env.LOGIN_MAX_USER_FAILURES) || 5,
+    maxIp: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20
+  };
+}
+
+// Usernames are matched case-insensitively, like the users table
+const keys = ({ username, ip }) => [
+  { key: `user|${String(username ?? '').trim().toLowerCase()}`, limit: 'maxUser' },
+  { key: `ip|${ip}`, limit: 'maxIp' }
+];
+
+function prune(now, window) {
+  if (counters.size <= MAX_TRACKED) return;
+  for (const [key, c] of counters) {
+    if (c.lockedUntil <= now && (c.failures.at(-1) ?? 0) <= now - window) counters.delete(key);
+  }
+  while (counters.size > MAX_TRACKED) counters.delete(counters.keys().next().value);
+}
+
+/**
+ * Seconds until the username / address may try again; 0 when not locked.
+ */
+export function loginLockout({ username, ip }) {
+  const now = Date.now();
+  const until = Math.max(0, ...keys({ username, ip }).map(({ key }) => counters.get(key)?.lockedUntil ?? 0));
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/**
+ * Count a failed attempt against the username and the address.
+ *
+ * @returns {number} seconds of lockout now in force (0 when not locked)
+ */
+export function recordLoginFailure({ username, ip }) {
+  const now = Date.now();
+  const config = settings();
+  for (const { key, limit } of keys({ username, ip })) {
+    const c = counters.get(key) || { failures: [], lockedUntil: 0 };
+    c.failures = c.failures.filter(t => t > now - config.window);
+    c.failures.push(now);
+    if (c.failures.length >= config[limit]) {
+      c.lockedUntil = now + config.lockout;
+      c.failures = [];
+    }
+    counters.delete(key);   // re-insert to keep recently active keys
+    counters.set(key, c);
+  }
+  prune(now, config.window);
+  return loginLockout({ username, ip });
+}
+
+/** Forget the username's failed attempts after a successful login. */
+export function clearLoginFailures(username) {
+  counters.delete(keys({ username })[0].key);
+}
@@ -1,47 +1,38 @@
 // makeUser.js
+// Bootstrap the first admin account. Further users are managed from the
+// admin screen (/users.html) or the /api/users routes.
+//
+// Usage:
+//   node makeUser.js <username> <email> <password>
 
-import bcrypt from 'bcrypt';
-import mysql from 'mysql2/promise';
+import { pool } from './db.js';
+import { countAdmins, createUser, MIN_PASSWORD_LENGTH } from './users.js';
 
 async function main() {
+  const [,, username, email, password] = process.argv;
+  if (!username || !email || !password) {
+    console.error('Usage: node makeUser.js <username> <email> <password>');
+    process.exitCode = 1;
+    return;
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exitCode = 1;
+    return;
+  }
 
-  // Admin credentials (change as required)
-  const username = 'Ayan Khan';
-  const email = 'ayan@multycomm.com';
-  const plainPassword = 'Ayan1012';
-
-  const pool = mysql.createPool({
-    host: 'localhost',
-    user: 'root',
-    password: 'Ayan@1012',
-    database: 'shams',
-    port: 3306,
-    waitForConnections: true,
-    connectionLimit: 5,
-  });
-
-  const conn = await pool.getConnection();
   try {
-    await conn.beginTransaction();
-
-    const hashedPassword = await bcrypt.hash(plainPassword, 10);
-
-    // Upsert into users table
-    const [existing] = await conn.query('SELECT id FROM users WHERE email = ? OR username = ?', [email, username]);
-    if (existing.length) {
-      await conn.query('UPDATE users SET password = ?, username = ? WHERE id = ?', [hashedPassword, username, existing[0].id]);
-      console.log('✅ Existing admin updated');
-    } else {
-      await conn.query('INSERT INTO users (username, email, password) VALUES (?, ?, ?)', [username, email, hashedPassword]);
-      console.log('✅ Admin created');
+    if (await countAdmins()) {
+      console.error('❌ An admin already exists – manage users from the admin screen instead');
+      process.exitCode = 1;
+      return;
     }
-
-    await conn.commit();
+    await createUser({ username, email, password, role: 'admin', mustChangePassword: false });
+    console.log('✅ Admin created');
   } catch (err) {
-    await conn.rollback();
     console.error('❌ Failed to create admin:', err.message);
+    process.exitCode = 1;
   } finally {
-    conn.release();
     await pool.end();
   }
 }
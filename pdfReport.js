@@ -0,0 +1,184 @@
+// pdfReport.js
+// One-page branded KPI summary (PDF) for a tenant and date range: volumes by
+// type, abandon rate, average wait / talk time, top queues and top agents,
+// with simple bar charts. Served by /api/reports/summary/pdf and usable from
+// the CLI at the bottom of this file.
+
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { unifiedRows } from './reportExport.js';
+import { summarizeCalls } from './analytics.js';
+import { RANGE_NAMES, resolveRange } from './timeUtils.js';
+import { pool } from './db.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOGO = path.join(__dirname, 'public', 'uploads', 'MultyLogo.png');
+
+const BLUE = '#1976d2';
+const ORANGE = '#EF6F53';
+const GREY = '#666666';
+const TYPE_COLORS = { Inbound: '#64b5f6', Outbound: '#81c784', Campaign: '#ffb74d', CDR: '#b0bec5' };
+
+function dubaiTime(epochSec) {
+  return new Date(epochSec * 1000).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' });
+}
+
+// Seconds → "M:SS" or "H:MM:SS"
+function formatDuration(sec) {
+  const total = Math.round(sec);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function sectionTitle(doc, text, y) {
+  doc.fillColor(BLUE).font('Helvetica-Bold').fontSize(12).text(text, 40, y);
+  doc.moveTo(40, y + 16).lineTo(555, y + 16).lineWidth(0.5).strokeColor('#cccccc').stroke();
+}
+
+// Horizontal bar chart of [{ label, value, color? }]; returns the y below it
+function barChart(doc, items, { x, y, width, barHeight = 14, gap = 6, labelWidth = 130, format = v => String(v) }) {
+  const max = Math.max(1, ...items.map(i => i.value));
+  const barSpace = width - labelWidth - 50;
+  items.forEach((item, idx) => {
+    const top = y + idx * (barHeight + gap);
+    doc.fillColor('#333333').font('Helvetica').fontSize(9)
+      .text(item.label, x, top + 3, { width: labelWidth - 8, ellipsis: true, lineBreak: false });
+    const w = Math.max(1, (item.value / max) * barSpace);
+    doc.rect(x + labelWidth, top, w, barHeight).fill(item.color || BLUE);
+    doc.fillColor('#333333').text(format(item.value), x + labelWidth + w + 4, top + 3, { lineBreak: false });
+  });
+  return y + items.length * (barHeight + gap);
+}
+
+function kpiBox(doc, x, y, label, value) {
+  doc.roundedRect(x, y, 120, 52, 4).lineWidth(1).strokeColor(ORANGE).stroke();
+  doc.fillColor(BLUE).font('Helvetica-Bold').fontSize(18).text(value, x, y + 8, { width: 120, align: 'center' });
+  doc.fillColor(GREY).font('Helvetica').fontSize(9).text(label, x, y + 34, { width: 120, align: 'center' });
+}
+
+/**
+ * Render a summary (from summarizeCalls()) as a one-page PDF into `out`.
+ *
+ * @param {Writable} out
+ * @param {object} summary
+ * @param {object} meta
+ * @param {string} meta.tenant        – shown in the header.
+ * @param {object} meta.params        – { startDate, endDate } in epoch seconds.
+ * @returns {Promise<void>} resolves once the PDF is fully written.
+ */
+export function writeSummaryPdf(out, summary, { tenant, params }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Call summary – ${tenant}` } });
+  const done = new Promise((resolve, reject) => {
+    out.on('finish', resolve);
+    out.on('close', resolve);
+    out.on('error', reject);
+  });
+  doc.pipe(out);
+
+  // Header
+  if (fs.existsSync(LOGO)) doc.image(LOGO, 40, 36, { width: 56 });
+  doc.fillColor(BLUE).font('Helvetica-Bold').fontSize(20).text('Call Center Summary', 110, 42);
+  doc.fillColor(GREY).font('Helvetica').fontSize(10)
+    .text(`${tenant}  |  ${dubaiTime(params.startDate)} – ${dubaiTime(params.endDate)} (Dubai)`, 110, 68);
+  doc.moveTo(40, 104).lineTo(555, 104).lineWidth(2).strokeColor(ORANGE).stroke();
+
+  // KPIs
+  kpiBox(doc, 40, 118, 'Total calls', String(summary.total));
+  kpiBox(doc, 172, 118, 'Abandon rate (inbound)', `${(summary.abandonRate * 100).toFixed(1)}%`);
+  kpiBox(doc, 304, 118, 'Average wait', formatDuration(summary.avgWaitSeconds));
+  kpiBox(doc, 436, 118, 'Average talk', formatDuration(summary.avgTalkSeconds));
+
+  // Volumes by type
+  sectionTitle(doc, 'Volume by type', 190);
+  let y = barChart(doc, Object.entries(summary.volumes).map(([label, value]) => ({ label, value, color: TYPE_COLORS[label] })), {
+    x: 40, y: 214, width: 515
+  });
+
+  // Top queues / campaigns
+  sectionTitle(doc, 'Top queues and campaigns', y + 14);
+  if (summary.topQueues.length) {
+    y = barChart(doc, summary.topQueues.map(q => ({ label: q.name, value: q.calls })), { x: 40, y: y + 38, width: 515 });
+  } else {
+    doc.fillColor(GREY).font('Helvetica').fontSize(9).text('No queue or campaign calls in this range', 40, y + 38);
+    y += 56;
+  }
+
+  // Top agents
+  sectionTitle(doc, 'Top agents', y + 14);
+  y += 38;
+  doc.fillColor('#333333').font('Helvetica-Bold').fontSize(9);
+  doc.text('Agent', 40, y).text('Calls', 300, y, { width: 80, align: 'right' }).text('Talk time', 400, y, { width: 100, align: 'right' });
+  doc.font('Helvetica');
+  summary.topAgents.forEach((a, idx) => {
+    const rowY = y + 16 + idx * 16;
+    doc.text(a.name, 40, rowY, { width: 250, ellipsis: true, lineBreak: false })
+      .text(String(a.calls), 300, rowY, { width: 80, align: 'right' })
+      .text(formatDuration(a.talkSeconds), 400, rowY, { width: 100, align: 'right' });
+  });
+  if (!summary.topAgents.length) doc.fillColor(GREY).text('No agent-handled calls in this range', 40, y + 16);
+
+  // Footer
+  doc.fillColor(GREY).fontSize(8)
+    .text(`Generated ${new Date().toLocaleString('en-GB', { timeZone: 'Asia/Dubai' })} – Multycomm`, 40, 790, { width: 515, align: 'center' });
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Fetch, summarise and render in one go.
+ *
+ * @param {Writable} out
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @param {string} [opts.label]       – tenant name for the header (defaults to the slug).
+ */
+export async function buildSummaryPdf(out, tenant, params, { rowFilter, label = tenant } = {}) {
+  const summary = await summarizeCalls(unifiedRows(tenant, params, { rowFilter }));
+  await writeSummaryPdf(out, summary, { tenant: label, params });
+  return summary;
+}
+
+/**
+ * Minimal CLI:
+ *   node -r dotenv/config pdfReport.js <tenant> <range|startISO endISO> <outfile.pdf>
+ * where range is one of the relative names in timeUtils.js, e.g. yesterday.
+ */
+async function cli() {
+  const [,, tenant, ...rest] = process.argv;
+  let params;
+  let outFile;
+  if (RANGE_NAMES.includes(rest[0])) {
+    params = resolveRange(rest[0]);
+    outFile = rest[1];
+  } else {
+    const [startIso, endIso] = rest;
+    const startDate = Date.parse(startIso);
+    const endDate = Date.parse(endIso);
+    if (Number.isNaN(startDate) || Number.isNaN(endDate)) params = null;
+    else params = { startDate: Math.floor(startDate / 1000), endDate: Math.floor(endDate / 1000) };
+    outFile = rest[2];
+  }
+  if (!tenant || !params || !outFile) {
+    console.error('Usage: node -r dotenv/config pdfReport.js <tenant> <range|startISO endISO> <outfile.pdf>');
+    console.error(`range = ${RANGE_NAMES.join(' | ')}`);
+    process.exit(1);
+  }
+  const summary = await buildSummaryPdf(fs.createWriteStream(outFile), tenant, params);
+  console.log(`Summarised ${summary.total} calls into ${outFile}`);
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli()
+    .then(() => pool.end())
+    .catch(err => {
+      console.error(err.response?.data || err.stack || err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,228 @@
+// audit.js – admin audit screens: recording access
+// (/api/admin/recording-audit) and the activity log of logins, report
+// queries and exports (/api/admin/audit-log)
+
+/* global axios */
+const errorBox = document.getElementById('errorBox');
+const infoBox = document.getElementById('infoBox');
+
+const PAGE_SIZE = 100;
+const ACTION_LABELS = { play: 'Play', download: 'Download' };
+const EVENT_LABELS = {
+  login: 'Login', login_failed: 'Failed login', logout: 'Logout', report: 'Report query', export: 'Export',
+  settings: 'Settings change', session_revoked: 'Session ended by admin'
+};
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatDate(v) {
+  return v ? new Date(v).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' }) : '';
+}
+
+function showError(err) {
+  hide(infoBox);
+  errorBox.textContent = err.response?.data?.error || err.message;
+  show(errorBox);
+}
+
+function showInfo(msg) {
+  hide(errorBox);
+  infoBox.textContent = msg;
+  show(infoBox);
+}
+
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) window.location.href = '/login.html';
+    return Promise.reject(err);
+  }
+);
+
+// Filters of a form as query params (datetime-local values are browser time)
+function filterParams(form) {
+  const params = {};
+  new FormData(form).forEach((value, name) => {
+    const v = String(value).trim();
+    if (!v) return;
+    params[name] = name === 'start' || name === 'end' ? new Date(v).toISOString() : v;
+  });
+  return params;
+}
+
+// --- Recording access ---
+
+function byteRange(r) {
+  if (r.range_start == null) return '';
+  return `${Number(r.range_start).toLocaleString()}–${r.range_end == null ? '' : Number(r.range_end).toLocaleString()}`;
+}
+
+function callLink(r) {
+  if (!r.call_id) return '';
+  const params = new URLSearchParams({ account: r.tenant, id: r.call_id, at: new Date(r.first_at).toISOString() });
+  return `<a href="/call.html?${params}" target="_blank" rel="noopener">${escapeHtml(r.call_id)}</a>`;
+}
+
+const recordingColumns = ['First access', 'Last access', 'User', 'IP', 'Tenant', 'Action', 'Recording ID', 'Call ID', 'Bytes', 'Requests'];
+
+function recordingRow(r) {
+  return `<tr>
+      <td>${formatDate(r.first_at)}</td>
+      <td>${r.requests > 1 ? formatDate(r.last_at) : ''}</td>
+      <td>${escapeHtml(r.username)}</td>
+      <td>${escapeHtml(r.ip)}</td>
+      <td>${escapeHtml(r.tenant)}</td>
+      <td>${escapeHtml(ACTION_LABELS[r.action] || r.action)}</td>
+      <td>${escapeHtml(r.recording_id)}</td>
+      <td>${callLink(r)}</td>
+      <td>${escapeHtml(byteRange(r))}</td>
+      <td>${escapeHtml(r.requests)}</td>
+    </tr>`;
+}
+
+// --- Activity ---
+
+// Query parameters in short form: the range first, then the rest
+function paramsText(params) {
+  if (!params) return '';
+  const { start, end, ...rest } = params;
+  const parts = [];
+  if (start || end) parts.push(`${start ? formatDate(start) : '…'} → ${end ? formatDate(end) : '…'}`);
+  Object.entries(rest).forEach(([k, v]) => parts.push(`${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`));
+  return parts.join('; ');
+}
+
+const activityColumns = ['Time', 'User', 'IP', 'Event', 'Tenant', 'Report', 'Parameters', 'Rows', 'Status'];
+
+function activityRow(r) {
+  const failed = r.event === 'login_failed' || r.status >= 400;
+  return `<tr class="${failed ? 'failed' : ''}">
+      <td>${formatDate(r.at)}</td>
+      <td>${escapeHtml(r.username)}</td>
+      <td>${escapeHtml(r.ip)}</td>
+      <td>${escapeHtml(EVENT_LABELS[r.event] || r.event)}</td>
+      <td>${escapeHtml(r.tenant)}</td>
+      <td>${escapeHtml(r.report)}</td>
+      <td class="params">${escapeHtml(paramsText(r.params) || r.detail)}</td>
+      <td>${escapeHtml(r.row_count)}</td>
+      <td>${escapeHtml(r.status)}</td>
+    </tr>`;
+}
+
+// --- Searchable, paged table per tab ---
+
+function auditView(section, { url, columns, row }) {
+  const form = section.querySelector('.audit-filters');
+  const table = section.querySelector('.audit-table');
+  const searchBtn = section.querySelector('.search-btn');
+  const prevBtn = section.querySelector('.prev-btn');
+  const nextBtn = section.querySelector('.next-btn');
+  let page = 1;
+
+  async function load() {
+    hide(errorBox);
+    searchBtn.classList.add('is-loading');
+    try {
+      const res = await axios.get(url, { params: { ...filterParams(form), page, pageSize: PAGE_SIZE } });
+      const { data, total } = res.data;
+      const head = `<thead><tr>${columns.map(c => `<th>${c}</th>`).join('')}</tr></thead>`;
+      const body = data.map(row).join('') || `<tr><td colspan="${columns.length}">No matching records</td></tr>`;
+      table.innerHTML = `${head}<tbody>${body}</tbody>`;
+      const first = total ? (page - 1) * PAGE_SIZE + 1 : 0;
+      section.querySelector('.page-info').textContent = `${first}–${(page - 1) * PAGE_SIZE + data.length} of ${total}`;
+      prevBtn.disabled = page <= 1;
+      nextBtn.disabled = page * PAGE_SIZE >= total;
+    } catch (err) {
+      showError(err);
+    } finally {
+      searchBtn.classList.remove('is-loading');
+    }
+  }
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    page = 1;
+    load();
+  });
+  prevBtn.addEventListener('click', () => { page -= 1; load(); });
+  nextBtn.addEventListener('click', () => { page += 1; load(); });
+  return { form, load };
+}
+
+const recordingsView = document.getElementById('recordingsView');
+const activityView = document.getElementById('activityView');
+const views = {
+  recordings: auditView(recordingsView, { url: '/api/admin/recording-audit', columns: recordingColumns, row: recordingRow }),
+  activity: auditView(activityView, { url: '/api/admin/audit-log', columns: activityColumns, row: activityRow })
+};
+const loaded = new Set();
+
+document.querySelectorAll('#auditTabs li').forEach(li => {
+  li.addEventListener('click', () => {
+    const tab = li.dataset.tab;
+    document.querySelectorAll('#auditTabs li').forEach(el => el.classList.toggle('is-active', el === li));
+    document.querySelectorAll('[data-view]').forEach(el => (el.dataset.view === tab ? show(el) : hide(el)));
+    hide(errorBox);
+    hide(infoBox);
+    if (!loaded.has(tab)) {
+      loaded.add(tab);
+      views[tab].load();
+    }
+  });
+});
+
+document.getElementById('csvBtn').addEventListener('click', () => {
+  window.location.href = `/api/admin/recording-audit/export?${new URLSearchParams(filterParams(views.recordings.form))}`;
+});
+
+async function loadTenants() {
+  try {
+    const res = await axios.get('/api/tenants');
+    const options = (res.data.data || [])
+      .map(t => `<option value="${escapeHtml(t.slug)}">${escapeHtml(t.display_name || t.slug)}</option>`)
+      .join('');
+    document.querySelectorAll('.tenant-select').forEach(sel => sel.insertAdjacentHTML('beforeend', options));
+  } catch {
+    // The tenant filters stay at "All tenants"
+  }
+}
+
+async function loadRetention() {
+  try {
+    const [auth, res] = await Promise.all([axios.get('/api/auth/check'), axios.get('/api/admin/audit-log/retention')]);
+    document.getElementById('retentionDays').value = res.data.days ?? '';
+    if (!(auth.data.user?.permissions || []).includes('audit:manage')) {
+      document.getElementById('retentionDays').disabled = true;
+      hide(document.getElementById('retentionBtn'));
+    }
+  } catch (err) {
+    showError(err);
+  }
+}
+
+document.getElementById('retentionForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const btn = document.getElementById('retentionBtn');
+  const value = document.getElementById('retentionDays').value.trim();
+  btn.classList.add('is-loading');
+  try {
+    const res = await axios.put('/api/admin/audit-log/retention', { days: value ? Number(value) : null });
+    showInfo(res.data.days
+      ? `Activity is kept for ${res.data.days} days; ${res.data.purged} older entries removed`
+      : 'Activity is kept forever');
+  } catch (err) {
+    showError(err);
+  } finally {
+    btn.classList.remove('is-loading');
+  }
+});
+
+loadTenants();
+loadRetention();
+loaded.add('recordings');
+views.recordings.load();
@@ -0,0 +1,121 @@
+// call.js – one call across every source (/api/calls/:callId): recordings,
+// chronological timeline and the raw records. Opened from the Call ID links
+// of the report table with ?account=&id=&at=
+
+/* global axios */
+const errorBox = document.getElementById('errorBox');
+const loadingEl = document.getElementById('loading');
+
+// Record columns shown on this page (unified report names)
+const RECORD_COLUMNS = [
+  'Type', 'Call ID', 'Queue / Campaign Name', 'Called Time', 'Caller ID Number', 'Caller ID / Lead Name',
+  'Callee ID / Lead number', 'Agent name', 'Answered time', 'Hangup time', 'Wait Duration', 'Talk Duration',
+  'Agent Disposition', 'Abandoned'
+];
+const TIME_COLUMNS = new Set(['Called Time', 'Answered time', 'Hangup time']);
+const DURATION_COLUMNS = new Set(['Wait Duration', 'Talk Duration']);
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function showError(err) {
+  errorBox.textContent = err.response?.data?.error || err.message;
+  show(errorBox);
+}
+
+// Epoch s / ms / digit string / ISO string → Dubai wall clock
+function formatTime(v) {
+  if (v == null || v === '' || v === '--') return '';
+  let ms;
+  if (typeof v === 'number' || /^\d+$/.test(v)) {
+    const n = Number(v);
+    ms = n > 10_000_000_000 ? n : n * 1000;
+  } else {
+    ms = Date.parse(v);
+  }
+  if (Number.isNaN(ms)) return String(v);
+  return new Date(ms).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' });
+}
+
+function formatDuration(v) {
+  if (v == null || v === '' || !/^\d+(\.\d+)?$/.test(String(v))) return v ?? '';
+  const total = Math.round(Number(v));
+  const h = String(Math.floor(total / 3600)).padStart(2, '0');
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const s = String(total % 60).padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+function renderRecordings(recordings, account, canPlay) {
+  if (!recordings.length || !canPlay) return;
+  document.getElementById('recordings').innerHTML = recordings
+    .map(r => {
+      const src = `/api/recordings/${encodeURIComponent(r.id)}?account=${encodeURIComponent(account)}`;
+      return `<div class="recording"><audio controls preload="none" src="${src}"></audio>
+        <span><strong>${escapeHtml(r.source)}</strong> · ${escapeHtml(r.callId)}</span></div>`;
+    })
+    .join('');
+  show(document.getElementById('recordingsBox'));
+}
+
+function renderTimeline(timeline) {
+  document.getElementById('timeline').innerHTML = timeline
+    .map(e => `<li class="ev-${escapeHtml(e.event)}">
+        <span class="time">${escapeHtml(formatTime(e.ts))}</span>
+        <span class="source">${escapeHtml(e.source)}</span>
+        <span>${escapeHtml(e.text)}</span>
+        <span class="call-id">${escapeHtml(e.callId)}</span>
+      </li>`)
+    .join('') || '<li>No timed events in these records.</li>';
+}
+
+function renderRecords(records) {
+  const thead = `<thead><tr>${RECORD_COLUMNS.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>`;
+  const body = records
+    .map(r => `<tr>${RECORD_COLUMNS.map(c => {
+      let v = r[c];
+      if (TIME_COLUMNS.has(c)) v = formatTime(v);
+      else if (DURATION_COLUMNS.has(c)) v = formatDuration(v);
+      return `<td>${escapeHtml(v)}</td>`;
+    }).join('')}</tr>`)
+    .join('');
+  document.getElementById('records').innerHTML = `${thead}<tbody>${body}</tbody>`;
+}
+
+async function init() {
+  const query = new URLSearchParams(window.location.search);
+  const account = query.get('account');
+  const id = query.get('id');
+  document.getElementById('callId').textContent = id || '';
+  try {
+    const auth = await axios.get('/api/auth/check');
+    if (!auth.data.authenticated || auth.data.user?.mustChangePassword) {
+      window.location.href = '/login.html';
+      return;
+    }
+    if (!account || !id) throw new Error('Open this page from a Call ID in the report table');
+
+    const params = { account };
+    ['at', 'start', 'end'].forEach(k => { if (query.get(k)) params[k] = query.get(k); });
+    const res = await axios.get(`/api/calls/${encodeURIComponent(id)}`, { params });
+    const canPlay = (auth.data.user?.permissions || []).includes('recordings:play');
+    renderRecordings(res.data.recordings, account, canPlay);
+    renderTimeline(res.data.timeline);
+    renderRecords(res.data.records);
+    show(document.getElementById('detail'));
+  } catch (err) {
+    if (err.response?.status === 401) {
+      window.location.href = '/login.html';
+      return;
+    }
+    showError(err);
+  } finally {
+    hide(loadingEl);
+  }
+}
+
+init();
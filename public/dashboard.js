@@ -0,0 +1,221 @@
+// dashboard.js – charts over /api/reports/dashboard with drill-down into the
+// report table (index.html) through ?account=&start=&end=&filters= links
+
+/* global axios, Chart */
+const form = document.getElementById('rangeForm');
+const loadingEl = document.getElementById('loading');
+const errorBox = document.getElementById('errorBox');
+const chartsEl = document.getElementById('charts');
+
+const BLUE = '#1976d2';
+const ORANGE = '#EF6F53';
+const TYPE_COLORS = { Inbound: '#64b5f6', Outbound: '#81c784', Campaign: '#ffb74d', CDR: '#b0bec5' };
+const PALETTE = ['#1976d2', '#EF6F53', '#64b5f6', '#81c784', '#ffb74d', '#ba68c8', '#4db6ac', '#f06292', '#a1887f', '#90a4ae'];
+
+const DUBAI_OFFSET_MS = 4 * 60 * 60 * 1000;   // Asia/Dubai, no DST
+
+// Charts currently on screen, destroyed before redrawing
+const charts = {};
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function showError(err) {
+  errorBox.textContent = err.response?.data?.error || err.message;
+  show(errorBox);
+}
+
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) window.location.href = '/login.html';
+    return Promise.reject(err);
+  }
+);
+
+// <input type="datetime-local"> value (Dubai wall clock) ⇄ UTC ISO / epoch seconds
+function inputToDubaiIso(val) {
+  const [datePart, timePart = '00:00'] = val.split('T');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour, minute] = timePart.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour - 4, minute)).toISOString();
+}
+
+function epochToInput(sec) {
+  return new Date(sec * 1000 + DUBAI_OFFSET_MS).toISOString().slice(0, 16);
+}
+
+function hourLabel(sec) {
+  return new Date(sec * 1000).toLocaleString('en-GB', {
+    timeZone: 'Asia/Dubai', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+function formatDuration(sec) {
+  const total = Math.round(sec || 0);
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${m}:${s}` : `${Number(m)}:${s}`;
+}
+
+// Open the report table for the current account with a narrower range and /
+// or column filters (column names as in the table's filter boxes)
+function drillDown({ start, end, filters = {} } = {}) {
+  const params = new URLSearchParams({
+    account: document.getElementById('account').value,
+    start: start || document.getElementById('start').value,
+    end: end || document.getElementById('end').value,
+    filters: JSON.stringify(filters)
+  });
+  window.location.href = `/index.html?${params}`;
+}
+
+// Draw (or redraw) a chart; `onPick(index)` runs when a bar / slice is clicked
+function drawChart(id, config, onPick) {
+  charts[id]?.destroy();
+  charts[id] = new Chart(document.getElementById(id), {
+    ...config,
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      onClick: (evt, elements) => {
+        if (elements.length) onPick(elements[0].index);
+      },
+      onHover: (evt, elements) => {
+        evt.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+      },
+      ...config.options
+    }
+  });
+}
+
+// Horizontal bar chart of [{ name, calls }] drilling into `column`
+function drawTopChart(id, items, column, color) {
+  drawChart(id, {
+    type: 'bar',
+    data: {
+      labels: items.map(i => i.name),
+      datasets: [{ label: 'Calls', data: items.map(i => i.calls), backgroundColor: color }]
+    },
+    options: { indexAxis: 'y', plugins: { legend: { display: false } } }
+  }, idx => drillDown({ filters: { [column]: items[idx].name } }));
+}
+
+function render({ summary, hourly }) {
+  document.getElementById('kpiTotal').textContent = summary.total;
+  document.getElementById('kpiAbandon').textContent = `${(summary.abandonRate * 100).toFixed(1)}%`;
+  document.getElementById('kpiWait').textContent = formatDuration(summary.avgWaitSeconds);
+  document.getElementById('kpiTalk').textContent = formatDuration(summary.avgTalkSeconds);
+
+  const labels = hourly.map(b => hourLabel(b.start));
+  const hourRange = idx => ({ start: epochToInput(hourly[idx].start), end: epochToInput(hourly[idx].start + 3600) });
+
+  // Volume by hour, stacked by type
+  drawChart('volumeChart', {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        ['Inbound', 'inbound'], ['Outbound', 'outbound'], ['Campaign', 'campaign'], ['CDR', 'cdr']
+      ].map(([label, key]) => ({ label, data: hourly.map(b => b[key]), backgroundColor: TYPE_COLORS[label] }))
+    },
+    options: { scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true } } }
+  }, idx => drillDown(hourRange(idx)));
+
+  // Split by type
+  const types = Object.keys(summary.volumes);
+  drawChart('typeChart', {
+    type: 'doughnut',
+    data: {
+      labels: types,
+      datasets: [{ data: types.map(t => summary.volumes[t]), backgroundColor: types.map(t => TYPE_COLORS[t]) }]
+    }
+  }, idx => drillDown({ filters: { Type: types[idx] } }));
+
+  // Abandon rate trend; hours without inbound calls are gaps
+  drawChart('abandonChart', {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [{
+        label: 'Abandon rate %',
+        data: hourly.map(b => (b.inbound ? Number(((b.abandoned / b.inbound) * 100).toFixed(1)) : null)),
+        borderColor: ORANGE,
+        backgroundColor: ORANGE,
+        spanGaps: false,
+        tension: 0.2
+      }]
+    },
+    options: { scales: { y: { beginAtZero: true, suggestedMax: 100 } } }
+  }, idx => drillDown({ ...hourRange(idx), filters: { Type: 'Inbound', Abandoned: 'Yes' } }));
+
+  drawTopChart('queueChart', summary.topQueues, 'Queue / Campaign Name', BLUE);
+  drawTopChart('agentChart', summary.topAgents, 'Agent name', ORANGE);
+
+  const dispositions = summary.topDispositions || [];
+  drawChart('dispositionChart', {
+    type: 'pie',
+    data: {
+      labels: dispositions.map(d => d.name),
+      datasets: [{ data: dispositions.map(d => d.calls), backgroundColor: dispositions.map((d, i) => PALETTE[i % PALETTE.length]) }]
+    }
+  }, idx => drillDown({ filters: { 'Agent Disposition': dispositions[idx].name } }));
+}
+
+form.addEventListener('submit', async e => {
+  e.preventDefault();
+  hide(errorBox);
+  show(loadingEl);
+  try {
+    const res = await axios.get('/api/reports/dashboard', {
+      params: {
+        account: document.getElementById('account').value,
+        start: inputToDubaiIso(document.getElementById('start').value),
+        end: inputToDubaiIso(document.getElementById('end').value)
+      }
+    });
+    show(chartsEl);
+    render(res.data);
+  } catch (err) {
+    showError(err);
+  } finally {
+    hide(loadingEl);
+  }
+});
+
+// Same account picker as the report page, sharing its remembered choice
+async function loadTenants() {
+  const select = document.getElementById('account');
+  const res = await axios.get('/api/tenants');
+  const tenants = (res.data.data || []).filter(t => t.enabled);
+  select.innerHTML = tenants
+    .map(t => `<option value="${t.slug}">${t.display_name || t.slug}</option>`)
+    .join('');
+  const saved = localStorage.getItem('account');
+  if (saved && tenants.some(t => t.slug === saved)) select.value = saved;
+}
+
+document.getElementById('account').addEventListener('change', e => {
+  localStorage.setItem('account', e.target.value);
+});
+
+async function init() {
+  try {
+    const res = await axios.get('/api/auth/check');
+    if (!res.data.authenticated || res.data.user?.mustChangePassword) {
+      window.location.href = '/login.html';
+      return;
+    }
+    await loadTenants();
+    // Default range: today so far, Dubai time
+    const now = Math.floor(Date.now() / 1000);
+    document.getElementById('start').value = `${epochToInput(now).slice(0, 10)}T00:00`;
+    document.getElementById('end').value = epochToInput(now);
+    form.requestSubmit();
+  } catch (err) {
+    showError(err);
+  }
+}
+
+init();
@@ -0,0 +1,247 @@
+// jobs.js – admin screen for /api/jobs (scheduled reports)
+
+/* global axios */
+const table = document.getElementById('jobTable');
+const runTable = document.getElementById('runTable');
+const runsBox = document.getElementById('runsBox');
+const errorBox = document.getElementById('errorBox');
+const infoBox = document.getElementById('infoBox');
+const form = document.getElementById('jobForm');
+const saveBtn = document.getElementById('saveBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+
+// Id of the job being edited (null while creating)
+let editing = null;
+let jobs = [];
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatDate(v) {
+  return v ? new Date(v).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' }) : '';
+}
+
+function showError(err) {
+  hide(infoBox);
+  errorBox.textContent = err.response?.data?.error || err.message;
+  show(errorBox);
+}
+
+function showInfo(msg) {
+  hide(errorBox);
+  infoBox.textContent = msg;
+  show(infoBox);
+}
+
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) window.location.href = '/login.html';
+    return Promise.reject(err);
+  }
+);
+
+function fillSelect(id, values, labels = {}) {
+  document.getElementById(id).innerHTML = values
+    .map(v => `<option value="${escapeHtml(v)}">${escapeHtml(labels[v] || v)}</option>`)
+    .join('');
+}
+
+// "queue_name: Sales" lines ⇄ { queue_name: 'Sales' }
+function parseFilters(text) {
+  const out = {};
+  text.split('\n').forEach(line => {
+    const idx = line.indexOf(':');
+    if (idx > 0 && line.slice(idx + 1).trim()) out[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+  });
+  return out;
+}
+
+function formatFilters(filters) {
+  return Object.entries(filters || {}).map(([col, term]) => `${col}: ${term}`).join('\n');
+}
+
+function renderJobs() {
+  const head = '<thead><tr><th>Name</th><th>Report</th><th>Tenant</th><th>Range</th><th>Schedule</th><th>Delivery</th><th>Last run</th><th>Actions</th></tr></thead>';
+  const rows = jobs.map(j => {
+    const delivery = [j.output_dir && `Folder: ${j.output_dir}`, j.email_to.length && `Email: ${j.email_to.join(', ')}`]
+      .filter(Boolean).map(escapeHtml).join('<br>');
+    return `<tr class="${j.enabled ? '' : 'row-disabled'}" data-id="${j.id}">
+      <td>${escapeHtml(j.name)}</td>
+      <td>${escapeHtml(j.report_type)} (${escapeHtml(j.format)})</td>
+      <td>${escapeHtml(j.tenant)}</td>
+      <td>${escapeHtml(j.range_name)}</td>
+      <td><code>${escapeHtml(j.cron_expr)}</code></td>
+      <td>${delivery}</td>
+      <td>${formatDate(j.last_run_at)}</td>
+      <td>
+        <button class="button is-small run-btn">Run now</button>
+        <button class="button is-small runs-btn">History</button>
+        <button class="button is-small edit-btn">Edit</button>
+        <button class="button is-small toggle-btn">${j.enabled ? 'Disable' : 'Enable'}</button>
+        <button class="button is-small is-danger is-light delete-btn">Delete</button>
+      </td>
+    </tr>`;
+  }).join('');
+  table.innerHTML = head + `<tbody>${rows}</tbody>`;
+}
+
+async function loadJobs() {
+  try {
+    const res = await axios.get('/api/jobs');
+    jobs = res.data.data || [];
+    const { reportTypes, ranges, formats } = res.data.options;
+    if (!document.getElementById('reportType').options.length) {
+      fillSelect('reportType', reportTypes);
+      fillSelect('rangeName', ranges, Object.fromEntries(ranges.map(r => [r, r.replace(/_/g, ' ')])));
+      fillSelect('format', formats);
+    }
+    renderJobs();
+  } catch (err) {
+    if (err.response?.status === 403) {
+      window.location.href = '/index.html';
+      return;
+    }
+    showError(err);
+  }
+}
+
+async function loadTenants() {
+  try {
+    const res = await axios.get('/api/tenants');
+    const tenants = (res.data.data || []).filter(t => t.enabled);
+    fillSelect('tenant', tenants.map(t => t.slug), Object.fromEntries(tenants.map(t => [t.slug, t.display_name])));
+  } catch (err) {
+    showError(err);
+  }
+}
+
+async function showRuns(id) {
+  const job = jobs.find(j => String(j.id) === String(id));
+  try {
+    const res = await axios.get(`/api/jobs/${id}/runs`);
+    const head = '<thead><tr><th>Started</th><th>Finished</th><th>Trigger</th><th>Status</th><th>Rows</th><th>File</th><th>Error</th></tr></thead>';
+    const rows = (res.data.data || []).map(r => `<tr class="${r.status === 'failed' ? 'run-failed' : ''}">
+        <td>${formatDate(r.started_at)}</td>
+        <td>${formatDate(r.finished_at)}</td>
+        <td>${escapeHtml(r.triggered_by)}</td>
+        <td>${escapeHtml(r.status)}</td>
+        <td>${r.row_count ?? ''}</td>
+        <td>${escapeHtml(r.file_path)}</td>
+        <td>${escapeHtml(r.error)}</td>
+      </tr>`).join('');
+    runTable.innerHTML = head + `<tbody>${rows || '<tr><td colspan="7">No runs yet</td></tr>'}</tbody>`;
+    document.getElementById('runsJob').textContent = job?.name || '';
+    show(runsBox);
+  } catch (err) {
+    showError(err);
+  }
+}
+
+function resetForm() {
+  editing = null;
+  form.reset();
+  saveBtn.textContent = 'Create job';
+  hide(cancelBtn);
+}
+
+function startEdit(id) {
+  const j = jobs.find(x => String(x.id) === String(id));
+  if (!j) return;
+  editing = j.id;
+  document.getElementById('name').value = j.name;
+  document.getElementById('reportType').value = j.report_type;
+  document.getElementById('tenant').value = j.tenant;
+  document.getElementById('rangeName').value = j.range_name;
+  document.getElementById('format').value = j.format;
+  document.getElementById('cronExpr').value = j.cron_expr;
+  document.getElementById('outputDir').value = j.output_dir || '';
+  document.getElementById('emailTo').value = j.email_to.join(', ');
+  document.getElementById('filters').value = formatFilters(j.filters);
+  saveBtn.textContent = 'Save changes';
+  show(cancelBtn);
+}
+
+table.addEventListener('click', async e => {
+  const row = e.target.closest('tr');
+  if (!row) return;
+  const id = row.dataset.id;
+
+  if (e.target.matches('.edit-btn')) {
+    startEdit(id);
+  } else if (e.target.matches('.runs-btn')) {
+    showRuns(id);
+  } else if (e.target.matches('.run-btn')) {
+    e.target.classList.add('is-loading');
+    try {
+      const res = await axios.post(`/api/jobs/${id}/run`);
+      const run = res.data.data;
+      if (run.status === 'success') showInfo(`Run finished: ${run.row_count} rows`);
+      else showError(new Error(`Run failed: ${run.error}`));
+    } catch (err) {
+      showError(err);
+    }
+    e.target.classList.remove('is-loading');
+    loadJobs();
+    showRuns(id);
+  } else if (e.target.matches('.toggle-btn')) {
+    const j = jobs.find(x => String(x.id) === id);
+    try {
+      await axios.patch(`/api/jobs/${id}`, { enabled: !j.enabled });
+      showInfo(j.enabled ? 'Job disabled' : 'Job enabled');
+    } catch (err) {
+      showError(err);
+    }
+    loadJobs();
+  } else if (e.target.matches('.delete-btn')) {
+    if (!confirm('Delete this job and its run history?')) return;
+    try {
+      await axios.delete(`/api/jobs/${id}`);
+      showInfo('Job deleted');
+      hide(runsBox);
+    } catch (err) {
+      showError(err);
+    }
+    loadJobs();
+  }
+});
+
+cancelBtn.addEventListener('click', resetForm);
+
+form.addEventListener('submit', async e => {
+  e.preventDefault();
+  const body = {
+    name: document.getElementById('name').value.trim(),
+    report_type: document.getElementById('reportType').value,
+    tenant: document.getElementById('tenant').value,
+    range_name: document.getElementById('rangeName').value,
+    format: document.getElementById('format').value,
+    cron_expr: document.getElementById('cronExpr').value.trim(),
+    output_dir: document.getElementById('outputDir').value.trim(),
+    email_to: document.getElementById('emailTo').value.split(',').map(s => s.trim()).filter(Boolean),
+    filters: parseFilters(document.getElementById('filters').value)
+  };
+  saveBtn.classList.add('is-loading');
+  try {
+    if (editing) {
+      await axios.patch(`/api/jobs/${editing}`, body);
+      showInfo('Job updated');
+    } else {
+      await axios.post('/api/jobs', body);
+      showInfo('Job created');
+    }
+    resetForm();
+    loadJobs();
+  } catch (err) {
+    showError(err);
+  } finally {
+    saveBtn.classList.remove('is-loading');
+  }
+});
+
+loadTenants();
+loadJobs();
@@ -7,11 +7,18 @@ const errorBox = document.getElementById('errorBox');
 const table = document.getElementById('resultTable');
 const statsBox = document.getElementById('stats');
 const csvBtn = document.getElementById('csvBtn');
+const xlsxBtn = document.getElementById('xlsxBtn');
+const pdfBtn = document.getElementById('pdfBtn');
+const zipBtn = document.getElementById('zipBtn');
 const fetchBtn = document.getElementById('fetchBtn');
 
 // Track the selected tenant account globally so we can build recording URLs
 let tenantAccount = '';
 
+// Permissions of the logged-in user's role (filled in by checkAuth)
+let userPermissions = new Set();
+function can(permission) { return userPermissions.has(permission); }
+
 // Columns whose raw value should NEVER be interpreted as epoch or duration
 const RAW_COLUMNS = new Set([
   'caller_id_number',
@@ -253,154 +260,15 @@ function leadHistoryToHtml(history) {
   return createEyeBtn(tableHtml);
 }
 
-// Determine Abandoned (Yes/No) for inbound calls based on agent_history
-function computeAbandoned(row) {
-  // Only relevant for inbound calls
-  let history = row.agent_history;
-  if (typeof history === 'string') {
-    try { history = JSON.parse(history); } catch { history = []; }
+// Link to call.html for a row: every leg of the call around its Called Time
+function callDetailUrl(rec) {
+  let at = rec['Called Time'];
+  if (typeof at === 'number' || /^\d+$/.test(String(at))) {
+    const n = Number(at);
+    at = new Date(n > 10_000_000_000 ? n : n * 1000).toISOString();
   }
-  if (!Array.isArray(history) || !history.length) return 'YES';
-
-  let connected = false;
-  let star7 = false;
-  history.forEach(h => {
-    if (h.connected) connected = true;
-    if ((h.event || '').toString().includes('*7')) star7 = true;
-  });
-
-  if (connected) return 'NO';
-  // Abandoned is YES only when not connected AND no *7 event
-  return (!connected && !star7) ? 'YES' : 'NO';
-}
-
-// Normalize inbound/outbound API rows to the unified schema expected by HEADERS
-function normalizeRow(row, source) {
-  if (source === 'camp') {
-    // helper to safely extract subdisposition names (supports object or array)
-    const [sub1, sub2] = (() => {
-      let sd = row.agent_subdisposition ?? null;
-      if (Array.isArray(sd)) sd = sd[0];
-      if (!sd || typeof sd !== 'object') return ['', ''];
-      const first = sd.name ?? '';
-      const second = sd.subdisposition?.name ?? '';
-      return [first, second];
-    })();
-
-    return {
-      'Type': 'Campaign',
-      'Call ID': row.call_id ?? row.callid ?? '',
-      'Queue / Campaign Name': row.campaign_name ?? '',
-      'Campaign Type': row.campaign_type ?? '',
-      // 'Lead name': row.lead_name ?? '',
-      // 'Lead first name': row.lead_first_name ?? '',
-      // 'Lead last name': row.lead_last_name ?? '',
-      'Caller ID / Lead Name': row.lead_name ?? '',
-      'Callee ID / Lead number': row.lead_number ?? '',
-      // 'Lead ticket id': row.lead_ticket_id ?? '',
-      // 'Lead type': row.lead_type ?? '',
-      'Agent name': row.agent_name ?? '',
-      'Caller ID Number': row.agent_extension ?? '',
-      'Talk Duration': row.agent_talk_time ?? '',
-      'Agent Disposition': row.agent_disposition ?? '',
-      'Sub_disp_1': sub1,
-      'Sub_disp_2': sub2,
-      'Agent History': `${historyToHtml(row.agent_history ?? [])}${leadHistoryToHtml(row.lead_history ?? [])}`,
-      'Called Time': row.timestamp ?? row.datetime ?? '',
-      'Answered time': '',
-      'Hangup time': '',
-      'Wait Duration': '',
-      'Recording': row.media_recording_id ?? row.recording_filename ?? '',
-      'Status': row.status ?? '',
-      // 'Customer wait time SLA': row.customer_wait_time_sla ?? '',
-      // 'Customer wait time over SLA': row.customer_wait_time_over_sla ?? '',
-      'Disposition': row.disposition ?? '',
-      // 'Hangup cause': row.hangup_cause ?? '',
-      'Lead disposition': row.lead_disposition ?? '',
-      'Abandoned': '',
-    };
-  }
-
-  if (source === 'cdr') {
-    // Use timestamp (seconds or ms) or ISO datetime as Called Time
-    let ts = row.timestamp ?? row.datetime ?? '';
-    if (typeof ts === 'number') {
-      const ms = ts < 1_000_000_000_000 ? ts * 1000 : ts; // sec → ms if needed
-      ts = new Date(ms).toISOString();
-    }
-    return {
-      'Type': 'CDR',
-      'Call ID': row.call_id ?? '',
-      'Queue / Campaign Name': '',
-      'Called Time': ts,
-      'Caller ID Number': row.caller_id_number ?? '',
-      'Caller ID / Lead Name': row.caller_id_name ?? '',
-      'Answered time': row.answered_time ?? '',
-      'Hangup time': '',
-      'Wait Duration': '',
-      'Talk Duration': row.duration_seconds ?? '',
-      'Agent Disposition': '',
-      'Sub_disp_1': '',
-      'Sub_disp_2': '',
-      'Callee ID / Lead number': row.callee_id_number ?? row.to ?? '',
-      'Status': '',
-      'Campaign Type': '',
-      'Abandoned': '',
-      'Agent History': '',
-      'Queue History': '',
-      'Agent name': '',
-      'Recording': row.media_recording_id ?? row.recording_filename ?? ''
-    };
-  }
-
-  // inbound / outbound queues
-  const isOutbound = source === 'out';
-  // helper to safely extract subdisposition names (supports object or array)
-  const [sub1, sub2] = (() => {
-    let sd = row.agent_subdisposition ?? null;
-    if (Array.isArray(sd)) sd = sd[0];
-    if (!sd || typeof sd !== 'object') return ['', ''];
-    const first = sd.name ?? '';
-    const second = sd.subdisposition?.name ?? '';
-    return [first, second];
-  })();
-
-  // Derive Agent name from first entry in agent_history (if present)
-  let agentName = '';
-  try {
-    let hist = row.agent_history;
-    if (typeof hist === 'string') hist = JSON.parse(hist);
-    if (Array.isArray(hist) && hist.length) {
-      const h0 = hist[0];
-      const fn = h0.first_name ?? '';
-      const ln = h0.last_name ?? '';
-      agentName = `${fn} ${ln}`.trim();
-    }
-  } catch {}
-
-  return {
-    'Type': isOutbound ? 'Outbound' : 'Inbound',
-    'Call ID': row.call_id ?? row.callid ?? '',
-    'Queue / Campaign Name': row.queue_name ?? '',
-    'Called Time': row.called_time ?? '',
-    'Caller ID Number': row.caller_id_number ?? '',
-    'Caller ID / Lead Name': row.caller_id_name ?? '',
-    'Answered time': row.answered_time ?? '',
-    'Hangup time': row.hangup_time ?? '',
-    'Wait Duration': row.wait_duration ?? '',
-    'Talk Duration': row.talked_duration ?? '',
-    'Callee ID / Lead number': isOutbound ? (row.to ?? '') : (row.callee_id_number ?? ''),
-    'Agent Disposition': row.agent_disposition ?? '',
-    'Sub_disp_1': sub1,
-    'Sub_disp_2': sub2,
-    'Queue History': queueHistoryToHtml(row.queue_history ?? []),
-    'Agent History': historyToHtml(row.agent_history ?? []),
-    'Status': '',
-    'Campaign Type': '',
-    'Abandoned': isOutbound ? '' : computeAbandoned(row),
-    'Agent name': agentName,
-    'Recording': row.media_recording_id ?? row.recording_filename ?? ''
-  };
+  const params = new URLSearchParams({ account: tenantAccount, id: rec['Call ID'], at: at || '' });
+  return `/call.html?${params}`;
 }
 
 // Render table rows in CHUNK_SIZE batches so the UI becomes responsive quickly.
@@ -420,13 +288,24 @@ function renderRowsHtml(rows, startSerial = 1) {
           v = secondsToHMS(Number(v));
         }
 
+        if (h === 'Call ID' && v) {
+          return `<td><a href="${callDetailUrl(rec)}" target="_blank" title="Call detail">${v}</a></td>`;
+        }
+
+        // History columns arrive as raw arrays; render them as eye-button popups
+        if (h === 'Agent History') {
+          return `<td>${historyToHtml(v)}${leadHistoryToHtml(rec['Lead History'])}</td>`;
+        }
+        if (h === 'Queue History') {
+          return `<td>${queueHistoryToHtml(v)}</td>`;
+        }
+
         // Render recording inline with audio controls (button removed)
         if (h === 'Recording') {
-          if (v) {
+          if (v && can('recordings:play')) {
             const id = v.replace(/[^\w]/g, '');
             const src = `/api/recordings/${v}?account=${encodeURIComponent(tenantAccount)}`;
-            const metaUrl = `/api/recordings/${v}/meta?account=${encodeURIComponent(tenantAccount)}`;
-            return `<td style="text-align:center"><audio class="recording-audio" controls preload="none" src="${src}" data-meta="${metaUrl}" data-id="${id}" style="max-width:200px"></audio><br><span class="rec-dur" id="dur_${id}"></span></td>`;
+            return `<td style="text-align:center"><audio class="recording-audio" controls preload="none" src="${src}" data-recording="${v}" data-id="${id}" style="max-width:200px"></audio><br><span class="rec-dur" id="dur_${id}"></span></td>`;
           }
           return '<td></td>';
         }
@@ -483,7 +362,7 @@ function renderReportTableChunked(records, globalStartIdx = 0) {
       // Yield back to event loop to keep UI responsive
       setTimeout(appendChunk, 0);
     } else {
-      // Once all rows rendered trigger duration fetch workers
+      // Once all rows rendered fetch the page's recording durations
       afterRowsRendered();
     }
   }
@@ -491,28 +370,40 @@ function renderReportTableChunked(records, globalStartIdx = 0) {
   appendChunk();
 }
 
+// Recordings per metadata request; each batch is shown as soon as it
+// arrives instead of waiting for the slowest probe on the page
+const META_CHUNK_SIZE = 50;
+
+// Show duration, bitrate, channels and size of the page's recordings
+function renderRecordingMeta(audioEls, recordings) {
+  audioEls.forEach(el => {
+    const meta = recordings[el.dataset.recording];
+    const span = document.getElementById('dur_' + el.dataset.id);
+    if (!span || typeof meta?.duration !== 'number') return;
+    span.textContent = ` Time:  ${secondsToHMS(Math.round(meta.duration))}`;
+    span.title = [
+      meta.bitrate && `${Math.round(meta.bitrate / 1000)} kbps`,
+      meta.channels && (meta.channels === 1 ? 'mono' : meta.channels === 2 ? 'stereo' : `${meta.channels} channels`),
+      meta.size && `${(meta.size / 1048576).toFixed(1)} MB`
+    ].filter(Boolean).join(' · ');
+  });
+}
+
 // Called after rows are fully appended for the current render
-function afterRowsRendered() {
-  // Re-run duration worker setup for new rows
-  const audioEls = Array.from(table.querySelectorAll('.recording-audio[data-meta]'));
-  const MAX_CONCURRENT = 5;
-  let idx = 0;
-  async function worker() {
-    while (idx < audioEls.length) {
-      const el = audioEls[idx++];
-      const spanId = 'dur_' + el.dataset.id;
-      const span = document.getElementById(spanId);
-      if (!span || span.textContent) continue;
-      try {
-        const resp = await axios.get(el.dataset.meta);
-        const dur = resp.data?.duration;
-        if (typeof dur === 'number') {
-          span.textContent = ` Time:  ${secondsToHMS(Math.round(dur))}`;
-        }
-      } catch {}
+async function afterRowsRendered() {
+  // Metadata for the page's recordings, META_CHUNK_SIZE at a time in table order
+  const audioEls = Array.from(table.querySelectorAll('.recording-audio[data-recording]'));
+  const ids = [...new Set(audioEls.map(el => el.dataset.recording))];
+  for (let i = 0; i < ids.length; i += META_CHUNK_SIZE) {
+    // Stop once the page has been re-rendered
+    if (!audioEls[0].isConnected) return;
+    try {
+      const resp = await axios.post('/api/recordings/meta', { ids: ids.slice(i, i + META_CHUNK_SIZE) }, { params: { account: tenantAccount } });
+      renderRecordingMeta(audioEls, resp.data.recordings || {});
+    } catch {
+      // Durations of this batch stay blank
     }
   }
-  Array.from({ length: Math.min(MAX_CONCURRENT, audioEls.length) }).forEach(worker);
 }
 
 let lastRecords = [];
@@ -528,127 +419,25 @@ const SERVER_PAGE_SIZE = 500;
 const PAGE_SIZE = 500;
 let currentPage = 1;
 
-// Server-side paging helpers
-let nextTokens = { in: null, out: null, camp: null, cdr: null };
+// Server-side paging helpers: the unified endpoint merges, orders and
+// de-duplicates all four call sources and hands back one cursor.
+let nextCursor = null;
 let baseQuery = {};
 
-// Buffers that hold rows fetched from the server but **not yet revealed**
-const buffers = { in: [], out: [], camp: [], cdr: [] };
-
-// Helper: derive epoch (ms) from a record for date comparisons
-function toEpoch(rec) {
-  const v = rec['Called Time'];
-  if (!v) return 0;
-  if (typeof v === 'number') {
-    // If value looks like epoch seconds (<1e11) convert to ms
-    return v < 1e11 ? v * 1000 : v;
-  }
-  const parsed = Date.parse(v);
-  return Number.isNaN(parsed) ? 0 : parsed;
-}
-
-// Deduplicate records by unique Call ID irrespective of Type
-function dedupRecords(list) {
-  const seen = new Map();
-  list.forEach(rec => {
-    const key = rec['Call ID'] || Symbol();
-    if (!seen.has(key)) {
-      seen.set(key, rec);
-    }
-  });
-  return Array.from(seen.values());
-}
-
-// Pull up to PAGE_SIZE newest rows across the three buffers into lastRecords
-function revealNextBatch() {
-  const startLen = lastRecords.length;
-  while (lastRecords.length - startLen < PAGE_SIZE) {
-    // Pick newest record across buffers
-    let pickKey = null;
-    let pickRec = null;
-    ['in', 'out', 'camp', 'cdr'].forEach(k => {
-      if (!buffers[k].length) return;
-      const candidate = buffers[k][0];
-      if (!pickRec || toEpoch(candidate) > toEpoch(pickRec)) {
-        pickRec = candidate;
-        pickKey = k;
-      }
-    });
-    if (!pickKey) break; // buffers empty
-
-    lastRecords.push(buffers[pickKey].shift());
-
-    // Deduplicate on the fly to avoid counting duplicates toward the quota
-    lastRecords = dedupRecords(lastRecords);
-  }
-
-  // Ensure sort order after possible pushes
-  lastRecords.sort((a, b) => toEpoch(b) - toEpoch(a));
+// Fetch one blended page from /api/reports/unified and append it to lastRecords
+async function fetchUnifiedPage(cursor) {
+  const params = { ...baseQuery, limit: SERVER_PAGE_SIZE, ...(cursor && { cursor }) };
+  const res = await axios.get('/api/reports/unified', { params });
+  const { data: rows = [], next } = res.data || {};
+  nextCursor = next ?? null;
+  lastRecords.push(...rows);
 }
 
 async function loadNextChunks() {
-  const promises = [];
-  // helper to fetch and append rows
-  const fetchChunk = (endpoint, tokenKey, normalizer) => {
-    const nxt = nextTokens[tokenKey];
-    if (nxt === null) return; // no more on server
-    const params = { ...baseQuery, limit: SERVER_PAGE_SIZE, ...(nxt && { startKey: nxt }) };
-    promises.push(
-      axios.get(endpoint, { params }).then(res => {
-        const { data: rows = [], next } = res.data || {};
-        nextTokens[tokenKey] = next ?? null;
-        const normalized = rows.map(normalizer);
-        buffers[tokenKey].push(...normalized);
-        buffers[tokenKey].sort((a, b) => toEpoch(b) - toEpoch(a));
-      })
-    );
-  };
-
-  fetchChunk('/api/reports/queueCalls', 'in', r => normalizeRow(r, 'in'));
-  fetchChunk('/api/reports/queueOutboundCalls', 'out', r => normalizeRow(r, 'out'));
-  fetchChunk('/api/reports/campaignsActivity', 'camp', r => normalizeRow(r, 'camp'));
-  fetchChunk('/api/reports/cdrs', 'cdr', r => normalizeRow(r, 'cdr'));
-
-  if (promises.length) {
-    await Promise.all(promises);
+  if (nextCursor) {
+    await fetchUnifiedPage(nextCursor);
   }
 
-  // If none of the endpoints returned a next token but we still got exactly
-  // SERVER_PAGE_SIZE rows on the previous page, attempt time-window paging.
-  const noMoreTokens = Object.values(nextTokens).every(v => v === null);
-  if (noMoreTokens) {
-    // Determine oldest Called Time among currently loaded rows
-    const oldest = lastRecords.reduce((min, r) => {
-      const ts = toEpoch(r);
-      return (min === null || ts < min) ? ts : min;
-    }, null);
-
-    if (oldest) {
-      // oldest may be in seconds (10 digits) or milliseconds (13). Ensure ms.
-      const oldestMs = oldest < 1_000_000_000_000 ? oldest * 1000 : oldest;
-      const newEndIso = new Date(oldestMs - 1000).toISOString();
-      const timeParams = { ...baseQuery, end: newEndIso, limit: SERVER_PAGE_SIZE };
-      const [inRes, outRes, campRes, cdrRes] = await Promise.all([
-        axios.get('/api/reports/queueCalls', { params: timeParams }),
-        axios.get('/api/reports/queueOutboundCalls', { params: timeParams }),
-        axios.get('/api/reports/campaignsActivity', { params: timeParams }),
-        axios.get('/api/reports/cdrs', { params: timeParams })
-      ]);
-
-      [inRes, outRes, campRes, cdrRes].forEach((res, idx) => {
-        const rows = res.data?.data || [];
-        if (!rows.length) return;
-        const type = idx === 0 ? 'in' : idx === 1 ? 'out' : idx === 2 ? 'camp' : 'cdr';
-        const norm = rows.map(r => normalizeRow(r, type));
-        buffers[type].push(...norm);
-        buffers[type].sort((a, b) => toEpoch(b) - toEpoch(a));
-      });
-    }
-  }
-
-  // After network / buffer work, reveal next blended batch and refresh UI
-  revealNextBatch();
-
   // Refresh filters/totals
   const grid = document.getElementById('filtersGrid');
   const anyFilter = grid && Array.from(grid.querySelectorAll('[data-col]')).some(el => el.value.trim() !== '');
@@ -693,12 +482,9 @@ function renderCurrentPage() {
     table.parentNode.insertBefore(nav, table.nextSibling);
   }
 
-  // Determine if more data might exist beyond currentFiltered
-  const buffersEmpty = !buffers.in.length && !buffers.out.length && !buffers.camp.length && !buffers.cdr.length;
-  const noMoreTokens = Object.values(nextTokens).every(v => v === null);
-  // Enable Next as long as we still have buffered records or server pages, even if
-  // the current filtered page shows fewer rows than PAGE_SIZE.
-  const mayHaveMore = !(buffersEmpty && noMoreTokens);
+  // Enable Next as long as the server still has pages, even if the current
+  // filtered page shows fewer rows than PAGE_SIZE.
+  const mayHaveMore = nextCursor !== null;
 
   const prevDisabled = currentPage === 1 ? 'disabled' : '';
   const nextDisabled = (currentPage === totalPages && !mayHaveMore) ? 'disabled' : '';
@@ -848,6 +634,77 @@ function applyFilters() {
   }
 }
 
+// --- Report tabs ---
+// "calls" is the unified call list; every other tab is an aggregated table
+// served by /api/reports/<tab> (with its column layout) and downloadable
+// from /api/reports/<tab>/export.
+let activeTab = 'calls';
+const aggregateView = document.getElementById('aggregateView');
+const aggregateTable = document.getElementById('aggregateTable');
+
+// Format one aggregated cell by its column kind (see AGENT_KPI_COLUMNS on the server)
+function aggregateCell(col, v) {
+  if (col.kind === 'flag') return v ? '<span class="has-text-success">Yes</span>' : '<span class="has-text-danger">No</span>';
+  if (col.kind === 'duration') return secondsToHMS(Math.round(v || 0));
+  if (col.kind === 'ratio') return `${((v || 0) * 100).toFixed(1)}%`;
+  if (col.kind === 'time') return v == null ? '' : isoToLocal(new Date(v * 1000).toISOString());
+  if (col.kind === 'breakdown' || col.kind === 'durations') {
+    return Object.entries(v || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, n]) => `${name}: ${col.kind === 'durations' ? secondsToHMS(Math.round(n)) : n}`)
+      .join('<br>');
+  }
+  return v ?? '';
+}
+
+function renderAggregate(columns, rows) {
+  if (!rows.length) {
+    aggregateTable.innerHTML = '<caption>No results for selected range.</caption>';
+    return;
+  }
+  const thead = `<thead><tr>${columns.map(c => `<th>${c.header}</th>`).join('')}</tr></thead>`;
+  const body = rows
+    .map(r => `<tr>${columns.map(c => `<td${['count', 'duration', 'ratio'].includes(c.kind) ? ' class="num"' : ''}>${aggregateCell(c, r[c.key])}</td>`).join('')}</tr>`)
+    .join('');
+  aggregateTable.innerHTML = `${thead}<tbody>${body}</tbody>`;
+}
+
+async function fetchAggregate() {
+  const res = await axios.get(`/api/reports/${activeTab}`, { params: baseQuery });
+  const { columns = [], data: rows = [] } = res.data || {};
+  renderAggregate(columns, rows);
+  statsBox.innerHTML = `<strong>${rows.length}</strong> rows`;
+  show(statsBox);
+}
+
+function switchTab(tab) {
+  if (tab === activeTab) return;
+  activeTab = tab;
+  document.querySelectorAll('#reportTabs li').forEach(li => li.classList.toggle('is-active', li.dataset.tab === tab));
+  document.querySelectorAll('.calls-only').forEach(el => (tab === 'calls' ? show(el) : hide(el)));
+  document.querySelectorAll('[data-tab-only]').forEach(el => (el.dataset.tabOnly === tab ? show(el) : hide(el)));
+  if (tab === 'calls') hide(aggregateView); else show(aggregateView);
+
+  // Results on screen belong to the previous tab; refetch when a range is set
+  table.innerHTML = '';
+  aggregateTable.innerHTML = '';
+  hide(statsBox);
+  csvBtn.disabled = true;
+  xlsxBtn.disabled = true;
+  pdfBtn.disabled = true;
+  zipBtn.disabled = true;
+  if (!fetchBtn.disabled) form.requestSubmit();
+}
+
+document.querySelectorAll('#reportTabs li').forEach(li => {
+  li.addEventListener('click', () => switchTab(li.dataset.tab));
+});
+
+// A new interval size or activity view needs a new fetch
+['bucket', 'activityView'].forEach(id => document.getElementById(id).addEventListener('change', () => {
+  if (!fetchBtn.disabled) form.requestSubmit();
+}));
+
 // Enable fetch button only when both start & end date-times are selected
 function toggleFetchBtn() {
   const startVal = document.getElementById('start').value;
@@ -864,8 +721,12 @@ form.addEventListener('submit', async e => {
   hide(errorBox);
   show(loadingEl);
   table.innerHTML = '';
+  aggregateTable.innerHTML = '';
   hide(statsBox);
   csvBtn.disabled = true;
+  xlsxBtn.disabled = true;
+  pdfBtn.disabled = true;
+  zipBtn.disabled = true;
 
   const account = document.getElementById('account').value.trim();
   // Cache globally for renderReportTable to use when constructing /api/recordings URLs
@@ -875,38 +736,34 @@ form.addEventListener('submit', async e => {
 
   try {
     baseQuery = { account, start, end };
-    const firstParams = { ...baseQuery, limit: SERVER_PAGE_SIZE };
-    // Fetch first page for each endpoint in parallel
-    const [inRes, outRes, campRes, cdrRes] = await Promise.all([
-      axios.get('/api/reports/queueCalls', { params: firstParams }),
-      axios.get('/api/reports/queueOutboundCalls', { params: firstParams }),
-      axios.get('/api/reports/campaignsActivity', { params: firstParams }),
-      axios.get('/api/reports/cdrs', { params: firstParams })
-    ]);
-
-    nextTokens.in = inRes.data.next ?? null;
-    nextTokens.out = outRes.data.next ?? null;
-    nextTokens.camp = campRes.data.next ?? null;
-    nextTokens.cdr = cdrRes.data.next ?? null;
-
-    // Buffer the rows but do **not** reveal yet
-    buffers.in   = (inRes.data.data   || []).map(r => normalizeRow(r, 'in'));
-    buffers.out  = (outRes.data.data  || []).map(r => normalizeRow(r, 'out'));
-    buffers.camp = (campRes.data.data || []).map(r => normalizeRow(r, 'camp'));
-    buffers.cdr  = (cdrRes.data.data  || []).map(r => normalizeRow(r, 'cdr'));
-
-    lastRecords = [];
-    revealNextBatch();
-
-    // Initialize filtered list and UI after first batch
-    currentFiltered = [...lastRecords];
-    buildFilters(); // safe no-op if already built
-    // Automatically apply any filter values entered before fetching
-    applyFilters();
-    currentPage = 1;
-    renderCurrentPage();
+    if (activeTab === 'interval') baseQuery.bucket = document.getElementById('bucket').value;
+    if (activeTab === 'agentActivity') {
+      baseQuery.view = document.getElementById('activityView').value;
+      const name = document.getElementById('activityName').value.trim();
+      const extension = document.getElementById('activityExtension').value.trim();
+      if (name) baseQuery.name = name;
+      if (extension) baseQuery.extension = extension;
+    }
+    if (activeTab !== 'calls') {
+      await fetchAggregate();
+    } else {
+      lastRecords = [];
+      nextCursor = null;
+      await fetchUnifiedPage(null);
+
+      // Initialize filtered list and UI after first batch
+      currentFiltered = [...lastRecords];
+      buildFilters(); // safe no-op if already built
+      // Automatically apply any filter values entered before fetching
+      applyFilters();
+      currentPage = 1;
+      renderCurrentPage();
+    }
 
     csvBtn.disabled = false;
+    xlsxBtn.disabled = false;
+    pdfBtn.disabled = false;
+    zipBtn.disabled = false;
   } catch (err) {
     // Extract meaningful message from server or axios error.
     const respErr = err.response?.data?.error;
@@ -925,45 +782,71 @@ form.addEventListener('submit', async e => {
   }
 });
 
-// Convert current records to CSV and trigger download
-function recordsToCsv(recs) {
-  if (!recs.length) return '';
-  const header = HEADERS.join(',');
-  const rows = recs.map(r => HEADERS.map(h => {
-    let v = r[h] ?? '';
-    // Exclude history columns that hold HTML
-    if (h === 'Agent History' || h === 'Queue History' || h === 'Lead History') {
-      v = '';
-    }
-    if (typeof v === 'object') v = JSON.stringify(v);
-    // Escape double quotes and wrap if value contains comma/newline
-    const s = String(v).replace(/"/g, '""');
-    return s.includes(',') || s.includes('\n') ? `"${s}"` : s;
-  }).join(','));
-  return [header, ...rows].join('\n');
-}
-
-csvBtn.addEventListener('click', () => {
-  const list = (currentFiltered && currentFiltered.length) ? currentFiltered : lastRecords;
-  const csv = recordsToCsv(list);
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `queue_report_${Date.now()}.csv`;
-  a.style.display = 'none';
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+// Current filter-box values keyed by column (same shape applyFilters uses)
+function activeFilters() {
+  const filters = {};
+  document.querySelectorAll('#filtersGrid [data-col]').forEach(el => {
+    const val = el.value.trim();
+    if (val) filters[el.dataset.col] = val;
+  });
+  return filters;
+}
+
+// Download the whole range from the server, not just the rows loaded so
+// far. The browser handles the streamed attachment itself.
+function downloadExport(format) {
+  if (activeTab !== 'calls') {
+    window.location.href = `/api/reports/${activeTab}/export?${new URLSearchParams({ ...baseQuery, format })}`;
+    return;
+  }
+  const params = new URLSearchParams({ ...baseQuery, filters: JSON.stringify(activeFilters()), format });
+  window.location.href = `/api/reports/unified/export?${params}`;
+}
+
+csvBtn.addEventListener('click', () => downloadExport('csv'));
+xlsxBtn.addEventListener('click', () => downloadExport('xlsx'));
+
+// KPI summary of the fetched range (column filters do not apply)
+pdfBtn.addEventListener('click', () => {
+  const { account, start, end } = baseQuery;
+  window.location.href = `/api/reports/summary/pdf?${new URLSearchParams({ account, start, end })}`;
+});
+
+// Every recording of the fetched range that passes the column filters
+zipBtn.addEventListener('click', () => {
+  const params = new URLSearchParams({ ...baseQuery, filters: JSON.stringify(activeFilters()) });
+  window.location.href = `/api/recordings/zip?${params}`;
 });
 
 // --- Auth helpers ---
+// Show only the controls (tagged data-permission="...") the user's role allows
+function applyPermissions() {
+  document.querySelectorAll('[data-permission]').forEach(el => {
+    if (can(el.dataset.permission)) show(el); else hide(el);
+  });
+}
+
+// A 401 from any API call means the session expired mid-use: back to login
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) {
+      window.location.href = '/login.html';
+    }
+    return Promise.reject(err);
+  }
+);
+
 async function checkAuth() {
   try {
     const res = await axios.get('/api/auth/check');
-    if (res.data.authenticated) {
+    if (res.data.authenticated && res.data.user?.mustChangePassword) {
+      window.location.href = '/login.html';
+    } else if (res.data.authenticated) {
+      userPermissions = new Set(res.data.user?.permissions || []);
+      applyPermissions();
       show(document.getElementById('logoutBtn'));
+      loadTenants().then(applyDrillDown);
     } else {
       window.location.href = '/login.html';
     }
@@ -972,6 +855,49 @@ async function checkAuth() {
   }
 }
 
+// Fill the account picker with the tenants this user may see; the last
+// choice is remembered per browser.
+async function loadTenants() {
+  const select = document.getElementById('account');
+  try {
+    const res = await axios.get('/api/tenants');
+    const tenants = (res.data.data || []).filter(t => t.enabled);
+    select.innerHTML = tenants
+      .map(t => `<option value="${t.slug}">${t.display_name || t.slug}</option>`)
+      .join('');
+    const saved = new URLSearchParams(window.location.search).get('account') || localStorage.getItem('account');
+    if (saved && tenants.some(t => t.slug === saved)) select.value = saved;
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  }
+}
+
+// Drill-down links from the dashboard (?account=&start=&end=&filters=<JSON>)
+// pre-fill the range and filter boxes and fetch straight away
+function applyDrillDown() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.get('start') || !params.get('end')) return;
+  document.getElementById('start').value = params.get('start');
+  document.getElementById('end').value = params.get('end');
+  let filters = {};
+  try { filters = JSON.parse(params.get('filters') || '{}'); } catch {}
+  Object.entries(filters).forEach(([col, term]) => {
+    const el = document.getElementById(`filter_${col.replace(/\s+/g, '_')}`);
+    if (!el) return;
+    el.value = term;
+    el.classList.add('filter-active');
+  });
+  // Plain URL again so a reload does not repeat the drill-down
+  history.replaceState(null, '', window.location.pathname);
+  toggleFetchBtn();
+  if (!fetchBtn.disabled) form.requestSubmit();
+}
+
+document.getElementById('account').addEventListener('change', e => {
+  localStorage.setItem('account', e.target.value);
+});
+
 document.addEventListener('DOMContentLoaded', () => {
   const btn = document.getElementById('logoutBtn');
   if (btn) {
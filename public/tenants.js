@@ -0,0 +1,145 @@
+// tenants.js – admin screen for /api/tenants
+
+/* global axios */
+const table = document.getElementById('tenantTable');
+const errorBox = document.getElementById('errorBox');
+const infoBox = document.getElementById('infoBox');
+const form = document.getElementById('tenantForm');
+const saveBtn = document.getElementById('saveBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+const editHint = document.getElementById('editHint');
+
+// Slug of the tenant being edited (null while creating)
+let editing = null;
+let tenants = [];
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function showError(err) {
+  hide(infoBox);
+  errorBox.textContent = err.response?.data?.error || err.message;
+  show(errorBox);
+}
+
+function showInfo(msg) {
+  hide(errorBox);
+  infoBox.textContent = msg;
+  show(infoBox);
+}
+
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) window.location.href = '/login.html';
+    return Promise.reject(err);
+  }
+);
+
+function renderTenants() {
+  const head = '<thead><tr><th>Slug</th><th>Display name</th><th>Base URL</th><th>X-Account-ID</th><th>Status</th><th>Actions</th></tr></thead>';
+  const rows = tenants.map(t => `<tr class="${t.enabled ? '' : 'row-disabled'}" data-slug="${escapeHtml(t.slug)}">
+      <td>${escapeHtml(t.slug)}</td>
+      <td>${escapeHtml(t.display_name)}</td>
+      <td>${escapeHtml(t.base_url)}</td>
+      <td>${escapeHtml(t.account_id_header || t.slug)}</td>
+      <td>${t.id == null ? 'From .env' : (t.enabled ? 'Enabled' : 'Disabled')}</td>
+      <td>${t.id == null ? '' : `
+        <button class="button is-small edit-btn">Edit</button>
+        <button class="button is-small toggle-btn">${t.enabled ? 'Disable' : 'Enable'}</button>`}
+      </td>
+    </tr>`).join('');
+  table.innerHTML = head + `<tbody>${rows}</tbody>`;
+}
+
+async function loadTenants() {
+  try {
+    const res = await axios.get('/api/tenants');
+    tenants = res.data.data || [];
+    renderTenants();
+  } catch (err) {
+    showError(err);
+  }
+}
+
+function resetForm() {
+  editing = null;
+  form.reset();
+  document.getElementById('slug').disabled = false;
+  document.getElementById('apiUsername').required = true;
+  document.getElementById('apiPassword').required = true;
+  saveBtn.textContent = 'Create tenant';
+  hide(cancelBtn);
+  hide(editHint);
+}
+
+function startEdit(slug) {
+  const t = tenants.find(x => x.slug === slug);
+  if (!t) return;
+  editing = slug;
+  document.getElementById('slug').value = t.slug;
+  document.getElementById('slug').disabled = true;
+  document.getElementById('displayName').value = t.display_name || '';
+  document.getElementById('baseUrl').value = t.base_url || '';
+  document.getElementById('accountIdHeader').value = t.account_id_header || '';
+  document.getElementById('apiUsername').value = '';
+  document.getElementById('apiPassword').value = '';
+  document.getElementById('apiUsername').required = false;
+  document.getElementById('apiPassword').required = false;
+  saveBtn.textContent = 'Save changes';
+  show(cancelBtn);
+  show(editHint);
+}
+
+table.addEventListener('click', async e => {
+  const row = e.target.closest('tr');
+  if (!row) return;
+  const slug = row.dataset.slug;
+  if (e.target.matches('.edit-btn')) {
+    startEdit(slug);
+  } else if (e.target.matches('.toggle-btn')) {
+    const t = tenants.find(x => x.slug === slug);
+    try {
+      await axios.patch(`/api/tenants/${encodeURIComponent(slug)}`, { enabled: !t.enabled });
+      showInfo(t.enabled ? 'Tenant disabled' : 'Tenant enabled');
+    } catch (err) {
+      showError(err);
+    }
+    loadTenants();
+  }
+});
+
+cancelBtn.addEventListener('click', resetForm);
+
+form.addEventListener('submit', async e => {
+  e.preventDefault();
+  const body = {
+    displayName: document.getElementById('displayName').value.trim(),
+    baseUrl: document.getElementById('baseUrl').value.trim(),
+    accountIdHeader: document.getElementById('accountIdHeader').value.trim(),
+    username: document.getElementById('apiUsername').value.trim(),
+    password: document.getElementById('apiPassword').value
+  };
+  saveBtn.classList.add('is-loading');
+  try {
+    if (editing) {
+      await axios.patch(`/api/tenants/${encodeURIComponent(editing)}`, body);
+      showInfo('Tenant updated');
+    } else {
+      await axios.post('/api/tenants', { ...body, slug: document.getElementById('slug').value.trim() });
+      showInfo('Tenant created');
+    }
+    resetForm();
+    loadTenants();
+  } catch (err) {
+    showError(err);
+  } finally {
+    saveBtn.classList.remove('is-loading');
+  }
+});
+
+loadTenants();
@@ -0,0 +1,225 @@
+// users.js – admin screen for /api/users
+
+/* global axios */
+const ROLES = ['viewer', 'qa', 'supervisor', 'admin'];
+
+const table = document.getElementById('userTable');
+const sessionTable = document.getElementById('sessionTable');
+const errorBox = document.getElementById('errorBox');
+const infoBox = document.getElementById('infoBox');
+const createForm = document.getElementById('createForm');
+const scopeForm = document.getElementById('scopeForm');
+
+// Id of the user whose scope is being edited
+let scopeUserId = null;
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatDate(v) {
+  return v ? new Date(v).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' }) : '';
+}
+
+function showError(err) {
+  hide(infoBox);
+  errorBox.textContent = err.response?.data?.error || err.message;
+  show(errorBox);
+}
+
+function showInfo(msg) {
+  hide(errorBox);
+  infoBox.textContent = msg;
+  show(infoBox);
+}
+
+// Session expired or not an admin: back to login / reports
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) window.location.href = '/login.html';
+    return Promise.reject(err);
+  }
+);
+
+function renderUsers(users) {
+  const head = '<thead><tr><th>Username</th><th>Email</th><th>Role</th><th>Status</th><th>Last login</th><th>Actions</th></tr></thead>';
+  const rows = users.map(u => {
+    const roleOpts = ROLES.map(r => `<option ${r === u.role ? 'selected' : ''}>${r}</option>`).join('');
+    const status = u.disabled ? 'Disabled' : (u.must_change_password ? 'Password reset pending' : 'Active');
+    return `<tr class="${u.disabled ? 'row-disabled' : ''}" data-id="${u.id}">
+      <td class="username">${escapeHtml(u.username)}</td>
+      <td>${escapeHtml(u.email)}</td>
+      <td><div class="select is-small"><select class="role-select">${roleOpts}</select></div></td>
+      <td>${status}</td>
+      <td>${formatDate(u.last_login)}</td>
+      <td>
+        <button class="button is-small toggle-btn" data-disabled="${u.disabled ? 1 : 0}">${u.disabled ? 'Enable' : 'Disable'}</button>
+        <button class="button is-small reset-btn">Reset password</button>
+        ${u.role === 'admin' ? '' : '<button class="button is-small scope-btn">Scope</button>'}
+      </td>
+    </tr>`;
+  }).join('');
+  table.innerHTML = head + `<tbody>${rows}</tbody>`;
+}
+
+async function loadUsers() {
+  try {
+    const res = await axios.get('/api/users');
+    renderUsers(res.data.data || []);
+  } catch (err) {
+    if (err.response?.status === 403) {
+      window.location.href = '/index.html';
+      return;
+    }
+    showError(err);
+  }
+}
+
+function renderSessions(sessions) {
+  const head = '<thead><tr><th>User</th><th>IP</th><th>Browser</th><th>Signed in</th><th>Last active</th><th>Expires</th><th></th></tr></thead>';
+  const rows = sessions.map(s => `<tr data-id="${escapeHtml(s.id)}">
+      <td>${escapeHtml(s.username)}</td>
+      <td>${escapeHtml(s.ip)}</td>
+      <td>${escapeHtml(s.user_agent)}</td>
+      <td>${formatDate(s.created_at)}</td>
+      <td>${formatDate(s.last_seen_at)}</td>
+      <td>${formatDate(s.expires_at)}</td>
+      <td>${s.current ? 'This session' : '<button class="button is-small end-session-btn">End session</button>'}</td>
+    </tr>`).join('');
+  sessionTable.innerHTML = head + `<tbody>${rows || '<tr><td colspan="7">No active sessions</td></tr>'}</tbody>`;
+}
+
+async function loadSessions() {
+  try {
+    const res = await axios.get('/api/admin/sessions');
+    renderSessions(res.data.data || []);
+  } catch (err) {
+    showError(err);
+  }
+}
+
+sessionTable.addEventListener('click', async e => {
+  if (!e.target.matches('.end-session-btn')) return;
+  const id = e.target.closest('tr').dataset.id;
+  if (!confirm('End this session? That browser will be logged out.')) return;
+  try {
+    await axios.delete(`/api/admin/sessions/${id}`);
+    showInfo('Session ended');
+  } catch (err) {
+    showError(err);
+  }
+  loadSessions();
+});
+
+document.getElementById('sessionsRefreshBtn').addEventListener('click', loadSessions);
+
+table.addEventListener('change', async e => {
+  if (!e.target.matches('.role-select')) return;
+  const id = e.target.closest('tr').dataset.id;
+  try {
+    await axios.patch(`/api/users/${id}`, { role: e.target.value });
+    showInfo('Role updated');
+  } catch (err) {
+    showError(err);
+  }
+  loadUsers();
+});
+
+table.addEventListener('click', async e => {
+  const row = e.target.closest('tr');
+  if (!row) return;
+  const id = row.dataset.id;
+
+  if (e.target.matches('.toggle-btn')) {
+    const disabled = e.target.dataset.disabled !== '1';
+    try {
+      await axios.patch(`/api/users/${id}`, { disabled });
+      showInfo(disabled ? 'User disabled and signed out' : 'User enabled');
+    } catch (err) {
+      showError(err);
+    }
+    loadUsers();
+    loadSessions();
+  } else if (e.target.matches('.reset-btn')) {
+    if (!confirm('Reset this user\'s password? They will be signed out and have to choose a new one at next login.')) return;
+    try {
+      const res = await axios.post(`/api/users/${id}/reset-password`);
+      showInfo(`Temporary password: ${res.data.temporaryPassword}`);
+    } catch (err) {
+      showError(err);
+    }
+    loadUsers();
+    loadSessions();
+  } else if (e.target.matches('.scope-btn')) {
+    openScope(id, row.querySelector('.username').textContent);
+  }
+});
+
+// "a, b ,c" ⇄ ['a', 'b', 'c']
+function splitList(v) {
+  return v.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+async function openScope(id, username) {
+  try {
+    const res = await axios.get(`/api/users/${id}/scope`);
+    const { tenants, queues, campaigns } = res.data.data;
+    scopeUserId = id;
+    document.getElementById('scopeUser').textContent = username;
+    document.getElementById('scopeTenants').value = tenants.join(', ');
+    document.getElementById('scopeQueues').value = queues.join(', ');
+    document.getElementById('scopeCampaigns').value = campaigns.join(', ');
+    show(scopeForm);
+  } catch (err) {
+    showError(err);
+  }
+}
+
+document.getElementById('scopeCancelBtn').addEventListener('click', () => hide(scopeForm));
+
+scopeForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const btn = document.getElementById('scopeSaveBtn');
+  btn.classList.add('is-loading');
+  try {
+    await axios.put(`/api/users/${scopeUserId}/scope`, {
+      tenants: splitList(document.getElementById('scopeTenants').value),
+      queues: splitList(document.getElementById('scopeQueues').value),
+      campaigns: splitList(document.getElementById('scopeCampaigns').value)
+    });
+    hide(scopeForm);
+    showInfo('Scope updated');
+  } catch (err) {
+    showError(err);
+  } finally {
+    btn.classList.remove('is-loading');
+  }
+});
+
+createForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const btn = document.getElementById('createBtn');
+  btn.classList.add('is-loading');
+  try {
+    await axios.post('/api/users', {
+      username: document.getElementById('newUsername').value.trim(),
+      email: document.getElementById('newEmail').value.trim(),
+      password: document.getElementById('newPassword').value,
+      role: document.getElementById('newRole').value
+    });
+    createForm.reset();
+    showInfo('User created – they will be asked to change the password at first login');
+    loadUsers();
+  } catch (err) {
+    showError(err);
+  } finally {
+    btn.classList.remove('is-loading');
+  }
+});
+
+loadUsers();
+loadSessions();
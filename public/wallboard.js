@@ -0,0 +1,146 @@
+// wallboard.js – live agent board over /api/agents/stream (Server-Sent Events)
+
+/* global axios */
+const errorBox = document.getElementById('errorBox');
+const countsEl = document.getElementById('counts');
+const agentsEl = document.getElementById('agents');
+const updatedEl = document.getElementById('updated');
+const connectionEl = document.getElementById('connection');
+const select = document.getElementById('account');
+
+// State → colour; anything else gets grey
+const STATE_COLORS = {
+  available: '#43a047',
+  idle: '#43a047',
+  ready: '#43a047',
+  on_call: '#1976d2',
+  busy: '#1976d2',
+  ringing: '#ffb300',
+  wrap_up: '#8e24aa',
+  break: '#EF6F53',
+  away: '#EF6F53',
+  paused: '#EF6F53',
+  offline: '#616161',
+  logged_out: '#616161'
+};
+
+let source = null;
+let board = null;
+// Server clock minus browser clock, so "time in state" survives a skewed TV clock
+let clockSkew = 0;
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const stateColor = state => STATE_COLORS[state] || '#757575';
+const stateLabel = state => state.replace(/_/g, ' ');
+
+function formatElapsed(sec) {
+  if (sec == null || sec < 0) return '–';
+  const h = Math.floor(sec / 3600);
+  const m = String(Math.floor((sec % 3600) / 60)).padStart(2, '0');
+  const s = String(sec % 60).padStart(2, '0');
+  return h ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+const serverNow = () => Math.floor(Date.now() / 1000) + clockSkew;
+
+function render() {
+  if (!board) return;
+  countsEl.innerHTML = Object.entries(board.counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([state, n]) => `<div class="count-tile" style="border-top:6px solid ${stateColor(state)}">
+        <div class="value">${n}</div><div class="name">${escapeHtml(stateLabel(state))}</div></div>`)
+    .join('') + `<div class="count-tile"><div class="value">${board.agents.length}</div><div class="name">Total</div></div>`;
+
+  agentsEl.innerHTML = board.agents
+    .map(a => `<div class="agent" style="border-left-color:${stateColor(a.state)}">
+        <div class="name" title="${escapeHtml(a.name)}">${escapeHtml(a.name)}</div>
+        <div class="ext">Ext. ${escapeHtml(a.extension)}</div>
+        <div class="state" style="color:${stateColor(a.state)}">${escapeHtml(stateLabel(a.state))}${a.reason ? ` – ${escapeHtml(a.reason)}` : ''}</div>
+        <div class="timer" data-since="${a.since ?? ''}">${formatElapsed(a.since ? serverNow() - a.since : null)}</div>
+      </div>`)
+    .join('');
+  updatedEl.textContent = `Updated ${new Date(board.updatedAt * 1000).toLocaleTimeString('en-GB', { timeZone: 'Asia/Dubai' })}`;
+}
+
+// Tick the time-in-state counters between updates
+setInterval(() => {
+  agentsEl.querySelectorAll('.timer[data-since]').forEach(el => {
+    const since = Number(el.dataset.since);
+    if (since) el.textContent = formatElapsed(serverNow() - since);
+  });
+}, 1000);
+
+function setConnection(ok) {
+  connectionEl.textContent = ok ? '● Live' : '● Reconnecting…';
+  connectionEl.style.color = ok ? '#43a047' : '#EF6F53';
+}
+
+function connect(account) {
+  source?.close();
+  board = null;
+  countsEl.innerHTML = '';
+  agentsEl.innerHTML = '';
+  source = new EventSource(`/api/agents/stream?${new URLSearchParams({ account })}`);
+
+  source.addEventListener('open', () => setConnection(true));
+  source.addEventListener('status', e => {
+    board = JSON.parse(e.data);
+    clockSkew = board.now - Math.floor(Date.now() / 1000);
+    hide(errorBox);
+    render();
+  });
+  source.addEventListener('failure', e => {
+    errorBox.textContent = `Portal unavailable: ${JSON.parse(e.data).error}`;
+    show(errorBox);
+  });
+  // EventSource retries by itself; a lost session needs a new login though
+  source.addEventListener('error', async () => {
+    setConnection(false);
+    const res = await axios.get('/api/auth/check').catch(() => null);
+    if (res && !res.data.authenticated) window.location.href = '/login.html';
+  });
+}
+
+async function loadTenants() {
+  const res = await axios.get('/api/tenants');
+  const tenants = (res.data.data || []).filter(t => t.enabled);
+  select.innerHTML = tenants
+    .map(t => `<option value="${escapeHtml(t.slug)}">${escapeHtml(t.display_name || t.slug)}</option>`)
+    .join('');
+  const wanted = new URLSearchParams(window.location.search).get('account') || localStorage.getItem('account');
+  if (wanted && tenants.some(t => t.slug === wanted)) select.value = wanted;
+}
+
+select.addEventListener('change', () => {
+  localStorage.setItem('account', select.value);
+  connect(select.value);
+});
+
+// The stream alone never refreshes the session cookie; a light authenticated
+// request every few minutes keeps an unattended screen logged in
+setInterval(() => {
+  if (select.value) axios.get('/api/agents/status', { params: { account: select.value } }).catch(() => {});
+}, 5 * 60 * 1000);
+
+async function init() {
+  try {
+    const res = await axios.get('/api/auth/check');
+    if (!res.data.authenticated || res.data.user?.mustChangePassword) {
+      window.location.href = '/login.html';
+      return;
+    }
+    await loadTenants();
+    if (select.value) connect(select.value);
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  }
+}
+
+init();
@@ -0,0 +1,348 @@
+// recordingArchive.js
+// Local copies of call recordings, kept after the portal purges its own.
+//
+// An archive run walks the report rows of a range (every source that
+// carries a recording id), downloads each recording that is not archived yet
+// through openRecording() and stores it as
+//   RECORDING_ARCHIVE_DIR/<tenant>/<YYYY>/<MM>/<DD>/<recording id>_<hash>.<ext>
+// (call date in Dubai time; <hash> from the raw id), indexed in `recording_archive` by recording id,
+// call id and sha256. Files are written under a temporary name and renamed
+// once complete, so an interrupted download never looks archived.
+//
+// The background worker is opt-in: RECORDING_ARCHIVE=true archives every
+// RECORDING_ARCHIVE_INTERVAL (default 1h) the calls from
+// RECORDING_ARCHIVE_LOOKBACK (default 2d) up to RECORDING_ARCHIVE_LAG
+// (default 15m) ago. RECORDING_ARCHIVE_RETENTION (e.g. 400d) deletes files
+// of calls older than that after each run; unset keeps them forever. CLI at
+// the bottom.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import ms from 'ms';
+import { pool } from './db.js';
+import { iterateReport } from './reportFetcher.js';
+import { listTenants } from './tenantRegistry.js';
+import { localDate } from './timeUtils.js';
+import { openRecording } from './recordings.js';
+
+const DELETE_BATCH = 500;
+
+// Report type → when the call happened, and whether it is over. Queue rows
+// without a hangup time are still in progress.
+const SOURCES = {
+  queueCalls: { time: r => r.called_time, done: r => Boolean(r.hangup_time) },
+  queueOutboundCalls: { time: r => r.called_time, done: r => Boolean(r.hangup_time) },
+  campaignsActivity: { time: r => r.timestamp ?? r.datetime, done: () => true },
+  cdrs: { time: r => r.timestamp ?? r.datetime, done: () => true }
+};
+
+const EXTENSIONS = { 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3', 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/ogg': 'ogg' };
+
+export const archiveRoot = () => path.resolve(process.env.RECORDING_ARCHIVE_DIR || 'recordings-archive');
+
+function settings() {
+  const retention = process.env.RECORDING_ARCHIVE_RETENTION;
+  return {
+    lookback: ms(process.env.RECORDING_ARCHIVE_LOOKBACK || '2d') / 1000,
+    lag: ms(process.env.RECORDING_ARCHIVE_LAG || '15m') / 1000,
+    retention: retention ? ms(retention) / 1000 : null
+  };
+}
+
+// Epoch seconds from epoch s / ms / digit string / ISO string
+function epochSeconds(v) {
+  if (typeof v === 'number') return Math.floor(v > 10_000_000_000 ? v / 1000 : v);
+  if (typeof v !== 'string' || !v) return null;
+  if (/^\d+$/.test(v)) return Math.floor(v.length > 10 ? Number(v) / 1000 : Number(v));
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+const recordingOf = r => r.media_recording_id || r.recording_filename || null;
+
+/**
+ * Archived copy of a recording, or null.
+ * @returns {Promise<object|null>} the index row plus `file`, its absolute path.
+ */
+export async function findArchived(tenant, recordingId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM recording_archive WHERE tenant = ? AND recording_id = ?',
+    [tenant, recordingId]
+  );
+  return rows[0] ? { ...rows[0], file: path.join(archiveRoot(), rows[0].path) } : null;
+}
+
+/**
+ * Read stream of the archived copy of a recording, or null when there is
+ * none (or the archive cannot be reached).
+ * @returns {Promise<import('stream').Readable|null>}
+ */
+export async function openArchived(tenant, recordingId) {
+  try {
+    const archived = await findArchived(tenant, recordingId);
+    if (!archived) return null;
+    const stream = fs.createReadStream(archived.file);
+    await new Promise((resolve, reject) => stream.once('open', resolve).once('error', reject));
+    return stream;
+  } catch (err) {
+    console.warn(`Archived copy of ${tenant}/${recordingId} unavailable (${err.message})`);
+    return null;
+  }
+}
+
+/**
+ * Send an archived recording with res.sendFile(), which answers Range
+ * requests itself.
+ *
+ * @param {import('express').Response} res
+ * @param {object} archived – from findArchived().
+ * @param {object} [headers] – extra response headers.
+ * @returns {Promise<boolean>} false when the file could not be read before
+ *   anything was sent, so the caller can fall back to the portal.
+ */
+export function sendArchived(res, archived, headers = {}) {
+  return new Promise(resolve => {
+    res.sendFile(archived.file, { headers: { 'Content-Type': archived.content_type, ...headers } }, err => {
+      if (!err || res.headersSent) return resolve(true);
+      console.warn(`Archived recording ${archived.tenant}/${archived.recording_id} unreadable (${err.message})`);
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * Download one recording into the archive and index it.
+ *
+ * @param {string} tenant
+ * @param {object} entry – { recordingId, callId, reportType, callTime (epoch s) }.
+ * @returns {Promise<object>} { path, size, sha256 }
+ */
+export async function archiveRecording(tenant, { recordingId, callId, reportType, callTime }) {
+  const upstream = await openRecording(tenant, recordingId);
+  const contentType = String(upstream.headers['content-type'] || 'audio/mpeg').split(';')[0].trim();
+  const ext = path.extname(recordingId).slice(1).toLowerCase() || EXTENSIONS[contentType] || 'mp3';
+  // The short hash of the raw id keeps ids that only differ in replaced
+  // characters (or in a directory part) from sharing one file
+  const idHash = crypto.createHash('sha1').update(recordingId).digest('hex').slice(0, 8);
+  const base = `${path.basename(recordingId, path.extname(recordingId)).replace(/[^\w.-]+/g, '_')}_${idHash}`;
+  const relPath = path.join(tenant, ...localDate(callTime).split('-'), `${base}.${ext}`);
+  const file = path.join(archiveRoot(), relPath);
+  const tmp = `${file}.${process.pid}.part`;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  try {
+    await pipeline(
+      upstream.data,
+      async function* (source) {
+        for await (const chunk of source) {
+          hash.update(chunk);
+          size += chunk.length;
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(tmp)
+    );
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    throw err;
+  }
+
+  const sha256 = hash.digest('hex');
+  await pool.query(
+    `INSERT INTO recording_archive (tenant, recording_id, call_id, report_type, call_time, path, size_bytes, content_type, sha256)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE call_id = VALUES(call_id), path = VALUES(path), size_bytes = VALUES(size_bytes),
+       content_type = VALUES(content_type), sha256 = VALUES(sha256), archived_at = NOW()`,
+    [tenant, recordingId, callId || null, reportType, callTime, relPath, size, contentType, sha256]
+  );
+  return { path: relPath, size, sha256 };
+}
+
+// Recording ids of `ids` that are already archived
+async function archivedIds(tenant, ids) {
+  if (!ids.length) return new Set();
+  const [rows] = await pool.query(
+    'SELECT recording_id FROM recording_archive WHERE tenant = ? AND recording_id IN (?)',
+    [tenant, ids]
+  );
+  return new Set(rows.map(r => r.recording_id));
+}
+
+/**
+ * Archive every not-yet-archived recording of completed calls in a range.
+ * Recordings the portal no longer has (404) are counted as missing; other
+ * download failures are logged and retried on the next run.
+ *
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @returns {Promise<{archived:number, skipped:number, missing:number, failed:number, bytes:number}>}
+ */
+export async function archiveRange(tenant, params) {
+  const stats = { archived: 0, skipped: 0, missing: 0, failed: 0, bytes: 0 };
+  for (const [reportType, source] of Object.entries(SOURCES)) {
+    for await (const page of iterateReport(reportType, tenant, params, { cache: false })) {
+      const entries = new Map();
+      for (const row of page) {
+        const recordingId = recordingOf(row);
+        const callTime = epochSeconds(source.time(row));
+        if (!recordingId || callTime == null || !source.done(row)) continue;
+        entries.set(recordingId, { recordingId, callId: row.call_id ?? row.callid, reportType, callTime });
+      }
+      const done = await archivedIds(tenant, [...entries.keys()]);
+      for (const entry of entries.values()) {
+        if (done.has(entry.recordingId)) {
+          stats.skipped += 1;
+          continue;
+        }
+        try {
+          const { size } = await archiveRecording(tenant, entry);
+          stats.archived += 1;
+          stats.bytes += size;
+        } catch (err) {
+          if (err.response?.status === 404) {
+            stats.missing += 1;
+          } else {
+            stats.failed += 1;
+            console.warn(`Archiving recording ${tenant}/${entry.recordingId} failed:`, err.message);
+          }
+        }
+      }
+    }
+  }
+  return stats;
+}
+
+/**
+ * Archive the recent window (see RECORDING_ARCHIVE_LOOKBACK / _LAG) for
+ * every enabled tenant, or for `tenants`. Failures are per tenant.
+ */
+export async function archiveAll({ tenants, range } = {}) {
+  const { lookback, lag } = settings();
+  const now = Math.floor(Date.now() / 1000);
+  const params = range || { startDate: Math.floor(now - lookback), endDate: Math.floor(now - lag) };
+  const slugs = tenants || (await listTenants()).map(t => t.slug);
+  const results = [];
+  for (const tenant of slugs) {
+    try {
+      results.push({ tenant, ...(await archiveRange(tenant, params)) });
+    } catch (err) {
+      console.error(`Recording archive ${tenant} failed:`, err.response?.data || err.message);
+      results.push({ tenant, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Apply RECORDING_ARCHIVE_RETENTION: delete archived files (and their index
+ * rows) of calls older than the retention period.
+ * @returns {Promise<number>} recordings removed
+ */
+export async function purgeArchive() {
+  const { retention } = settings();
+  if (!retention) return 0;
+  const cutoff = Math.floor(Date.now() / 1000 - retention);
+  let removed = 0;
+  while (true) {
+    const [rows] = await pool.query(
+      'SELECT tenant, recording_id, path FROM recording_archive WHERE call_time < ? LIMIT ?',
+      [cutoff, DELETE_BATCH]
+    );
+    if (!rows.length) break;
+    for (const row of rows) {
+      await fs.promises.unlink(path.join(archiveRoot(), row.path)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+      await pool.query('DELETE FROM recording_archive WHERE tenant = ? AND recording_id = ?', [row.tenant, row.recording_id]);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Archive size per tenant, plus the active settings.
+ */
+export async function archiveStatus() {
+  const [rows] = await pool.query(
+    `SELECT tenant, COUNT(*) AS recordings, COALESCE(SUM(size_bytes), 0) AS bytes,
+            MIN(call_time) AS oldest_call, MAX(call_time) AS newest_call, MAX(archived_at) AS last_archived_at
+       FROM recording_archive GROUP BY tenant ORDER BY tenant`
+  );
+  const { lookback, lag, retention } = settings();
+  return {
+    root: archiveRoot(),
+    enabled: process.env.RECORDING_ARCHIVE === 'true',
+    lookbackSeconds: lookback,
+    lagSeconds: lag,
+    retentionSeconds: retention,
+    tenants: rows
+  };
+}
+
+/**
+ * Start the background archiver when RECORDING_ARCHIVE=true. Runs never overlap.
+ */
+export function startRecordingArchive() {
+  if (process.env.RECORDING_ARCHIVE !== 'true') return;
+  const interval = ms(process.env.RECORDING_ARCHIVE_INTERVAL || '1h');
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const results = await archiveAll();
+      const archived = results.reduce((n, r) => n + (r.archived || 0), 0);
+      const purged = await purgeArchive();
+      console.log(`Recording archive: ${archived} recordings archived, ${purged} past retention removed`);
+    } catch (err) {
+      console.error('Recording archive run failed:', err.message);
+    } finally {
+      busy = false;
+    }
+  };
+  tick();
+  setInterval(tick, interval).unref();
+  console.log(`Recording archive every ${ms(interval)} into ${archiveRoot()}`);
+}
+
+/**
+ * Minimal CLI:
+ *   node -r dotenv/config recordingArchive.js run [tenant] [startISO endISO]
+ *   node -r dotenv/config recordingArchive.js purge
+ *   node -r dotenv/config recordingArchive.js status
+ */
+async function cli() {
+  const [,, command, tenant, start, end] = process.argv;
+  if (command === 'run') {
+    let range;
+    if (start || end) {
+      range = { startDate: Math.floor(Date.parse(start) / 1000), endDate: Math.floor(Date.parse(end) / 1000) };
+      if (Number.isNaN(range.startDate) || Number.isNaN(range.endDate)) throw new Error('Invalid start / end date');
+    }
+    console.table(await archiveAll({ ...(tenant && { tenants: [tenant] }), range }));
+  } else if (command === 'purge') {
+    console.log(`${await purgeArchive()} recordings removed`);
+  } else if (command === 'status') {
+    const { tenants, ...status } = await archiveStatus();
+    console.log(status);
+    console.table(tenants);
+  } else {
+    console.error('Usage: node -r dotenv/config recordingArchive.js run [tenant] [startISO endISO] | purge | status');
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli()
+    .then(() => pool.end())
+    .catch(err => {
+      console.error(err.response?.data || err.stack || err.message);
+      process.exit(1);
+    });
+}
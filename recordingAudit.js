@@ -0,0 +1,178 @@
+// recordingAudit.js
+// Compliance trail of who played or downloaded which call recording, and
+// when (table `recording_audit`). Metadata lookups (durations shown in the
+// report tables) are not audited: they do not expose the audio.
+//
+// A browser plays a recording through many Range requests. Requests by the
+// same user, from the same address, for the same recording that follow each
+// other within RECORDING_AUDIT_SESSION_GAP (default 10m) are one "play" row
+// whose byte range, request count and last_at grow. Full fetches and ZIP
+// entries are one "download" row each.
+
+import ms from 'ms';
+import { pool } from './db.js';
+import { recordingCallId } from './scope.js';
+
+export const AUDIT_ACTIONS = ['play', 'download'];
+const COLLAPSED = new Set(['play']);
+
+// Open play sessions kept in memory
+const SESSIONS_MAX = 10000;
+const sessions = new Map();   // Map<key,{auditId:Promise<number>,lastSeen:number}>
+
+export const AUDIT_CSV_HEADERS = [
+  'First access', 'Last access', 'User', 'IP', 'Tenant', 'Action', 'Recording ID', 'Call ID',
+  'Byte range', 'Requests'
+];
+
+const sessionGap = () => ms(process.env.RECORDING_AUDIT_SESSION_GAP || '10m');
+
+// Call id from the recording index, else from the archive
+async function callIdOf(tenant, recordingId) {
+  const indexed = recordingCallId(tenant, recordingId);
+  if (indexed) return indexed;
+  try {
+    const [rows] = await pool.query(
+      'SELECT call_id FROM recording_archive WHERE tenant = ? AND recording_id = ?',
+      [tenant, recordingId]
+    );
+    return rows[0]?.call_id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function pruneSessions(now) {
+  if (sessions.size <= SESSIONS_MAX) return;
+  const gap = sessionGap();
+  for (const [key, s] of sessions) {
+    if (now - s.lastSeen > gap) sessions.delete(key);
+  }
+  while (sessions.size > SESSIONS_MAX) sessions.delete(sessions.keys().next().value);
+}
+
+async function insertAccess({ tenant, recordingId, callId, user, ip, action, range }) {
+  const [result] = await pool.query(
+    `INSERT INTO recording_audit
+       (tenant, recording_id, call_id, action, user_id, username, ip, range_start, range_end)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tenant, recordingId, callId ?? (await callIdOf(tenant, recordingId)), action,
+      user?.id ?? null, user?.username ?? '', ip ?? null, range?.start ?? null, range?.end ?? null]
+  );
+  return result.insertId;
+}
+
+/**
+ * Record one access to a recording; play requests continue the user's open
+ * session for that recording when there is one.
+ *
+ * @param {object} access
+ * @param {string} access.tenant
+ * @param {string} access.recordingId
+ * @param {string} [access.callId]   – looked up when omitted.
+ * @param {object} access.user       – session claims ({ id, username }).
+ * @param {string} access.ip
+ * @param {'play'|'download'} access.action
+ * @param {{start:number,end:number}|null} [access.range] – bytes served.
+ * @returns {Promise<number>} id of the audit row
+ */
+export async function recordAccess(access) {
+  const { tenant, recordingId, user, ip, action, range } = access;
+  if (!COLLAPSED.has(action)) return insertAccess(access);
+
+  const now = Date.now();
+  const key = [action, user?.id, ip, tenant, recordingId].join('|');
+  const session = sessions.get(key);
+  if (session && now - session.lastSeen <= sessionGap()) {
+    session.lastSeen = now;
+    const id = await session.auditId;
+    await pool.query(
+      `UPDATE recording_audit SET requests = requests + 1, last_at = NOW(),
+         range_start = COALESCE(LEAST(range_start, ?), range_start, ?),
+         range_end = COALESCE(GREATEST(range_end, ?), range_end, ?)
+       WHERE id = ?`,
+      [range?.start ?? null, range?.start ?? null, range?.end ?? null, range?.end ?? null, id]
+    );
+    return id;
+  }
+
+  const auditId = insertAccess(access);
+  const opened = { auditId, lastSeen: now };
+  sessions.delete(key);
+  sessions.set(key, opened);
+  pruneSessions(now);
+  try {
+    return await auditId;
+  } catch (err) {
+    if (sessions.get(key) === opened) sessions.delete(key);
+    throw err;
+  }
+}
+
+// WHERE clause for the viewer's filters; text filters match substrings
+function auditWhere({ tenant, user, recording, call, ip, action, startDate, endDate } = {}) {
+  const clauses = [];
+  const args = [];
+  if (tenant) { clauses.push('tenant = ?'); args.push(tenant); }
+  if (action) { clauses.push('action = ?'); args.push(action); }
+  if (user) { clauses.push('username LIKE ?'); args.push(`%${user}%`); }
+  if (recording) { clauses.push('recording_id LIKE ?'); args.push(`%${recording}%`); }
+  if (call) { clauses.push('call_id LIKE ?'); args.push(`%${call}%`); }
+  if (ip) { clauses.push('ip LIKE ?'); args.push(`${ip}%`); }
+  if (startDate) { clauses.push('first_at >= FROM_UNIXTIME(?)'); args.push(startDate); }
+  if (endDate) { clauses.push('first_at < FROM_UNIXTIME(?)'); args.push(endDate); }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', args };
+}
+
+/**
+ * One page of audit rows, newest first.
+ *
+ * @param {object} [filters] – { tenant, user, recording, call, ip, action, startDate, endDate }
+ *   (dates in epoch seconds).
+ * @param {object} [opts]
+ * @param {number} [opts.limit=100]
+ * @param {number} [opts.offset=0]
+ * @returns {Promise<{data: object[], total: number}>}
+ */
+export async function searchRecordingAudit(filters, { limit = 100, offset = 0 } = {}) {
+  const { where, args } = auditWhere(filters);
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM recording_audit ${where}`, args);
+  const [data] = await pool.query(
+    `SELECT * FROM recording_audit ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...args, limit, offset]
+  );
+  return { data, total };
+}
+
+/**
+ * Every matching audit row, newest first, in pages of `batch` rows.
+ *
+ * @param {object} [filters] – as for searchRecordingAudit().
+ * @param {number} [batch=1000]
+ * @yields {object[]}
+ */
+export async function* recordingAuditRows(filters, batch = 1000) {
+  const { where, args } = auditWhere(filters);
+  let before = null;
+  while (true) {
+    const cursor = before == null ? '' : `${where ? ' AND' : ' WHERE'} id < ?`;
+    const [rows] = await pool.query(
+      `SELECT * FROM recording_audit ${where}${cursor} ORDER BY id DESC LIMIT ?`,
+      [...args, ...(before == null ? [] : [before]), batch]
+    );
+    if (!rows.length) return;
+    yield rows;
+    if (rows.length < batch) return;
+    before = rows[rows.length - 1].id;
+  }
+}
+
+/** An audit row as a CSV record keyed by AUDIT_CSV_HEADERS. */
+export function auditCsvRecord(row) {
+  const range = row.range_start == null ? '' : `${row.range_start}-${row.range_end ?? ''}`;
+  const values = [
+    new Date(row.first_at).toISOString(), new Date(row.last_at).toISOString(), row.username, row.ip,
+    row.tenant, row.action, row.recording_id, row.call_id, range, row.requests
+  ];
+  return Object.fromEntries(AUDIT_CSV_HEADERS.map((h, i) => [h, values[i]]));
+}
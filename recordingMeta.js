@@ -0,0 +1,187 @@
+// recordingMeta.js
+// Technical details of call recordings – duration, size, bitrate, channels –
+// for the report table and the player. A recording is probed once, from its
+// archived copy when there is one (see recordingArchive.js) and otherwise
+// from the first 128 KB on the portal, and the result is kept in
+// `recording_meta` so it survives restarts. A bounded in-memory cache in
+// front of the table lets /api/recordings/:id send duration headers without
+// a query.
+
+import fs from 'fs';
+import { parseBuffer } from 'music-metadata';
+import { pool } from './db.js';
+import { openRecording } from './recordings.js';
+import { findArchived } from './recordingArchive.js';
+
+// Enough for the ID3 tag and the Xing / VBRI header of an MP3
+const PROBE_BYTES = 128 * 1024;
+const MEMORY_MAX = 5000;
+
+// Most recording ids one batch request may ask for
+export const META_BATCH_MAX = 500;
+export const probeConcurrency = () => Math.max(1, Number(process.env.RECORDING_META_CONCURRENCY) || 5);
+
+const memory = new Map();    // `${tenant}|${id}` → meta
+const probing = new Map();   // `${tenant}|${id}` → Promise<meta>, so concurrent requests share a probe
+
+function remember(tenant, id, meta) {
+  const key = `${tenant}|${id}`;
+  memory.delete(key);   // re-insert to keep recently used ids
+  memory.set(key, meta);
+  if (memory.size > MEMORY_MAX) memory.delete(memory.keys().next().value);
+}
+
+/**
+ * Metadata already in memory, without touching the database or the portal.
+ *
+ * @returns {object|null} { duration, size, bitrate, channels, sampleRate }
+ */
+export function cachedMeta(tenant, id) {
+  return memory.get(`${tenant}|${id}`) || null;
+}
+
+const fromRow = r => ({
+  duration: Number(r.duration_seconds),
+  size: r.size_bytes == null ? null : Number(r.size_bytes),
+  bitrate: r.bitrate,
+  channels: r.channels,
+  sampleRate: r.sample_rate
+});
+
+async function loadMeta(tenant, ids) {
+  const [rows] = await pool.query(
+    'SELECT * FROM recording_meta WHERE tenant = ? AND recording_id IN (?)',
+    [tenant, ids]
+  );
+  return new Map(rows.map(r => [r.recording_id, fromRow(r)]));
+}
+
+async function storeMeta(tenant, id, meta) {
+  await pool.query(
+    `INSERT INTO recording_meta (tenant, recording_id, duration_seconds, size_bytes, bitrate, channels, sample_rate)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE duration_seconds = VALUES(duration_seconds), size_bytes = VALUES(size_bytes),
+       bitrate = VALUES(bitrate), channels = VALUES(channels), sample_rate = VALUES(sample_rate), probed_at = NOW()`,
+    [tenant, id, meta.duration, meta.size, meta.bitrate, meta.channels, meta.sampleRate]
+  );
+}
+
+async function readHead(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(PROBE_BYTES), 0, PROBE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// First bytes, total size and type of a recording, archive first
+async function recordingHead(tenant, id) {
+  const archived = await findArchived(tenant, id).catch(() => null);
+  if (archived) {
+    try {
+      return { head: await readHead(archived.file), size: Number(archived.size_bytes), mimeType: archived.content_type };
+    } catch (err) {
+      console.warn(`Archived copy of ${tenant}/${id} unreadable (${err.message}); probing the portal`);
+    }
+  }
+  const res = await openRecording(tenant, id, { range: `bytes=0-${PROBE_BYTES - 1}`, responseType: 'arraybuffer' });
+  const head = Buffer.from(res.data);
+  const total = Number(String(res.headers['content-range'] ?? '').split('/')[1]);
+  return {
+    head,
+    size: total || (res.status === 200 ? head.length : null),
+    mimeType: res.headers['content-type'] || 'audio/mpeg'
+  };
+}
+
+/**
+ * Probe one recording (no caching).
+ *
+ * @returns {Promise<object>} { duration, size, bitrate, channels, sampleRate }
+ */
+export async function probeRecording(tenant, id) {
+  const { head, size, mimeType } = await recordingHead(tenant, id);
+  const { format } = await parseBuffer(head, { mimeType, size: size || head.length }, { duration: false });
+  let duration = format.duration;
+  // Without a Xing / VBRI header the parser extrapolates from the bytes it
+  // was given; at a constant bitrate the file size gives the real length
+  if (size > head.length && format.codecProfile === 'CBR' && format.bitrate) {
+    duration = (size * 8) / format.bitrate;
+  }
+  if (!duration) throw new Error('Unable to determine duration');
+  return {
+    duration,
+    size: size || null,
+    bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+    channels: format.numberOfChannels ?? null,
+    sampleRate: format.sampleRate ?? null
+  };
+}
+
+function probeOnce(tenant, id) {
+  const key = `${tenant}|${id}`;
+  if (!probing.has(key)) {
+    probing.set(key, (async () => {
+      try {
+        const meta = await probeRecording(tenant, id);
+        remember(tenant, id, meta);
+        await storeMeta(tenant, id, meta).catch(err =>
+          console.warn(`Could not store metadata of ${tenant}/${id} (${err.message})`));
+        return meta;
+      } finally {
+        probing.delete(key);
+      }
+    })());
+  }
+  return probing.get(key);
+}
+
+/**
+ * Metadata of many recordings: from memory, then `recording_meta`, and
+ * whatever is still unknown is probed (at most `concurrency` at a time) and
+ * stored. A recording that cannot be probed gets { error, status } and is
+ * tried again on the next request.
+ *
+ * @param {string} tenant
+ * @param {string[]} ids
+ * @param {object} [opts]
+ * @param {number} [opts.concurrency]
+ * @returns {Promise<object>} recording id → { duration, size, bitrate, channels, sampleRate } | { error, status }
+ */
+export async function recordingMeta(tenant, ids, { concurrency = probeConcurrency() } = {}) {
+  const result = {};
+  let missing = [];
+  for (const id of new Set(ids)) {
+    const cached = cachedMeta(tenant, id);
+    if (cached) result[id] = cached;
+    else missing.push(id);
+  }
+
+  if (missing.length) {
+    try {
+      const stored = await loadMeta(tenant, missing);
+      stored.forEach((meta, id) => { remember(tenant, id, meta); result[id] = meta; });
+      missing = missing.filter(id => !stored.has(id));
+    } catch (err) {
+      console.warn(`recording_meta unavailable (${err.message}); probing ${missing.length} recordings`);
+    }
+  }
+
+  let next = 0;
+  const worker = async () => {
+    while (next < missing.length) {
+      const id = missing[next++];
+      try {
+        result[id] = await probeOnce(tenant, id);
+      } catch (err) {
+        const status = err.response?.status || 500;
+        if (status !== 404) console.error(`Probing recording ${tenant}/${id} failed: ${err.message}`);
+        result[id] = { error: err.message, status };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, missing.length) }, worker));
+  return result;
+}
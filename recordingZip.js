@@ -0,0 +1,151 @@
+// recordingZip.js
+// Bulk recording download: a ZIP of every recording in a filtered call set,
+// or of an explicit list of recording ids, plus a manifest.csv describing
+// each file. Like /api/recordings/:id, recordings come from the local
+// archive when a copy exists and from the portal otherwise, at most
+// RECORDING_ZIP_CONCURRENCY (default 4) at a time, and are streamed straight
+// into the ZIP.
+
+import archiver from 'archiver';
+import { finished } from 'stream/promises';
+import { unifiedRows } from './reportExport.js';
+import { toCsvLine } from './reportFetcher.js';
+import { openRecording } from './recordings.js';
+import { openArchived } from './recordingArchive.js';
+
+const TZ_OFFSET_MS = 4 * 60 * 60 * 1000;   // Asia/Dubai, no DST
+
+const MANIFEST_HEADERS = [
+  'File', 'Recording ID', 'Call ID', 'Type', 'Called Time', 'Queue / Campaign Name',
+  'Agent name', 'Number', 'Status'
+];
+
+export const zipConcurrency = () => Math.max(1, Number(process.env.RECORDING_ZIP_CONCURRENCY) || 4);
+// Most recordings one ZIP may hold
+export const maxZipRecordings = () => Number(process.env.RECORDING_ZIP_MAX) || 1000;
+
+// Epoch ms of a unified row's Called Time (epoch s / ms / ISO)
+function calledMs(v) {
+  if (typeof v === 'number' || /^\d+$/.test(String(v ?? ''))) {
+    const n = Number(v);
+    return n > 10_000_000_000 ? n : n * 1000;
+  }
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Recordings of the unified rows in a range, one entry per recording id in
+ * report order. With `ids`, only those recordings are kept; ids that do not
+ * occur in the range are still returned, without call details.
+ *
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {object} [opts.filters]     – { column: term } as on the report page.
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @param {string[]} [opts.ids]
+ * @param {number} [opts.limit]       – stop collecting after limit + 1 entries.
+ * @returns {Promise<object[]>} { id, callId, type, calledAt, queue, agent, number }
+ */
+export async function recordingEntries(tenant, params, { filters, rowFilter, ids, limit = Infinity } = {}) {
+  const wanted = ids ? new Set(ids) : null;
+  const entries = new Map();
+  for await (const page of unifiedRows(tenant, params, { filters, rowFilter })) {
+    for (const r of page) {
+      const id = r.Recording;
+      if (!id || entries.has(id) || (wanted && !wanted.has(id))) continue;
+      entries.set(id, {
+        id,
+        callId: r['Call ID'],
+        type: r.Type,
+        calledAt: calledMs(r['Called Time']),
+        queue: r['Queue / Campaign Name'],
+        agent: r['Agent name'],
+        number: r.Type === 'Inbound' || r.Type === 'CDR' ? r['Caller ID Number'] : r['Callee ID / Lead number']
+      });
+      if (entries.size > limit) return [...entries.values()];
+    }
+    if (wanted && entries.size === wanted.size) break;
+  }
+  wanted?.forEach(id => { if (!entries.has(id)) entries.set(id, { id }); });
+  return [...entries.values()];
+}
+
+const slug = v => String(v ?? '').trim().replace(/[^\w+-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+/**
+ * ZIP entry name: "<date>_<time>_<call id>_<agent>_<number>.<ext>" (Dubai
+ * time), skipping unknown parts; entries without call details use the id.
+ */
+export function recordingFileName(entry) {
+  const ext = String(entry.id).match(/\.(mp3|wav|ogg|m4a)$/i)?.[1].toLowerCase() || 'mp3';
+  const stamp = entry.calledAt
+    ? new Date(entry.calledAt + TZ_OFFSET_MS).toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-')
+    : '';
+  const parts = [stamp, slug(entry.callId), slug(entry.agent), slug(entry.number)].filter(Boolean);
+  const base = parts.length > 1 ? parts.join('_') : slug(String(entry.id).replace(/\.\w+$/, '')) || 'recording';
+  return `${base}.${ext}`;
+}
+
+/**
+ * Stream a ZIP of the entries' recordings and manifest.csv into `out`.
+ * A recording that cannot be fetched is left out and marked in the
+ * manifest; an error after the archive has started fails the download.
+ *
+ * @param {Writable} out
+ * @param {string} tenant
+ * @param {object[]} entries – from recordingEntries().
+ * @param {object} [opts]
+ * @param {number} [opts.concurrency]
+ * @param {Function} [opts.onWritten] – (entry) → void, after each recording that made it into the ZIP.
+ * @returns {Promise<number>} recordings written
+ */
+export async function writeRecordingZip(out, tenant, entries, { concurrency = zipConcurrency(), onWritten } = {}) {
+  // Recordings are already compressed; storing them keeps the CPU idle
+  const archive = archiver('zip', { store: true });
+  const failed = new Promise((_, reject) => archive.on('error', reject));
+  failed.catch(() => {});
+  archive.pipe(out);
+
+  const names = new Set();
+  const uniqueName = name => {
+    let candidate = name;
+    for (let n = 2; names.has(candidate); n++) candidate = name.replace(/(\.\w+)$/, `_${n}$1`);
+    names.add(candidate);
+    return candidate;
+  };
+
+  const manifest = new Array(entries.length);
+  let next = 0;
+  let written = 0;
+  const worker = async () => {
+    while (next < entries.length && !out.destroyed) {
+      const index = next++;
+      const entry = entries[index];
+      let file = '';
+      let status = 'ok';
+      try {
+        const source = (await openArchived(tenant, entry.id)) || (await openRecording(tenant, entry.id)).data;
+        file = uniqueName(recordingFileName(entry));
+        archive.append(source, { name: file, date: entry.calledAt ? new Date(entry.calledAt) : undefined });
+        await finished(source);
+        written += 1;
+        onWritten?.(entry);
+      } catch (err) {
+        file = '';
+        status = `failed: ${err.response?.status ? `HTTP ${err.response.status}` : err.message}`;
+      }
+      manifest[index] = [file, entry.id, entry.callId, entry.type,
+        entry.calledAt ? new Date(entry.calledAt).toISOString() : '', entry.queue, entry.agent, entry.number, status];
+    }
+  };
+  await Promise.race([Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, worker)), failed]);
+
+  const lines = [MANIFEST_HEADERS, ...manifest.filter(Boolean)].map(values => toCsvLine(values));
+  archive.append(`${lines.join('\n')}\n`, { name: 'manifest.csv' });
+  archive.finalize().catch(() => {});
+  // finalize() settles before the last bytes have been read out of the archive
+  await Promise.race([finished(archive), failed]);
+  return written;
+}
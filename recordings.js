@@ -0,0 +1,33 @@
+// recordings.js
+// Call recordings on the portal (/api/v2/reports/recordings/:id). The proxy
+// route, the duration probe and bulk downloads all fetch through here so the
+// auth headers and byte-exact transfer settings live in one place.
+
+import axios from 'axios';
+import { getPortalSession, httpsAgent } from './tokenService.js';
+
+/**
+ * Request a recording (or a byte range of it) from the portal.
+ *
+ * @param {string} tenant
+ * @param {string} id                          – media_recording_id / recording_filename.
+ * @param {object} [opts]
+ * @param {string} [opts.range='bytes=0-']     – Range header; the full file by
+ *   default so upstream always answers with Content-Length / Content-Range.
+ * @param {'stream'|'arraybuffer'} [opts.responseType='stream']
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+export async function openRecording(tenant, id, { range = 'bytes=0-', responseType = 'stream' } = {}) {
+  const { baseUrl, headers } = await getPortalSession(tenant);
+  return axios.get(`${baseUrl}/api/v2/reports/recordings/${id}`, {
+    responseType,
+    httpsAgent,
+    headers: {
+      ...headers,
+      Range: range,
+      'Accept-Encoding': 'identity'
+    },
+    // Ensure axios does not decompress so byte positions stay intact
+    decompress: false
+  });
+}
@@ -0,0 +1,340 @@
+// reportCache.js
+// Cache for upstream report pages used by reportFetcher.js. The store is
+// chosen with REPORT_CACHE_STORE:
+//   – memory (default) bounded LRU, REPORT_CACHE_MAX_ENTRIES entries (500)
+//   – mysql            table `report_cache`, survives restarts
+//   – disk             one JSON file per page under REPORT_CACHE_DIR
+//
+// TTLs depend on the report type and on how recent the requested window is:
+// pages whose window ends within REPORT_CACHE_LIVE_WINDOW (default 1h) of now
+// are still changing and get the short "live" TTL, closed historical windows
+// get the long one. Override per type with REPORT_CACHE_TTL, e.g.
+//   REPORT_CACHE_TTL={"default":{"live":"1m","historical":"24h"},"cdrs":{"live":"30s"}}
+//
+// A failing persistent store never fails a report: errors are logged and
+// treated as cache misses.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import ms from 'ms';
+import { pool } from './db.js';
+
+const DEFAULT_TTL = { live: '1m', historical: '24h' };
+
+// Short stable file / primary key for a cache key
+const digest = key => crypto.createHash('sha1').update(key).digest('hex');
+
+// In-process LRU: Map iteration order is insertion order, so re-inserting on
+// read keeps the least recently used entry first.
+class MemoryStore {
+  constructor(maxEntries) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();   // Map<key,{expires,report,tenant,data}>
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (Date.now() >= entry.expires) return undefined;
+    this.entries.set(key, entry);
+    return entry.data;
+  }
+
+  async set(key, data, ttl, { report, tenant }) {
+    this.entries.delete(key);
+    this.entries.set(key, { expires: Date.now() + ttl, report, tenant, data });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+  }
+
+  async purge({ report, tenant } = {}) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if ((report && entry.report !== report) || (tenant && entry.tenant !== tenant)) continue;
+      this.entries.delete(key);
+      removed += 1;
+    }
+    return removed;
+  }
+
+  async stats() {
+    return { entries: this.entries.size, maxEntries: this.maxEntries, evictions: this.evictions };
+  }
+}
+
+class MysqlStore {
+  constructor() {
+    this.name = 'mysql';
+  }
+
+  async get(key) {
+    const [rows] = await pool.query(
+      'SELECT data FROM report_cache WHERE cache_key = ? AND expires_at > NOW()',
+      [digest(key)]
+    );
+    if (!rows.length) return undefined;
+    return typeof rows[0].data === 'string' ? JSON.parse(rows[0].data) : rows[0].data;
+  }
+
+  async set(key, data, ttl, { report, tenant }) {
+    await pool.query(
+      `INSERT INTO report_cache (cache_key, report, tenant, data, expires_at)
+       VALUES (?, ?, ?, ?, NOW() + INTERVAL ? SECOND)
+       ON DUPLICATE KEY UPDATE data = VALUES(data), expires_at = VALUES(expires_at)`,
+      [digest(key), report, tenant, JSON.stringify(data), Math.ceil(ttl / 1000)]
+    );
+  }
+
+  async purge({ report, tenant } = {}) {
+    const where = [];
+    const values = [];
+    if (report) { where.push('report = ?'); values.push(report); }
+    if (tenant) { where.push('tenant = ?'); values.push(tenant); }
+    const [result] = await pool.query(
+      `DELETE FROM report_cache ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`,
+      values
+    );
+    return result.affectedRows;
+  }
+
+  async stats() {
+    const [[row]] = await pool.query(
+      `SELECT COUNT(*) AS entries, SUM(expires_at <= NOW()) AS expired,
+              COALESCE(SUM(LENGTH(data)), 0) AS bytes
+         FROM report_cache`
+    );
+    return { entries: Number(row.entries), expired: Number(row.expired || 0), bytes: Number(row.bytes) };
+  }
+
+  // Drop expired rows; called periodically
+  async sweep() {
+    await pool.query('DELETE FROM report_cache WHERE expires_at <= NOW()');
+  }
+}
+
+class DiskStore {
+  constructor(dir) {
+    this.name = 'disk';
+    this.dir = dir;
+  }
+
+  file(key) {
+    return path.join(this.dir, `${digest(key)}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(this.file(key), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return undefined;
+      throw err;
+    }
+    if (Date.now() >= entry.expires) {
+      await fs.promises.unlink(this.file(key)).catch(() => {});
+      return undefined;
+    }
+    return entry.data;
+  }
+
+  async set(key, data, ttl, { report, tenant }) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    // Write then rename so readers never see a half-written file
+    const tmp = `${this.file(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ expires: Date.now() + ttl, report, tenant, data }));
+    await fs.promises.rename(tmp, this.file(key));
+  }
+
+  // Read every entry's header; purge and stats both need it
+  async *scan() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      const file = path.join(this.dir, name);
+      try {
+        const [{ size }, raw] = await Promise.all([fs.promises.stat(file), fs.promises.readFile(file, 'utf8')]);
+        const { expires, report, tenant } = JSON.parse(raw);
+        yield { file, size, expires, report, tenant };
+      } catch {
+        // vanished or half-written; skip
+      }
+    }
+  }
+
+  async purge({ report, tenant } = {}) {
+    let removed = 0;
+    for await (const entry of this.scan()) {
+      if ((report && entry.report !== report) || (tenant && entry.tenant !== tenant)) continue;
+      await fs.promises.unlink(entry.file).catch(() => {});
+      removed += 1;
+    }
+    return removed;
+  }
+
+  async stats() {
+    let entries = 0;
+    let expired = 0;
+    let bytes = 0;
+    const now = Date.now();
+    for await (const entry of this.scan()) {
+      entries += 1;
+      bytes += entry.size;
+      if (now >= entry.expires) expired += 1;
+    }
+    return { entries, expired, bytes, dir: this.dir };
+  }
+
+  async sweep() {
+    const now = Date.now();
+    for await (const entry of this.scan()) {
+      if (now >= entry.expires) await fs.promises.unlink(entry.file).catch(() => {});
+    }
+  }
+}
+
+// A misspelt store falls back to memory with a warning rather than failing
+// every report
+function createStore() {
+  const kind = process.env.REPORT_CACHE_STORE || 'memory';
+  switch (kind) {
+    case 'mysql':
+      return new MysqlStore();
+    case 'disk':
+      return new DiskStore(path.resolve(process.env.REPORT_CACHE_DIR || '.report-cache'));
+    default:
+      if (kind !== 'memory') console.warn(`Unknown REPORT_CACHE_STORE ${JSON.stringify(kind)}; using memory`);
+      return new MemoryStore(Number(process.env.REPORT_CACHE_MAX_ENTRIES) || 500);
+  }
+}
+
+// Milliseconds from an ms() string, or `fallback` (ms) with a warning when
+// the value is not a duration
+function duration(value, fallback, name) {
+  const parsed = ms(String(value));
+  if (Number.isFinite(parsed) && parsed >= 0) return parsed;
+  console.warn(`${name} ${JSON.stringify(value)} is not a valid duration; using ${ms(fallback)}`);
+  return fallback;
+}
+
+// Per-type TTL table in milliseconds: { default: {live, historical}, <type>: {…} }
+function loadTtls() {
+  let overrides = {};
+  if (process.env.REPORT_CACHE_TTL) {
+    try {
+      overrides = JSON.parse(process.env.REPORT_CACHE_TTL);
+    } catch {
+      console.warn('REPORT_CACHE_TTL is not valid JSON; using default TTLs');
+    }
+  }
+  const base = { ...DEFAULT_TTL, ...overrides.default };
+  const defaults = {};
+  for (const kind of ['live', 'historical']) {
+    defaults[kind] = duration(base[kind], ms(DEFAULT_TTL[kind]), `REPORT_CACHE_TTL default.${kind}`);
+  }
+  const table = { default: defaults };
+  for (const [type, ttl] of Object.entries(overrides)) {
+    if (type === 'default') continue;
+    table[type] = {};
+    for (const kind of ['live', 'historical']) {
+      table[type][kind] = ttl?.[kind] === undefined
+        ? defaults[kind]
+        : duration(ttl[kind], defaults[kind], `REPORT_CACHE_TTL ${type}.${kind}`);
+    }
+  }
+  return table;
+}
+
+let store;
+let ttls;
+let liveWindow;
+const counters = { hits: 0, misses: 0, sets: 0, errors: 0 };
+
+function init() {
+  if (store) return;
+  store = createStore();
+  ttls = loadTtls();
+  liveWindow = duration(process.env.REPORT_CACHE_LIVE_WINDOW || '1h', ms('1h'), 'REPORT_CACHE_LIVE_WINDOW');
+  // Persistent stores clean up expired entries every 10 minutes
+  if (store.sweep) {
+    setInterval(() => store.sweep().catch(err => console.warn(`Report cache sweep failed: ${err.message}`)), ms('10m')).unref();
+  }
+}
+
+/**
+ * TTL (ms) for a page of `report` covering `params`. Windows without an end
+ * or ending within the live window are "live".
+ */
+export function ttlFor(report, params = {}) {
+  init();
+  const { live, historical } = ttls[report] || ttls.default;
+  const endMs = params.endDate ? Number(params.endDate) * 1000 : Date.now();
+  return endMs > Date.now() - liveWindow ? live : historical;
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{rows:object[], next:string|null}|undefined>}
+ */
+export async function cacheGet(key) {
+  init();
+  try {
+    const data = await store.get(key);
+    if (data === undefined) counters.misses += 1;
+    else counters.hits += 1;
+    return data;
+  } catch (err) {
+    counters.errors += 1;
+    console.warn(`Report cache read failed (${err.message}); fetching live`);
+    return undefined;
+  }
+}
+
+/**
+ * Store a page; `meta` ({ report, tenant, params }) selects the TTL and
+ * allows purging by report / tenant.
+ */
+export async function cacheSet(key, data, { report, tenant, params }) {
+  init();
+  const ttl = ttlFor(report, params);
+  if (ttl <= 0) return;
+  try {
+    await store.set(key, data, ttl, { report, tenant });
+    counters.sets += 1;
+  } catch (err) {
+    counters.errors += 1;
+    console.warn(`Report cache write failed: ${err.message}`);
+  }
+}
+
+/**
+ * Remove cached pages, optionally only for one report type and/or tenant.
+ * @returns {Promise<number>} entries removed
+ */
+export async function purgeCache(filter = {}) {
+  init();
+  return store.purge(filter);
+}
+
+export async function cacheStats() {
+  init();
+  const ttlTable = Object.fromEntries(Object.entries(ttls).map(([type, t]) => [type, { live: ms(t.live), historical: ms(t.historical) }]));
+  return {
+    store: store.name,
+    ...counters,
+    hitRate: counters.hits + counters.misses ? counters.hits / (counters.hits + counters.misses) : 0,
+    liveWindow: ms(liveWindow),
+    ttl: ttlTable,
+    ...(await store.stats())
+  };
+}
@@ -0,0 +1,401 @@
+// reportExport.js
+// Full-range report exports. Rows are produced page by page (following
+// next_start_key / the unified cursor to the end of the range) and written
+// straight to a writable stream, so an export never holds the whole range in
+// memory. Used by the /export routes in server.js, by scheduled jobs and by
+// the CLI at the bottom of this file.
+
+import ExcelJS from 'exceljs';
+import fs from 'fs';
+import { iterateReport, deriveAnsweredTime, toCsvLine } from './reportFetcher.js';
+import { fetchUnifiedReport, HEADERS } from './unifiedReport.js';
+import { matchesFilters, displayValue } from './reportFilters.js';
+import { pool } from './db.js';
+
+// Rows requested per unified page while exporting
+const UNIFIED_PAGE_SIZE = 1000;
+
+// Unified history columns hold arrays that the UI renders as tables; like the
+// old in-browser export they are left empty in CSV.
+const HISTORY_COLUMNS = new Set(['Agent History', 'Queue History', 'Lead History']);
+
+/**
+ * Every row of one report type in the range, a page at a time.
+ *
+ * @param {string} type   – key of ENDPOINTS in reportFetcher.js.
+ * @param {string} tenant – domain / account id.
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {object} [opts.filters]    – { column: term } on raw column names.
+ * @param {Function} [opts.rowFilter] – (reportType, rawRow) → boolean, e.g. the user's scope.
+ * @yields {object[]}
+ */
+export async function* reportRows(type, tenant, params, { filters = {}, rowFilter } = {}) {
+  for await (const page of iterateReport(type, tenant, params)) {
+    yield page
+      .filter(r => !rowFilter || rowFilter(type, r))
+      .map(deriveAnsweredTime)
+      .filter(r => matchesFilters(r, filters));
+  }
+}
+
+/**
+ * Every unified report row in the range, a page at a time. Filters use the
+ * report page's column names and match displayed values (see reportFilters.js).
+ * @yields {object[]}
+ */
+export async function* unifiedRows(tenant, params, { filters = {}, rowFilter } = {}) {
+  let cursor;
+  do {
+    const { rows, next } = await fetchUnifiedReport(tenant, params, { cursor, limit: UNIFIED_PAGE_SIZE, rowFilter });
+    yield rows.filter(r => matchesFilters(r, filters, displayValue));
+    cursor = next;
+  } while (cursor);
+}
+
+// Resolve once the stream wants more data (or has gone away)
+function drained(out) {
+  return new Promise(resolve => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+}
+
+async function write(out, chunk) {
+  if (!out.write(chunk)) await drained(out);
+}
+
+/**
+ * Stream pages of rows to `out` as RFC4180 CSV. Without `headers` the
+ * columns of the first row are used. Stops early if `out` is destroyed
+ * (e.g. the client aborted the download). Does not end the stream.
+ *
+ * @param {Writable} out
+ * @param {AsyncIterable<object[]>} pages
+ * @param {object} [opts]
+ * @param {string[]} [opts.headers]
+ * @returns {Promise<number>} rows written
+ */
+export async function writeCsv(out, pages, { headers } = {}) {
+  let columns = headers;
+  let count = 0;
+  if (columns) await write(out, `${toCsvLine(columns)}\n`);
+
+  for await (const rows of pages) {
+    if (out.destroyed) break;
+    if (!rows.length) continue;
+    if (!columns) {
+      columns = Object.keys(rows[0]);
+      await write(out, `${toCsvLine(columns)}\n`);
+    }
+    const lines = rows.map(r => toCsvLine(columns.map(c => (HISTORY_COLUMNS.has(c) ? '' : r[c]))));
+    await write(out, `${lines.join('\n')}\n`);
+    count += rows.length;
+  }
+  return count;
+}
+
+/**
+ * Stream pages of rows to `out` as one JSON array.
+ * @returns {Promise<number>} rows written
+ */
+export async function writeJson(out, pages) {
+  let count = 0;
+  await write(out, '[');
+  for await (const rows of pages) {
+    if (out.destroyed) break;
+    for (const r of rows) {
+      await write(out, `${count ? ',' : ''}\n${JSON.stringify(r)}`);
+      count += 1;
+    }
+  }
+  await write(out, '\n]\n');
+  return count;
+}
+
+// ---------------------------------------------------------------------------
+// XLSX
+
+const TZ_OFFSET_MS = 4 * 60 * 60 * 1000;   // Asia/Dubai, no DST
+
+// Unified Type → sheet name, in tab order
+const TYPE_SHEETS = ['Inbound', 'Outbound', 'Campaign', 'CDR'];
+const TIME_COLUMNS = new Set(['Called Time', 'Answered time', 'Hangup time']);
+const DURATION_COLUMNS = new Set(['Wait Duration', 'Talk Duration']);
+const SHEET_COLUMNS = HEADERS.filter(h => !HISTORY_COLUMNS.has(h));
+
+const DATE_FMT = 'dd/mm/yyyy hh:mm:ss';
+const DURATION_FMT = '[h]:mm:ss';
+
+// Epoch s / ms / digit string / ISO string → epoch ms, or null
+function toMillis(v) {
+  if (typeof v === 'number') return v > 10_000_000_000 ? v : v * 1000;
+  if (typeof v !== 'string' || !v.trim()) return null;
+  if (/^\d+$/.test(v)) return v.length > 10 ? Number(v) : Number(v) * 1000;
+  const ms = Date.parse(v);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Excel has no time zones: shift so the sheet shows Dubai wall-clock time
+function excelDate(v) {
+  const ms = toMillis(v);
+  return ms ? new Date(ms + TZ_OFFSET_MS) : (v ?? '');
+}
+
+// Seconds (or "H:MM:SS") → fraction of a day, Excel's time representation
+function excelDuration(v) {
+  if (typeof v === 'number') return v / 86400;
+  if (typeof v === 'string' && /^\d+(\.\d+)?$/.test(v)) return Number(v) / 86400;
+  const hms = typeof v === 'string' && v.match(/^(\d+):(\d{2}):(\d{2})$/);
+  if (hms) return (Number(hms[1]) * 3600 + Number(hms[2]) * 60 + Number(hms[3])) / 86400;
+  return v ?? '';
+}
+
+function excelCell(col, v) {
+  if (TIME_COLUMNS.has(col)) return excelDate(v);
+  if (DURATION_COLUMNS.has(col)) return excelDuration(v);
+  return v ?? '';
+}
+
+// History sheets: columns as the report page's pop-up tables show them
+const HISTORY_SHEETS = [
+  {
+    name: 'Agent History',
+    columns: ['Call ID', 'Type', 'Last Attempt', 'Name', 'Extension', 'Leg Type', 'Event', 'Connected', 'Queue Name'],
+    rows: rec => (rec['Agent History'] || []).map(h => [
+      rec['Call ID'], rec.Type, h.last_attempt ? excelDate(h.last_attempt) : '',
+      `${h.first_name || ''} ${h.last_name || ''}`.trim(), h.ext ?? '', h.type ?? '', h.event ?? '',
+      h.connected ? 'Yes' : 'No', h.queue_name ?? ''
+    ])
+  },
+  {
+    name: 'Queue History',
+    columns: ['Call ID', 'Type', 'Date', 'Queue Name'],
+    rows: rec => (rec['Queue History'] || []).map(h => [
+      rec['Call ID'], rec.Type, h.ts ? excelDate(h.ts) : '', h.queue_name ?? ''
+    ])
+  },
+  {
+    name: 'Lead History',
+    columns: ['Call ID', 'Last Attempt', 'First Name', 'Last Name', 'Extension/Number', 'Event', 'Hangup Cause'],
+    rows: rec => (rec['Lead History'] || []).map(h => [
+      rec['Call ID'], h.last_attempt ? excelDate(h.last_attempt) : '', h.agent?.first_name ?? '',
+      h.agent?.last_name ?? '', h.agent?.ext ?? '', h.type || h.event || '', h.hangup_cause || ''
+    ])
+  }
+];
+
+function addSheet(workbook, name, columns, formats = {}) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(c => ({ header: c, key: c, width: Math.max(12, c.length + 2), style: formats[c] ? { numFmt: formats[c] } : {} }));
+  sheet.getRow(1).font = { bold: true };
+  return sheet;
+}
+
+/**
+ * Stream unified report pages to `out` as an XLSX workbook: a Summary sheet
+ * with the per-type totals, one sheet per call type with typed date and
+ * duration cells, and the agent / queue / lead histories flattened onto
+ * their own sheets (one row per history entry, keyed by Call ID).
+ *
+ * @param {Writable} out
+ * @param {AsyncIterable<object[]>} pages – from unifiedRows().
+ * @param {object} [opts]
+ * @param {string} [opts.tenant]
+ * @param {object} [opts.params]  – { startDate, endDate } for the summary.
+ * @param {object} [opts.filters] – shown on the summary when present.
+ * @returns {Promise<number>} rows written
+ */
+export async function writeXlsx(out, pages, { tenant = '', params = {}, filters = {} } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+  const formats = Object.fromEntries([
+    ...[...TIME_COLUMNS].map(c => [c, DATE_FMT]),
+    ...[...DURATION_COLUMNS].map(c => [c, DURATION_FMT])
+  ]);
+
+  // Created first so it is the first tab; its rows are written last
+  const summary = addSheet(workbook, 'Summary', ['Metric', 'Value']);
+  summary.getColumn(1).width = 28;
+  summary.getColumn(2).width = 22;
+  const typeSheets = Object.fromEntries(TYPE_SHEETS.map(t => [t, addSheet(workbook, t, SHEET_COLUMNS, formats)]));
+  const historySheets = HISTORY_SHEETS.map(h => ({
+    ...h,
+    sheet: addSheet(workbook, h.name, h.columns, { 'Last Attempt': DATE_FMT, Date: DATE_FMT })
+  }));
+
+  const totals = Object.fromEntries(TYPE_SHEETS.map(t => [t, 0]));
+  let count = 0;
+  for await (const rows of pages) {
+    if (out.destroyed) break;
+    for (const rec of rows) {
+      const type = TYPE_SHEETS.includes(rec.Type) ? rec.Type : 'CDR';
+      totals[type] += 1;
+      typeSheets[type].addRow(SHEET_COLUMNS.map(c => excelCell(c, rec[c]))).commit();
+      for (const h of historySheets) {
+        h.rows(rec).forEach(values => h.sheet.addRow(values).commit());
+      }
+      count += 1;
+    }
+  }
+  // Client went away: drop the half-built archive instead of waiting on a
+  // stream that will never finish
+  if (out.destroyed) {
+    workbook.zip.abort();
+    return count;
+  }
+
+  const summaryRows = [
+    ['Tenant', tenant],
+    ['From', params.startDate ? excelDate(params.startDate) : ''],
+    ['To', params.endDate ? excelDate(params.endDate) : ''],
+    ...Object.entries(filters).map(([col, term]) => [`Filter: ${col}`, term]),
+    ...TYPE_SHEETS.map(t => [t, totals[t]]),
+    ['Total', count]
+  ];
+  summaryRows.forEach(values => {
+    const row = summary.addRow(values);
+    if (values[1] instanceof Date) row.getCell(2).numFmt = DATE_FMT;
+    row.commit();
+  });
+
+  await workbook.commit();
+  return count;
+}
+
+// ---------------------------------------------------------------------------
+// Aggregated tables (agent KPIs, …): a short list of rows described by
+// [{ header, key, kind }] where kind is count | duration (seconds) | ratio |
+// flag (boolean) | time (epoch seconds) | breakdown ({ name: count }).
+
+function hms(sec) {
+  const total = Math.round(sec || 0);
+  const mm = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  return `${Math.floor(total / 3600)}:${mm}:${String(total % 60).padStart(2, '0')}`;
+}
+
+const breakdownText = (counts, format = n => n) => Object.entries(counts || {})
+  .sort((a, b) => b[1] - a[1])
+  .map(([name, n]) => `${name}: ${format(n)}`)
+  .join('; ');
+
+function tableCell(col, v, excel) {
+  switch (col.kind) {
+    case 'duration': return excel ? (v || 0) / 86400 : hms(v);
+    case 'ratio': return excel ? v || 0 : `${((v || 0) * 100).toFixed(1)}%`;
+    case 'breakdown': return breakdownText(v);
+    // { name: seconds }, e.g. time per agent state
+    case 'durations': return breakdownText(v, hms);
+    case 'flag': return v ? 'Yes' : 'No';
+    // Dubai wall-clock time; CSV as "YYYY-MM-DD HH:MM"
+    case 'time':
+      if (v == null) return '';
+      return excel ? excelDate(v) : new Date(v * 1000 + TZ_OFFSET_MS).toISOString().slice(0, 16).replace('T', ' ');
+    default: return v ?? '';
+  }
+}
+
+/**
+ * Write an aggregated table as CSV: durations as H:MM:SS, ratios as percent.
+ * @returns {Promise<number>} rows written
+ */
+export function writeTableCsv(out, rows, columns) {
+  const headers = columns.map(c => c.header);
+  const records = rows.map(r => Object.fromEntries(columns.map(c => [c.header, tableCell(c, r[c.key], false)])));
+  return writeCsv(out, [records], { headers });
+}
+
+/**
+ * Write an aggregated table as a single-sheet XLSX with typed duration and
+ * percentage cells, preceded by tenant / range lines.
+ *
+ * @param {Writable} out
+ * @param {object[]} rows
+ * @param {object[]} columns
+ * @param {object} [opts]
+ * @param {string} [opts.sheetName='Report']
+ * @param {string} [opts.tenant]
+ * @param {object} [opts.params] – { startDate, endDate } in epoch seconds.
+ * @returns {Promise<number>} rows written
+ */
+export async function writeTableXlsx(out, rows, columns, { sheetName = 'Report', tenant = '', params = {} } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 4 }] });
+  const formats = { duration: DURATION_FMT, ratio: '0.0%', time: 'dd/mm/yyyy hh:mm' };
+  sheet.columns = columns.map(c => ({ key: c.key, width: Math.max(12, c.header.length + 2) }));
+
+  const range = [params.startDate, params.endDate].map(t => (t ? excelDate(t) : ''));
+  [['Tenant', tenant], ['From', range[0]], ['To', range[1]]].forEach(values => {
+    const row = sheet.addRow(values);
+    if (values[1] instanceof Date) row.getCell(2).numFmt = DATE_FMT;
+    row.commit();
+  });
+  const header = sheet.addRow(columns.map(c => c.header));
+  header.font = { bold: true };
+  header.commit();
+
+  for (const r of rows) {
+    const row = sheet.addRow(columns.map(c => tableCell(c, r[c.key], true)));
+    columns.forEach((c, i) => {
+      if (formats[c.kind]) row.getCell(i + 1).numFmt = formats[c.kind];
+    });
+    row.commit();
+  }
+  await workbook.commit();
+  return rows.length;
+}
+
+// Export format → writer(out, pages, opts)
+export const WRITERS = {
+  csv: writeCsv,
+  json: writeJson
+};
+
+/**
+ * Minimal CLI:
+ *   node -r dotenv/config reportExport.js <report|unified> <tenant> <startISO> <endISO> <outfile.{csv|json|xlsx}> [filtersJSON]
+ * XLSX is available for the unified report only.
+ */
+async function cli() {
+  const [,, report, tenant, startIso, endIso, outFile, filtersJson] = process.argv;
+  if (!report || !tenant || !startIso || !endIso || !outFile) {
+    console.error('Usage: node -r dotenv/config reportExport.js <report|unified> <tenant> <startISO> <endISO> <outfile.{csv|json|xlsx}> [filtersJSON]');
+    process.exit(1);
+  }
+  const startDate = Date.parse(startIso);
+  const endDate = Date.parse(endIso);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) throw new Error('Invalid start or end date');
+  const params = { startDate: Math.floor(startDate / 1000), endDate: Math.floor(endDate / 1000) };
+  const filters = filtersJson ? JSON.parse(filtersJson) : {};
+  const format = outFile.split('.').pop();
+
+  const pages = report === 'unified'
+    ? unifiedRows(tenant, params, { filters })
+    : reportRows(report, tenant, params, { filters });
+  const out = fs.createWriteStream(outFile);
+
+  let count;
+  if (format === 'xlsx') {
+    if (report !== 'unified') throw new Error('XLSX export is only available for the unified report');
+    count = await writeXlsx(out, pages, { tenant, params, filters });
+  } else if (WRITERS[format]) {
+    count = await WRITERS[format](out, pages, report === 'unified' ? { headers: HEADERS } : {});
+    out.end();
+  } else {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+  console.log(`Exported ${count} rows to ${outFile}`);
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli()
+    .then(() => pool.end())
+    .catch(err => {
+      console.error(err.response?.data || err.stack || err.message);
+      process.exit(1);
+    });
+}
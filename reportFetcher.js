@@ -7,7 +7,8 @@
 //   – /portal/callcenter/reports/campaigns-activity    (Campaigns Activity)
 //
 // Like agentStatus.js this module handles:
-//   • Portal authentication via tokenService.getPortalToken
+//   • Portal authentication via tokenService.getPortalSession (per-tenant
+//     settings from tenantRegistry.js)
 //   – Automatic pagination via next_start_key when provided
 //   • Exponential-backoff retry logic (up to 3 attempts)
 //   • Optional CSV serialization helper
@@ -16,12 +17,13 @@
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
-import ms from 'ms';
+import { getPortalSession, httpsAgent } from './tokenService.js';
+import { pool } from './db.js';
+import { cacheGet, cacheSet } from './reportCache.js';
 
 const MAX_RETRIES = 3;
 
-const ENDPOINTS = {
+export const ENDPOINTS = {
   // Raw CDRs
   cdrs: '/api/v2/reports/cdrs',
 
@@ -33,34 +35,37 @@ const ENDPOINTS = {
   campaignsActivity: '/api/v2/reports/campaigns/leads/history'
 };
 
-// Simple in-memory cache (per Node process). In production replace with Redis.
-const CACHE_TTL = ms('5m');          // 5 minutes
-const reportCache = new Map();       // Map<cacheKey,{expires:number,data:object[]}>
+// Cache key from report + tenant + window + page params (see reportCache.js
+// for the store and TTL policy).
+export function makeCacheKey(report, tenant, params) {
+  const { startDate = '', endDate = '', start_key: startKey = '', maxRows = '' } = params || {};
+  return `${report}|${tenant}|${startDate}|${endDate}|${startKey}|${maxRows}`;
+}
 
-// Generate a unique key from report + tenant + window params.
-function makeCacheKey(report, tenant, params) {
-  const { startDate = '', endDate = '' } = params || {};
-  return `${report}|${tenant}|${startDate}|${endDate}`;
+/**
+ * Serialise one CSV line (no trailing newline) with RFC4180 quoting.
+ * Objects and arrays are written as JSON.
+ */
+export function toCsvLine(values, delimiter = ',') {
+  return values
+    .map(v => {
+      if (v == null) return '';
+      const str = typeof v === 'object' ? JSON.stringify(v) : String(v);
+      return str.includes(delimiter) || /["\r\n]/.test(str)
+        ? `"${str.replace(/"/g, '""')}"` // RFC4180 escaping
+        : str;
+    })
+    .join(delimiter);
 }
 
 /**
  * Convert an array of plain objects to a CSV string.
  * Borrowed from agentStatus.js to avoid new deps.
  */
-function toCsv(records, delimiter = ',') {
+export function toCsv(records, delimiter = ',') {
   if (!records.length) return '';
   const header = Object.keys(records[0]).join(delimiter);
-  const rows = records.map(r =>
-    Object.values(r)
-      .map(v => {
-        if (v == null) return '';
-        const str = String(v);
-        return str.includes(delimiter) || str.includes('\n') || str.includes('"')
-          ? `"${str.replace(/"/g, '""')}"` // RFC4180 escaping
-          : str;
-      })
-      .join(delimiter)
-  );
+  const rows = records.map(r => toCsvLine(Object.values(r), delimiter));
   return [header, ...rows].join('\n');
 }
 
@@ -70,22 +75,23 @@ function toCsv(records, delimiter = ',') {
  * @param {string} report   – one of keys in ENDPOINTS.
  * @param {string} tenant   – domain / account id.
  * @param {object} params   – query params (startDate/endDate etc).
- * @returns {Promise<object[]>}
+ * @param {object} [opts]
+ * @param {boolean} [opts.cache=true] – false to bypass the report cache (e.g. warehouse sync).
+ * @returns {Promise<{rows: object[], next: string|null}>}
  */
-export async function fetchReport(report, tenant, params = {}) {
+export async function fetchReport(report, tenant, params = {}, { cache = true } = {}) {
   if (!ENDPOINTS[report]) throw new Error(`Unknown report type: ${report}`);
 
   // ---------------- Cache lookup ----------------
   const cacheKey = makeCacheKey(report, tenant, params);
-  const cached = reportCache.get(cacheKey);
-  if (cached && Date.now() < cached.expires) {
+  const cached = cache ? await cacheGet(cacheKey) : undefined;
+  if (cached) {
     // Return a shallow copy so callers can mutate safely
-    return Array.isArray(cached.data) ? [...cached.data] : cached.data;
+    return { rows: [...cached.rows], next: cached.next };
   }
+  const cacheMeta = { report, tenant, params };
   // ------------------------------------------------
 
-  const url = `${process.env.BASE_URL}${ENDPOINTS[report]}`;
-  let token;
   const out = [];
   let startKey;
   let nextStartKey = null;
@@ -229,15 +235,11 @@ export async function fetchReport(report, tenant, params = {}) {
         };
 
         // Acquire/refresh token for every loop iteration (cheap due to cache)
-        token = await getPortalToken(tenant);
+        const { baseUrl, headers } = await getPortalSession(tenant);
 
-        const resp = await axios.get(url, {
+        const resp = await axios.get(`${baseUrl}${ENDPOINTS[report]}`, {
           params: qs,
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'X-User-Agent': 'portal',
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant
-          },
+          headers,
           httpsAgent
         });
 
@@ -351,7 +353,7 @@ export async function fetchReport(report, tenant, params = {}) {
     });
 
     // Cache result BEFORE returning
-    reportCache.set(cacheKey, { expires: Date.now() + CACHE_TTL, data: firstRows });
+    if (cache) await cacheSet(cacheKey, { rows: firstRows, next: nextStartKey }, cacheMeta);
     return { rows: firstRows, next: nextStartKey };
   }
 
@@ -365,15 +367,65 @@ export async function fetchReport(report, tenant, params = {}) {
       }
     });
     // Cache result BEFORE returning
-    reportCache.set(cacheKey, { expires: Date.now() + CACHE_TTL, data: out });
+    if (cache) await cacheSet(cacheKey, { rows: out, next: nextStartKey }, cacheMeta);
     return { rows: out, next: nextStartKey };
   }
 
   // Cache result BEFORE returning
-  reportCache.set(cacheKey, { expires: Date.now() + CACHE_TTL, data: out });
+  if (cache) await cacheSet(cacheKey, { rows: out, next: nextStartKey }, cacheMeta);
   return { rows: out, next: nextStartKey };
 }
 
+/**
+ * Walk a whole date range page by page, following next_start_key to the end.
+ * Inbound queue rows are de-duplicated by call_id across pages as well as
+ * within each page.
+ *
+ * @param {string} report – one of keys in ENDPOINTS.
+ * @param {string} tenant – domain / account id.
+ * @param {object} params – query params (startDate/endDate etc).
+ * @param {object} [opts] – passed to fetchReport.
+ * @yields {object[]} one page of rows at a time
+ */
+export async function* iterateReport(report, tenant, params = {}, opts = {}) {
+  const seen = new Set();
+  let startKey = params.start_key;
+  while (true) {
+    const { rows, next } = await fetchReport(report, tenant, { ...params, ...(startKey && { start_key: startKey }) }, opts);
+    yield report === 'queueCalls'
+      ? rows.filter(r => !r.call_id || (!seen.has(r.call_id) && seen.add(r.call_id)))
+      : rows;
+    // Stop at the end of the range, or if upstream hands back the same key
+    if (!next || next === startKey) break;
+    startKey = next;
+  }
+}
+
+/**
+ * Fill `answered_time` from the answering agent leg when the API left it
+ * empty; rows that never connected get '--'.
+ *
+ * @param {object} row – raw report row.
+ * @returns {object} shallow copy with answered_time set.
+ */
+export function deriveAnsweredTime(row) {
+  // Ensure agent_history is an array
+  let history = row.agent_history;
+  if (typeof history === 'string') {
+    try { history = JSON.parse(history); } catch { history = []; }
+  }
+
+  let ts = row.answered_time;
+  if (!ts && Array.isArray(history)) {
+    const answerEvt = history.find(e => e.event === 'answer' || e.connected);
+    if (answerEvt?.last_attempt) {
+      const ms = answerEvt.last_attempt > 10_000_000_000 ? answerEvt.last_attempt : answerEvt.last_attempt * 1000;
+      ts = new Date(ms).toISOString();
+    }
+  }
+  return { ...row, answered_time: ts ?? '--' };
+}
+
 // Convenience wrappers
 export const fetchCdrs = (tenant, opts) => fetchReport('cdrs', tenant, opts);
 export const fetchQueueCalls = (tenant, opts) => fetchReport('queueCalls', tenant, opts);
@@ -419,8 +471,10 @@ async function cli() {
 }
 
 if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
-  cli().catch(err => {
-    console.error(err.response?.data || err.stack || err.message);
-    process.exit(1);
-  });
+  cli()
+    .then(() => pool.end()) // release the tenant registry's DB connections
+    .catch(err => {
+      console.error(err.response?.data || err.stack || err.message);
+      process.exit(1);
+    });
 }
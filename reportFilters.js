@@ -0,0 +1,91 @@
+// reportFilters.js
+// Column filters shared by exports and scheduled jobs. A filter set is a
+// plain object { column: term }; a row matches when every column's value
+// contains its term, ignoring case and punctuation – the same rule the
+// report page applies in the browser.
+
+const normalize = s => String(s).toLowerCase().replace(/[^0-9a-z]/g, '');
+
+// Columns whose raw value should NEVER be interpreted as epoch (mirrors
+// RAW_COLUMNS in public/script.js)
+const RAW_COLUMNS = new Set([
+  'caller_id_number',
+  'caller_id_name',
+  'callee_id_number',
+  'agent_ext',
+  'lead_number',
+  'agent_extension',
+  'to',
+  'caller id number',
+  'caller id name',
+  'callee id number',
+  'agent extension',
+  'caller id / lead name'
+]);
+
+function isoToLocal(dateStr) {
+  return new Date(dateStr).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' });
+}
+
+/**
+ * A cell as the report page shows it: epoch and ISO timestamps become
+ * Dubai local time so that e.g. "18/10/2025" matches the Called Time column.
+ */
+export function displayValue(col, v) {
+  if (v == null) return '';
+  if (RAW_COLUMNS.has(col.toLowerCase())) return String(v);
+
+  // Numeric epoch seconds or milliseconds
+  if (typeof v === 'number') {
+    return isoToLocal(v > 10_000_000_000 ? v : v * 1000);
+  }
+  // Pure digits string (epoch)
+  if (typeof v === 'string' && /^\d+$/.test(v) && Number(v) > 1_000_000_000) {
+    return isoToLocal(v.length > 10 ? Number(v) : Number(v) * 1000);
+  }
+  // ISO string with T
+  if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(v)) {
+    return isoToLocal(v);
+  }
+  return String(v);
+}
+
+/**
+ * Drop empty terms and coerce everything to strings.
+ * @param {object|undefined} filters
+ * @returns {object} possibly empty filter set
+ */
+export function cleanFilters(filters) {
+  const out = {};
+  for (const [col, term] of Object.entries(filters || {})) {
+    if (term != null && String(term).trim() !== '') out[col] = String(term).trim();
+  }
+  return out;
+}
+
+/**
+ * Parse the `filters` query param (a JSON object) of the export routes.
+ * @throws {Error} when the value is not a JSON object.
+ */
+export function parseFilterParam(param) {
+  if (!param) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(param);
+  } catch {
+    throw new Error('Invalid filters');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Invalid filters');
+  return cleanFilters(parsed);
+}
+
+/**
+ * @param {object}   row
+ * @param {object}   filters   – from cleanFilters().
+ * @param {Function} [display] – (column, value) → text to match against;
+ *                               pass displayValue for unified report rows.
+ * @returns {boolean}
+ */
+export function matchesFilters(row, filters, display = (col, v) => v ?? '') {
+  return Object.entries(filters).every(([col, term]) => normalize(display(col, row[col])).includes(normalize(term)));
+}
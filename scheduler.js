@@ -0,0 +1,273 @@
+// scheduler.js
+// Scheduled report jobs. A job (table `report_jobs`) names a report type,
+// tenant, relative range ("yesterday", "last_week", …), column filters, an
+// output format and a cron expression. On each tick the whole range is
+// streamed through reportExport.js into a file, which is delivered to a
+// directory under REPORT_OUTPUT_DIR and/or emailed over SMTP. Every run is
+// recorded in `report_job_runs`.
+//
+// SMTP settings come from .env: SMTP_HOST, SMTP_PORT (default 25),
+// SMTP_USER / SMTP_PASS (optional) and SMTP_FROM.
+
+import cron from 'node-cron';
+import nodemailer from 'nodemailer';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { finished } from 'stream/promises';
+import { pool } from './db.js';
+import { ENDPOINTS } from './reportFetcher.js';
+import { reportRows, WRITERS } from './reportExport.js';
+import { cleanFilters } from './reportFilters.js';
+import { RANGE_NAMES, resolveRange, localDate } from './timeUtils.js';
+
+export const JOB_FORMATS = Object.keys(WRITERS);
+export const JOB_REPORT_TYPES = Object.keys(ENDPOINTS);
+const TIMEZONE = 'Asia/Dubai';
+
+const tasks = new Map();     // Map<jobId, ScheduledTask>
+const running = new Set();   // job ids with a run in progress
+
+function outputRoot() {
+  return path.resolve(process.env.REPORT_OUTPUT_DIR || 'scheduled-reports');
+}
+
+function fromRow(row) {
+  return {
+    ...row,
+    filters: typeof row.filters === 'string' ? JSON.parse(row.filters) : (row.filters || {}),
+    email_to: row.email_to ? row.email_to.split(',').map(s => s.trim()).filter(Boolean) : [],
+    enabled: Boolean(row.enabled)
+  };
+}
+
+/**
+ * Validate a job definition. With `create` the fields a new job needs are
+ * required; otherwise only the keys present are checked (PATCH).
+ * Returns an error message or null.
+ */
+export function jobFieldError(job, { create = false } = {}) {
+  const {
+    name, report_type: type, tenant, range_name: range, filters, format,
+    cron_expr: expr, output_dir: dir, email_to: emailTo, enabled
+  } = job;
+  if (create && [name, type, tenant, range, expr].some(v => v === undefined || v === null || v === '')) {
+    return 'Name, report type, tenant, range and schedule required';
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'Name cannot be empty';
+  if (type !== undefined && !JOB_REPORT_TYPES.includes(type)) return `Report type must be one of ${JOB_REPORT_TYPES.join(', ')}`;
+  if (tenant !== undefined && (typeof tenant !== 'string' || !tenant)) return 'Tenant must be a tenant slug';
+  if (range !== undefined && !RANGE_NAMES.includes(range)) return `Range must be one of ${RANGE_NAMES.join(', ')}`;
+  if (filters !== undefined && (typeof filters !== 'object' || filters === null || Array.isArray(filters))) {
+    return 'Filters must be an object of column: term';
+  }
+  if (format !== undefined && !JOB_FORMATS.includes(format)) return `Format must be one of ${JOB_FORMATS.join(', ')}`;
+  if (expr !== undefined && (typeof expr !== 'string' || !cron.validate(expr))) return 'Invalid cron expression';
+  if (dir != null && typeof dir !== 'string') return 'Output directory must be a path';
+  if (dir && (path.isAbsolute(dir) || dir.split(/[\\/]/).includes('..'))) return 'Output directory must be relative to the report output folder';
+  if (emailTo !== undefined && !Array.isArray(emailTo)) return 'Email recipients must be a list';
+  if (emailTo?.some(e => typeof e !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(e))) return 'Invalid email recipient';
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'Enabled must be true or false';
+  return null;
+}
+
+export async function listJobs() {
+  const [rows] = await pool.query('SELECT * FROM report_jobs ORDER BY name');
+  return rows.map(fromRow);
+}
+
+export async function getJob(id) {
+  const [rows] = await pool.query('SELECT * FROM report_jobs WHERE id = ?', [id]);
+  return rows.length ? fromRow(rows[0]) : null;
+}
+
+/**
+ * Store a job definition and schedule it.
+ * @returns {Promise<number>} new job id
+ */
+export async function createJob(job, createdBy = null) {
+  const [result] = await pool.query(
+    `INSERT INTO report_jobs (name, report_type, tenant, range_name, filters, format, cron_expr, output_dir, email_to, enabled, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      job.name.trim(), job.report_type, job.tenant, job.range_name, JSON.stringify(cleanFilters(job.filters)),
+      job.format || 'csv', job.cron_expr, job.output_dir || null, (job.email_to || []).join(',') || null,
+      job.enabled === false ? 0 : 1, createdBy
+    ]
+  );
+  await reschedule(result.insertId);
+  return result.insertId;
+}
+
+/**
+ * Update a job; only keys present in `changes` are written.
+ * @returns {Promise<boolean>} false when the job does not exist.
+ */
+export async function updateJob(id, changes) {
+  const sets = [];
+  const values = [];
+  const put = (column, value) => { sets.push(`${column} = ?`); values.push(value); };
+
+  for (const column of ['name', 'report_type', 'tenant', 'range_name', 'format', 'cron_expr']) {
+    if (changes[column] !== undefined) put(column, changes[column]);
+  }
+  if (changes.filters !== undefined) put('filters', JSON.stringify(cleanFilters(changes.filters)));
+  if (changes.output_dir !== undefined) put('output_dir', changes.output_dir || null);
+  if (changes.email_to !== undefined) put('email_to', changes.email_to.join(',') || null);
+  if (changes.enabled !== undefined) put('enabled', changes.enabled ? 1 : 0);
+
+  if (sets.length) {
+    const [result] = await pool.query(`UPDATE report_jobs SET ${sets.join(', ')} WHERE id = ?`, [...values, id]);
+    if (!result.affectedRows) return false;
+  } else if (!(await getJob(id))) {
+    return false;
+  }
+  await reschedule(id);
+  return true;
+}
+
+export async function deleteJob(id) {
+  unschedule(id);
+  const [result] = await pool.query('DELETE FROM report_jobs WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+export async function listRuns(jobId, limit = 50) {
+  const [rows] = await pool.query(
+    'SELECT * FROM report_job_runs WHERE job_id = ? ORDER BY started_at DESC, id DESC LIMIT ?',
+    [jobId, limit]
+  );
+  return rows;
+}
+
+async function sendEmail(job, fileName, filePath, range) {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+  const port = Number(process.env.SMTP_PORT) || 25;
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } })
+  });
+  const period = `${localDate(range.startDate)} – ${localDate(range.endDate - 1)}`;
+  await transport.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: job.email_to.join(', '),
+    subject: `${job.name} (${period})`,
+    text: `Scheduled report "${job.name}" for ${job.tenant}, ${period}.\n\nThe report is attached.`,
+    attachments: [{ filename: fileName, path: filePath }]
+  });
+}
+
+/**
+ * Run a job now: fetch the whole range, filter, serialise and deliver.
+ * Concurrent runs of the same job are skipped.
+ *
+ * @param {number} id
+ * @param {string} [trigger='schedule'] – 'schedule' | 'manual'.
+ * @returns {Promise<object|null>} the run row, or null when skipped.
+ */
+export async function runJob(id, trigger = 'schedule') {
+  if (running.has(id)) {
+    console.warn(`Report job ${id} is still running; skipping this tick`);
+    return null;
+  }
+  running.add(id);
+
+  let runId;
+  let tempFile = null;
+  let partFile = null;
+  try {
+    const job = await getJob(id);
+    if (!job) return null;
+
+    const [ins] = await pool.query(
+      "INSERT INTO report_job_runs (job_id, status, triggered_by) VALUES (?, 'running', ?)",
+      [id, trigger]
+    );
+    runId = ins.insertId;
+
+    const range = resolveRange(job.range_name);
+    const slug = job.name.trim().replace(/[^\w-]+/g, '_');
+    const fileName = `${slug}_${localDate(range.startDate)}_${localDate(range.endDate - 1)}.${job.format}`;
+
+    // Email-only jobs still render to disk so large ranges are never held in
+    // memory; the temporary copy is removed afterwards.
+    let filePath;
+    if (job.output_dir) {
+      const dir = path.join(outputRoot(), job.output_dir);
+      await fs.promises.mkdir(dir, { recursive: true });
+      filePath = path.join(dir, fileName);
+    } else {
+      tempFile = filePath = path.join(os.tmpdir(), `report-job-${id}-${Date.now()}-${fileName}`);
+    }
+
+    // Written under a temporary name and renamed once complete, so a failed
+    // run never leaves a partial report in the output directory
+    partFile = `${filePath}.${process.pid}.part`;
+    const out = fs.createWriteStream(partFile);
+    const pages = reportRows(job.report_type, job.tenant, range, { filters: cleanFilters(job.filters) });
+    let rowCount;
+    try {
+      rowCount = await WRITERS[job.format](out, pages);
+    } finally {
+      out.end();
+      await finished(out);
+    }
+    await fs.promises.rename(partFile, filePath);
+    partFile = null;
+
+    if (job.email_to.length) {
+      await sendEmail(job, fileName, filePath, range);
+    }
+
+    await pool.query(
+      "UPDATE report_job_runs SET status = 'success', finished_at = NOW(), row_count = ?, file_path = ? WHERE id = ?",
+      [rowCount, tempFile ? null : filePath, runId]
+    );
+    await pool.query('UPDATE report_jobs SET last_run_at = NOW() WHERE id = ?', [id]);
+  } catch (err) {
+    console.error(`Report job ${id} failed:`, err.response?.data || err.stack || err.message);
+    if (runId) {
+      await pool.query(
+        "UPDATE report_job_runs SET status = 'failed', finished_at = NOW(), error = ? WHERE id = ?",
+        [String(err.message).slice(0, 2000), runId]
+      ).catch(e => console.error('Could not record job failure:', e.message));
+    }
+  } finally {
+    running.delete(id);
+    if (tempFile) await fs.promises.unlink(tempFile).catch(() => {});
+    if (partFile) await fs.promises.unlink(partFile).catch(() => {});
+  }
+
+  if (!runId) return null;
+  const [[run]] = await pool.query('SELECT * FROM report_job_runs WHERE id = ?', [runId]);
+  return run;
+}
+
+function unschedule(id) {
+  tasks.get(id)?.stop();
+  tasks.delete(id);
+}
+
+// (Re)register the cron task for a job after it was created or edited
+async function reschedule(id) {
+  unschedule(id);
+  const job = await getJob(id);
+  if (!job?.enabled) return;
+  tasks.set(id, cron.schedule(job.cron_expr, () => { runJob(id); }, { timezone: TIMEZONE, name: `report-job-${id}` }));
+}
+
+/**
+ * Schedule every enabled job. Called once at server start; a missing
+ * database only disables scheduling.
+ */
+export async function startScheduler() {
+  try {
+    const jobs = await listJobs();
+    for (const job of jobs) await reschedule(job.id);
+    console.log(`Scheduler: ${tasks.size} report job(s) scheduled`);
+  } catch (err) {
+    console.warn(`Scheduler not started: ${err.message}`);
+  }
+}
@@ -6,7 +6,270 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(50) NOT NULL UNIQUE,
     email VARCHAR(100) NOT NULL UNIQUE,
     password VARCHAR(255) NOT NULL,
+    role ENUM('admin', 'supervisor', 'qa', 'viewer') NOT NULL DEFAULT 'viewer',
+    disabled TINYINT(1) NOT NULL DEFAULT 0,
+    must_change_password TINYINT(1) NOT NULL DEFAULT 0,
     last_login TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
+
+-- existing installs: add the role / account state columns
+-- ALTER TABLE users ADD COLUMN role ENUM('admin', 'supervisor', 'qa', 'viewer') NOT NULL DEFAULT 'viewer' AFTER password;
+-- ALTER TABLE users ADD COLUMN disabled TINYINT(1) NOT NULL DEFAULT 0 AFTER role;
+-- ALTER TABLE users ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0 AFTER disabled;
+
+-- call-center tenants served by this install; API credentials are
+-- AES-256-GCM encrypted with TENANT_SECRET_KEY (see tenantRegistry.js)
+CREATE TABLE IF NOT EXISTS tenants (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    slug VARCHAR(64) NOT NULL UNIQUE,            -- portal domain, e.g. shams
+    display_name VARCHAR(100) NOT NULL,
+    base_url VARCHAR(255) NOT NULL,
+    api_username_enc TEXT NOT NULL,
+    api_password_enc TEXT NOT NULL,
+    account_id_header VARCHAR(100) NULL,         -- X-Account-ID override, defaults to slug
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- per-user allow-lists; a user with no rows of a given type is unrestricted
+-- for that type (see scope.js). Admins are never restricted.
+CREATE TABLE IF NOT EXISTS user_scopes (
+    user_id INT NOT NULL,
+    scope_type ENUM('tenant', 'queue', 'campaign') NOT NULL,
+    value VARCHAR(255) NOT NULL,
+    PRIMARY KEY (user_id, scope_type, value),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- scheduled report definitions (see scheduler.js)
+CREATE TABLE IF NOT EXISTS report_jobs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    report_type VARCHAR(50) NOT NULL,            -- key of ENDPOINTS in reportFetcher.js
+    tenant VARCHAR(64) NOT NULL,
+    range_name VARCHAR(20) NOT NULL,             -- yesterday, last_week, … (timeUtils.js)
+    filters JSON NULL,                           -- { column: term }
+    format VARCHAR(10) NOT NULL DEFAULT 'csv',
+    cron_expr VARCHAR(100) NOT NULL,             -- evaluated in Asia/Dubai
+    output_dir VARCHAR(255) NULL,                -- relative to REPORT_OUTPUT_DIR; NULL = no file copy
+    email_to TEXT NULL,                          -- comma-separated recipients
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    last_run_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- one row per job execution
+CREATE TABLE IF NOT EXISTS report_job_runs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    job_id INT NOT NULL,
+    triggered_by ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+    status ENUM('running', 'success', 'failed') NOT NULL,
+    row_count INT NULL,
+    file_path VARCHAR(500) NULL,
+    error TEXT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    INDEX idx_job_started (job_id, started_at),
+    FOREIGN KEY (job_id) REFERENCES report_jobs(id) ON DELETE CASCADE
+);
+
+-- upstream report pages when REPORT_CACHE_STORE=mysql (see reportCache.js)
+CREATE TABLE IF NOT EXISTS report_cache (
+    cache_key CHAR(40) PRIMARY KEY,              -- sha1 of report|tenant|window|page
+    report VARCHAR(50) NOT NULL,
+    tenant VARCHAR(64) NOT NULL,
+    data LONGTEXT NOT NULL,                      -- JSON { rows, next }
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_expires (expires_at),
+    INDEX idx_report_tenant (report, tenant)
+);
+
+-- local call warehouse (see warehouse.js): one table per upstream report,
+-- upserted on (tenant, call_id); `data` keeps the raw row as returned upstream
+CREATE TABLE IF NOT EXISTS wh_cdrs (
+    tenant VARCHAR(64) NOT NULL,
+    call_id VARCHAR(128) NOT NULL,               -- upstream call_id, or sha1:<row hash> when missing
+    event_ts INT UNSIGNED NOT NULL,              -- epoch seconds
+    caller_id_number VARCHAR(64) NULL,
+    callee_id_number VARCHAR(64) NULL,
+    duration_seconds INT NULL,
+    media_recording_id VARCHAR(255) NULL,
+    data JSON NOT NULL,
+    synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_tenant_ts (tenant, event_ts)
+);
+
+CREATE TABLE IF NOT EXISTS wh_queue_calls (
+    tenant VARCHAR(64) NOT NULL,
+    call_id VARCHAR(128) NOT NULL,
+    event_ts INT UNSIGNED NOT NULL,
+    queue_name VARCHAR(255) NULL,
+    agent_name VARCHAR(255) NULL,
+    caller_id_number VARCHAR(64) NULL,
+    abandoned TINYINT(1) NOT NULL DEFAULT 0,
+    wait_seconds INT NULL,
+    talk_seconds INT NULL,
+    media_recording_id VARCHAR(255) NULL,
+    data JSON NOT NULL,
+    synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_tenant_ts (tenant, event_ts),
+    INDEX idx_tenant_queue (tenant, queue_name, event_ts),
+    INDEX idx_tenant_recording (tenant, media_recording_id)
+);
+
+CREATE TABLE IF NOT EXISTS wh_queue_outbound_calls (
+    tenant VARCHAR(64) NOT NULL,
+    call_id VARCHAR(128) NOT NULL,
+    event_ts INT UNSIGNED NOT NULL,
+    queue_name VARCHAR(255) NULL,
+    agent_name VARCHAR(255) NULL,
+    destination VARCHAR(64) NULL,
+    wait_seconds INT NULL,
+    talk_seconds INT NULL,
+    media_recording_id VARCHAR(255) NULL,
+    data JSON NOT NULL,
+    synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_tenant_ts (tenant, event_ts),
+    INDEX idx_tenant_queue (tenant, queue_name, event_ts),
+    INDEX idx_tenant_recording (tenant, media_recording_id)
+);
+
+CREATE TABLE IF NOT EXISTS wh_campaign_activity (
+    tenant VARCHAR(64) NOT NULL,
+    call_id VARCHAR(128) NOT NULL,
+    event_ts INT UNSIGNED NOT NULL,
+    campaign_name VARCHAR(255) NULL,
+    agent_name VARCHAR(255) NULL,
+    lead_number VARCHAR(64) NULL,
+    status VARCHAR(64) NULL,
+    disposition VARCHAR(255) NULL,
+    talk_seconds INT NULL,
+    media_recording_id VARCHAR(255) NULL,
+    data JSON NOT NULL,
+    synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_tenant_ts (tenant, event_ts),
+    INDEX idx_tenant_campaign (tenant, campaign_name, event_ts),
+    INDEX idx_tenant_recording (tenant, media_recording_id)
+);
+
+-- how far each tenant / report type has been synced into the warehouse
+CREATE TABLE IF NOT EXISTS sync_checkpoints (
+    tenant VARCHAR(64) NOT NULL,
+    report_type VARCHAR(50) NOT NULL,
+    synced_from INT UNSIGNED NULL,               -- epoch seconds; start of the synced span
+    synced_until INT UNSIGNED NULL,              -- epoch seconds; end of the synced span
+    rows_synced BIGINT NOT NULL DEFAULT 0,
+    last_run_at TIMESTAMP NULL,
+    last_error TEXT NULL,
+    PRIMARY KEY (tenant, report_type)
+);
+
+-- local copies of call recordings (see recordingArchive.js); `path` is
+-- relative to RECORDING_ARCHIVE_DIR
+CREATE TABLE IF NOT EXISTS recording_archive (
+    tenant VARCHAR(64) NOT NULL,
+    recording_id VARCHAR(255) NOT NULL,          -- media_recording_id / recording_filename
+    call_id VARCHAR(128) NULL,
+    report_type VARCHAR(50) NOT NULL,
+    call_time INT UNSIGNED NOT NULL,             -- epoch seconds
+    path VARCHAR(512) NOT NULL,
+    size_bytes BIGINT UNSIGNED NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, recording_id),
+    INDEX idx_tenant_call (tenant, call_id),
+    INDEX idx_sha256 (sha256),
+    INDEX idx_call_time (call_time)
+);
+
+-- probed recording details (see recordingMeta.js), so each recording is
+-- fetched for its duration only once
+CREATE TABLE IF NOT EXISTS recording_meta (
+    tenant VARCHAR(64) NOT NULL,
+    recording_id VARCHAR(255) NOT NULL,          -- media_recording_id / recording_filename
+    duration_seconds DECIMAL(10,3) NOT NULL,
+    size_bytes BIGINT UNSIGNED NULL,
+    bitrate INT UNSIGNED NULL,                   -- bits per second
+    channels TINYINT UNSIGNED NULL,
+    sample_rate INT UNSIGNED NULL,               -- Hz
+    probed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, recording_id)
+);
+
+-- who played or downloaded which recording (see
+-- recordingAudit.js); one row per playback session, not per range request
+CREATE TABLE IF NOT EXISTS recording_audit (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    tenant VARCHAR(64) NOT NULL,
+    recording_id VARCHAR(255) NOT NULL,
+    call_id VARCHAR(128) NULL,
+    action ENUM('play', 'download') NOT NULL,
+    user_id INT NULL,
+    username VARCHAR(50) NOT NULL,
+    ip VARCHAR(45) NULL,
+    range_start BIGINT UNSIGNED NULL,            -- lowest byte served
+    range_end BIGINT UNSIGNED NULL,              -- highest byte served
+    requests INT UNSIGNED NOT NULL DEFAULT 1,
+    first_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_first_at (first_at),
+    INDEX idx_tenant_recording (tenant, recording_id),
+    INDEX idx_tenant_call (tenant, call_id),
+    INDEX idx_username (username, first_at)
+);
+
+-- logins, logouts, report queries and exports (see auditLog.js)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    event ENUM('login', 'login_failed', 'logout', 'report', 'export', 'settings', 'session_revoked') NOT NULL,
+    user_id INT NULL,
+    username VARCHAR(50) NOT NULL,               -- as typed for failed logins
+    ip VARCHAR(45) NULL,
+    tenant VARCHAR(64) NULL,
+    path VARCHAR(255) NULL,
+    report VARCHAR(100) NULL,
+    params JSON NULL,                            -- query parameters
+    row_count INT UNSIGNED NULL,
+    status SMALLINT UNSIGNED NULL,               -- HTTP status of the response
+    detail VARCHAR(255) NULL,
+    INDEX idx_at (at),
+    INDEX idx_username (username, at),
+    INDEX idx_event (event, at)
+);
+
+-- settings changed at runtime by admins, e.g. audit_log_retention_days
+CREATE TABLE IF NOT EXISTS app_settings (
+    name VARCHAR(64) PRIMARY KEY,
+    value VARCHAR(255) NOT NULL,
+    updated_by VARCHAR(50) NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- login sessions (see sessions.js); the session JWT carries `id` as its sid
+CREATE TABLE IF NOT EXISTS sessions (
+    id CHAR(32) PRIMARY KEY,
+    user_id INT NOT NULL,
+    ip VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_reason VARCHAR(100) NULL,
+    INDEX idx_user (user_id, revoked_at),
+    INDEX idx_expires (expires_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
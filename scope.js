@@ -0,0 +1,225 @@
+// scope.js
+// Row-level restrictions: each user may carry an allow-list of tenants,
+// queue names and campaign names (table `user_scopes`). An empty list means
+// "no restriction" for that dimension; admins are never restricted.
+//
+// Report rows are filtered server-side so the API cannot be used to bypass
+// the UI. Recordings are checked against an index of recording ids seen in
+// report rows, since the recording endpoint only receives the id; ids the
+// index does not know are looked up in the warehouse tables.
+
+import ms from 'ms';
+import { pool } from './db.js';
+
+export const SCOPE_TYPES = ['tenant', 'queue', 'campaign'];
+
+const CACHE_TTL = ms('1m');
+const cache = new Map();   // Map<userId,{expires:number,scope:object}>
+
+// Recording id → queue / campaign rows it was seen in, bounded (oldest
+// entries evicted first)
+const RECORDING_INDEX_MAX = 50000;
+const recordingIndex = new Map();   // Map<`${tenant}|${id}`,{owners:[{reportType,queue_name,campaign_name}],callId}>
+
+const UNRESTRICTED = Object.freeze({ tenants: null, queues: null, campaigns: null });
+
+// Report types whose rows tie a recording to a queue or campaign
+const OWNER_TYPES = new Set(['queueCalls', 'queueOutboundCalls', 'campaignsActivity']);
+
+// Warehouse tables (see warehouse.js) that tie a recording id to its queue or
+// campaign: [reportType, table, scoped column]
+const OWNER_TABLES = [
+  ['queueCalls', 'wh_queue_calls', 'queue_name'],
+  ['queueOutboundCalls', 'wh_queue_outbound_calls', 'queue_name'],
+  ['campaignsActivity', 'wh_campaign_activity', 'campaign_name']
+];
+
+/**
+ * Raw allow-lists for the admin UI.
+ * @returns {Promise<{tenants:string[], queues:string[], campaigns:string[]}>}
+ */
+export async function getUserScopes(userId) {
+  const [rows] = await pool.query('SELECT scope_type, value FROM user_scopes WHERE user_id = ? ORDER BY value', [userId]);
+  const lists = { tenants: [], queues: [], campaigns: [] };
+  for (const { scope_type: type, value } of rows) lists[`${type}s`].push(value);
+  return lists;
+}
+
+/**
+ * Replace a user's allow-lists. Keys that are omitted are left unchanged.
+ * @param {number} userId
+ * @param {{tenants?:string[], queues?:string[], campaigns?:string[]}} lists
+ */
+export async function setUserScopes(userId, lists) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    for (const type of SCOPE_TYPES) {
+      const values = lists[`${type}s`];
+      if (values === undefined) continue;
+      await conn.query('DELETE FROM user_scopes WHERE user_id = ? AND scope_type = ?', [userId, type]);
+      const unique = [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+      if (unique.length) {
+        await conn.query('INSERT INTO user_scopes (user_id, scope_type, value) VALUES ?', [unique.map(v => [userId, type, v])]);
+      }
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  cache.delete(userId);
+}
+
+/**
+ * Effective scope for a signed-in user. Each dimension is a Set of allowed
+ * values, or null when unrestricted.
+ *
+ * @param {{id:number, role:string}} user – session claims.
+ * @returns {Promise<{tenants:Set|null, queues:Set|null, campaigns:Set|null}>}
+ */
+export async function scopeForUser(user) {
+  if (user.role === 'admin') return UNRESTRICTED;
+
+  const now = Date.now();
+  const cached = cache.get(user.id);
+  if (cached && now < cached.expires) return cached.scope;
+
+  const lists = await getUserScopes(user.id);
+  const asSet = values => (values.length ? new Set(values) : null);
+  const scope = { tenants: asSet(lists.tenants), queues: asSet(lists.queues), campaigns: asSet(lists.campaigns) };
+  cache.set(user.id, { expires: now + CACHE_TTL, scope });
+  return scope;
+}
+
+export function tenantInScope(scope, tenant) {
+  return !scope.tenants || scope.tenants.has(tenant);
+}
+
+/**
+ * Whether a raw report row is visible under `scope`.
+ *
+ * Queue reports are matched on `queue_name`, campaign activity on
+ * `campaign_name`; a dimension without a list does not restrict its rows.
+ * CDRs and agent status rows ("agentStatus") carry neither name, so there is
+ * no telling which queue or campaign they belong to: they stay hidden from
+ * users with a queue or campaign restriction rather than showing them calls
+ * and agents of other teams.
+ *
+ * @param {object} scope      – from scopeForUser().
+ * @param {string} reportType – key of ENDPOINTS in reportFetcher.js.
+ * @param {object} row        – raw upstream row.
+ */
+export function rowInScope(scope, reportType, row) {
+  if (!scope.queues && !scope.campaigns) return true;
+  switch (reportType) {
+    case 'queueCalls':
+    case 'queueOutboundCalls':
+      return !scope.queues || scope.queues.has(row.queue_name);
+    case 'campaignsActivity':
+      return !scope.campaigns || scope.campaigns.has(row.campaign_name);
+    default:
+      // CDRs and agent status, see above
+      return false;
+  }
+}
+
+function recordingIdOf(row) {
+  return row.media_recording_id || row.recording_filename || null;
+}
+
+/**
+ * Remember which queue / campaign a row's recording belongs to, so that
+ * recordingInScope() can later decide on the recording id alone. A recording
+ * keeps every queue / campaign it was seen with; CDR rows, which carry
+ * neither, only supply a call id.
+ */
+export function indexRecording(tenant, reportType, row) {
+  const id = recordingIdOf(row);
+  if (!id) return;
+  const key = `${tenant}|${id}`;
+  const entry = recordingIndex.get(key) || { owners: [], callId: null };
+  const callId = row.call_id ?? row.callid ?? null;
+  if (OWNER_TYPES.has(reportType)) {
+    const known = entry.owners.some(o =>
+      o.reportType === reportType && o.queue_name === row.queue_name && o.campaign_name === row.campaign_name);
+    if (!known) entry.owners.push({ reportType, queue_name: row.queue_name, campaign_name: row.campaign_name });
+    entry.callId = callId ?? entry.callId;
+  } else {
+    entry.callId ??= callId;
+  }
+  recordingIndex.delete(key);   // re-insert to keep recently served ids
+  recordingIndex.set(key, entry);
+  if (recordingIndex.size > RECORDING_INDEX_MAX) {
+    recordingIndex.delete(recordingIndex.keys().next().value);
+  }
+}
+
+// Warehouse rows carrying any of `ids`, as (reportType, row) pairs
+async function warehouseOwners(tenant, ids) {
+  const sql = OWNER_TABLES.map(([type, table, column]) =>
+    `SELECT '${type}' AS reportType, media_recording_id, ${column}, call_id FROM ${table}
+      WHERE tenant = ? AND media_recording_id IN (?)`
+  ).join(' UNION ALL ');
+  try {
+    const [rows] = await pool.query(sql, OWNER_TABLES.flatMap(() => [tenant, ids]));
+    return rows;
+  } catch (err) {
+    console.warn(`Recording owner lookup failed (${err.message})`);
+    return [];
+  }
+}
+
+/**
+ * The subset of recording `ids` that may be played under `scope`. Users
+ * restricted to queues or campaigns can only play recordings of queue or
+ * campaign calls in their scope; one owner in scope is enough. Owners come
+ * from the recording index, or from the warehouse for ids without a queue /
+ * campaign owner there (those are indexed on the way); recordings found in
+ * neither are refused.
+ *
+ * @returns {Promise<Set<string>>}
+ */
+export async function recordingsInScope(scope, tenant, ids) {
+  if (!scope.queues && !scope.campaigns) return new Set(ids);
+  const allowed = new Set();
+  const unknown = [];
+  for (const id of ids) {
+    const owners = recordingIndex.get(`${tenant}|${id}`)?.owners;
+    if (!owners?.length) unknown.push(id);
+    else if (owners.some(o => rowInScope(scope, o.reportType, o))) allowed.add(id);
+  }
+  if (unknown.length) {
+    for (const { reportType, ...row } of await warehouseOwners(tenant, unknown)) {
+      indexRecording(tenant, reportType, row);
+      if (rowInScope(scope, reportType, row)) allowed.add(row.media_recording_id);
+    }
+  }
+  return allowed;
+}
+
+/** Whether one recording may be played under `scope` (see recordingsInScope). */
+export async function recordingInScope(scope, tenant, id) {
+  return (await recordingsInScope(scope, tenant, [id])).has(id);
+}
+
+/**
+ * Build a (reportType, row) filter for a user that also feeds the recording
+ * index. Every row passes for unrestricted users.
+ */
+export function scopeRowFilter(scope, tenant) {
+  return (reportType, row) => {
+    indexRecording(tenant, reportType, row);
+    return rowInScope(scope, reportType, row);
+  };
+}
+
+/**
+ * Call id of an indexed recording (null when it has not been served in a
+ * report since the server started).
+ */
+export function recordingCallId(tenant, id) {
+  return recordingIndex.get(`${tenant}|${id}`)?.callId ?? null;
+}
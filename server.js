@@ -4,21 +4,67 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-// import { fetchAgentStatus } from './agentStatus.js';
-import { fetchReport } from './reportFetcher.js';
-import { getPortalToken, httpsAgent } from './tokenService.js';
-import axios from 'axios';
-import { parseBuffer } from 'music-metadata';
+import { deriveAnsweredTime, ENDPOINTS } from './reportFetcher.js';
+import { fetchUnifiedReport, decodeCursor, HEADERS } from './unifiedReport.js';
+import { forgetPortalToken } from './tokenService.js';
+import { resolveTenant, listTenants, createTenant, updateTenant } from './tenantRegistry.js';
 import cookieParser from 'cookie-parser';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
-import mysql from 'mysql2/promise';
+import { pool } from './db.js';
+import {
+  scopeForUser, tenantInScope, rowInScope, scopeRowFilter, indexRecording, recordingInScope, recordingsInScope,
+  getUserScopes, setUserScopes
+} from './scope.js';
+import {
+  JOB_FORMATS, JOB_REPORT_TYPES, jobFieldError, listJobs, getJob, createJob, updateJob, deleteJob,
+  listRuns, runJob, startScheduler
+} from './scheduler.js';
+import { RANGE_NAMES, localDate } from './timeUtils.js';
+import { reportRows, unifiedRows, writeCsv, writeXlsx, writeTableCsv, writeTableXlsx } from './reportExport.js';
+import {
+  agentKpiReport, AGENT_KPI_COLUMNS, queueSlaReport, QUEUE_SLA_COLUMNS,
+  intervalReport, INTERVAL_COLUMNS, INTERVAL_MINUTES, MAX_INTERVALS, dashboardReport
+} from './analytics.js';
+import { parseFilterParam } from './reportFilters.js';
+import { buildSummaryPdf } from './pdfReport.js';
+import { cacheStats, purgeCache } from './reportCache.js';
+import { agentBoard, visibleBoard, subscribe as subscribeWallboard } from './wallboard.js';
+import { agentActivityReport, AGENT_ACTIVITY_COLUMNS, ACTIVITY_VIEWS, MAX_ACTIVITY_DAYS } from './agentActivity.js';
+import { callDetail, WINDOW_BEFORE_SECONDS, WINDOW_AFTER_SECONDS } from './callDetail.js';
+import { openRecording } from './recordings.js';
+import { recordingEntries, writeRecordingZip, maxZipRecordings } from './recordingZip.js';
+import { findArchived, sendArchived, archiveAll, archiveStatus, purgeArchive, startRecordingArchive } from './recordingArchive.js';
+import { recordingMeta, cachedMeta, META_BATCH_MAX } from './recordingMeta.js';
+import {
+  recordAccess, searchRecordingAudit, recordingAuditRows, auditCsvRecord, AUDIT_CSV_HEADERS, AUDIT_ACTIONS
+} from './recordingAudit.js';
+import {
+  auditRequests, logActivity, searchAuditLog, getAuditRetention, setAuditRetention, purgeAuditLog,
+  startAuditLogPurge, AUDIT_EVENTS
+} from './auditLog.js';
+import {
+  createSession, activeSession, requireSession, revokeSession, revokeUserSessions, listActiveSessions,
+  startSessionSweep
+} from './sessions.js';
+import { loginLockout, recordLoginFailure, clearLoginFailures } from './loginThrottle.js';
+import { WAREHOUSE_TYPES, fetchReportPage, syncAll, syncStatus, startWarehouseSync } from './warehouse.js';
+import {
+  ROLES, MIN_PASSWORD_LENGTH, listUsers, getUser, findUserForLogin, countAdmins,
+  createUser, updateUser, setPassword, verifyPassword, generatePassword
+} from './users.js';
 
 dotenv.config();
 
 const app = express();
 app.use(express.json()); // parse JSON bodies
 app.use(cookieParser()); // parse cookies
+// Behind a reverse proxy set TRUST_PROXY (e.g. "loopback" or a hop count) so
+// that req.ip, which the audit trail records, is the client's address
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' || trust);
+}
 const PORT = process.env.PORT || 9595;
 const HOST = process.env.HOST || '0.0.0.0'; // 0.0.0.0 ensures the server binds to all network interfaces
 const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
@@ -31,36 +77,163 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // --- Authentication setup ---
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_key';
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;   // 2 h session lifetime
+const SESSION_REFRESH_MS = 60 * 60 * 1000;   // re-issue once less than 1 h remains
 
-const pool = mysql.createPool({
-  host: 'localhost',
-  user: 'root',
-  password: 'Ayan@1012',
-  database: 'shams',
-  port: 3306,
-  waitForConnections: true,
-  connectionLimit: 5,
+// --- Role-based access control ---
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  admin: ['reports:view', 'reports:export', 'recordings:play', 'recordings:download', 'users:manage', 'tenants:manage', 'jobs:manage', 'cache:manage', 'warehouse:manage', 'archive:manage', 'audit:view', 'audit:manage'],
+  supervisor: ['reports:view', 'reports:export', 'recordings:play', 'recordings:download'],
+  qa: ['reports:view', 'recordings:play', 'recordings:download'],
+  viewer: ['reports:view']
+};
+
+// Permission required by each protected route ("METHOD /path" as registered)
+const ROUTE_PERMISSIONS = {
+  'GET /api/reports/unified/export': 'reports:export',
+  'GET /api/reports/:type/export': 'reports:export',
+  'GET /api/reports/summary/pdf': 'reports:export',
+  'GET /api/reports/agentKpi/export': 'reports:export',
+  'GET /api/reports/agentKpi': 'reports:view',
+  'GET /api/reports/queueSla/export': 'reports:export',
+  'GET /api/reports/queueSla': 'reports:view',
+  'GET /api/reports/interval/export': 'reports:export',
+  'GET /api/reports/interval': 'reports:view',
+  'GET /api/reports/agentActivity/export': 'reports:export',
+  'GET /api/reports/agentActivity': 'reports:view',
+  'GET /api/reports/dashboard': 'reports:view',
+  'GET /api/reports/unified': 'reports:view',
+  'GET /api/reports/:type': 'reports:view',
+  'GET /api/agents/status': 'reports:view',
+  'GET /api/agents/stream': 'reports:view',
+  'GET /api/calls/:callId': 'reports:view',
+  'GET /api/recordings/zip': 'recordings:download',
+  'POST /api/recordings/zip': 'recordings:download',
+  'GET /api/recordings/:id/meta': 'recordings:play',
+  'POST /api/recordings/meta': 'recordings:play',
+  'GET /api/recordings/:id': 'recordings:play',
+  'GET /api/admin/recording-audit/export': 'audit:view',
+  'GET /api/admin/recording-audit': 'audit:view',
+  'GET /api/admin/audit-log/retention': 'audit:view',
+  'PUT /api/admin/audit-log/retention': 'audit:manage',
+  'GET /api/admin/audit-log': 'audit:view',
+  'GET /api/users': 'users:manage',
+  'GET /api/admin/sessions': 'users:manage',
+  'DELETE /api/admin/sessions/:id': 'users:manage',
+  'POST /api/users': 'users:manage',
+  'PATCH /api/users/:id': 'users:manage',
+  'POST /api/users/:id/reset-password': 'users:manage',
+  'GET /api/users/:id/scope': 'users:manage',
+  'PUT /api/users/:id/scope': 'users:manage',
+  'GET /api/tenants': 'reports:view',
+  'POST /api/tenants': 'tenants:manage',
+  'PATCH /api/tenants/:slug': 'tenants:manage',
+  'GET /api/jobs': 'jobs:manage',
+  'POST /api/jobs': 'jobs:manage',
+  'PATCH /api/jobs/:id': 'jobs:manage',
+  'DELETE /api/jobs/:id': 'jobs:manage',
+  'POST /api/jobs/:id/run': 'jobs:manage',
+  'GET /api/jobs/:id/runs': 'jobs:manage',
+  'GET /api/admin/cache': 'cache:manage',
+  'DELETE /api/admin/cache': 'cache:manage',
+  'GET /api/admin/warehouse': 'warehouse:manage',
+  'POST /api/admin/warehouse/sync': 'warehouse:manage',
+  'GET /api/admin/recording-archive': 'archive:manage',
+  'POST /api/admin/recording-archive/run': 'archive:manage'
+};
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.viewer;
+}
+
+// Route-level guard: look up the matched route in ROUTE_PERMISSIONS and
+// reject with 403 when the user's role lacks it. Unmapped routes are denied,
+// as is everything while a forced password change is pending.
+function authorize(req, res, next) {
+  if (req.user?.mustChangePassword) {
+    return res.status(403).json({ error: 'Password change required' });
+  }
+  const permission = ROUTE_PERMISSIONS[`${req.method} ${req.route.path}`];
+  if (!permission || !permissionsFor(req.user?.role).includes(permission)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+}
+
+// Sign a fresh JWT for the user's server-side session `sid` (see
+// sessions.js) and set it as the auth cookie
+function issueSession(res, user, sid) {
+  const claims = {
+    sid,
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role || 'viewer',
+    mustChangePassword: Boolean(user.mustChangePassword ?? user.must_change_password)
+  };
+  const token = jwt.sign(claims, JWT_SECRET, { expiresIn: SESSION_TTL_MS / 1000 });
+  res.cookie('token', token, { httpOnly: true, sameSite: 'lax', maxAge: SESSION_TTL_MS });
+}
+
+// Every API route behind it needs an open server-side session (see sessions.js)
+const requireAuth = requireSession({
+  secret: JWT_SECRET,
+  ttlMs: SESSION_TTL_MS,
+  refreshMs: SESSION_REFRESH_MS,
+  reissue: issueSession
 });
 
+// Open a server-side session for the user and set its cookie
+async function startSession(req, res, user) {
+  const sid = await createSession(user.id, { ttlMs: SESSION_TTL_MS, ip: req.ip, userAgent: req.get('user-agent') });
+  issueSession(res, user, sid);
+}
+
+// Write an audit_log row (see auditLog.js); failures are logged and never
+// affect the response
+function audit(req, entry) {
+  logActivity({ user: req.user, ip: req.ip, ...entry })
+    .catch(err => console.error(`Audit log write failed (${entry.event}): ${err.message}`));
+}
+
 // Login
 app.post('/api/login', async (req, res) => {
   const { username, password } = req.body || {};
-  if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
-  try {
-    const [rows] = await pool.query(
-      'SELECT id, username, email, password FROM users WHERE username = ? OR email = ? LIMIT 1',
-      [username, username]
-    );
-    if (!rows.length) return res.status(401).json({ error: 'Invalid credentials' });
-    const user = rows[0];
+  if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  const failed = detail => audit(req, { event: 'login_failed', username, detail });
+
+  // Too many recent failures for this username or address (see loginThrottle.js)
+  const lockedFor = loginLockout({ username, ip: req.ip });
+  if (lockedFor) {
+    failed('Locked out');
+    res.setHeader('Retry-After', String(lockedFor));
+    return res.status(429).json({ error: `Too many failed attempts; try again in ${Math.ceil(lockedFor / 60)} min` });
+  }
+  const badCredentials = detail => {
+    const locked = recordLoginFailure({ username, ip: req.ip });
+    failed(locked ? `${detail}; locked out` : detail);
+    return res.status(401).json({ error: 'Invalid credentials' });
+  };
+
+  try {
+    const user = await findUserForLogin(username);
+    if (!user) return badCredentials('Unknown user');
     const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!ok) return badCredentials('Wrong password');
+    if (user.disabled) {
+      failed('Account disabled');
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+    clearLoginFailures(username);
 
     await pool.query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
 
-    const token = jwt.sign({ id: user.id, username: user.username, email: user.email }, JWT_SECRET, { expiresIn: '2h' });
-    res.cookie('token', token, { httpOnly: true, sameSite: 'lax', maxAge: 2 * 60 * 60 * 1000 });
-    res.json({ success: true });
+    await startSession(req, res, user);
+    audit(req, { event: 'login', user });
+    res.json({ success: true, mustChangePassword: Boolean(user.must_change_password) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
@@ -68,176 +241,1067 @@ app.post('/api/login', async (req, res) => {
 });
 
 // Auth check
-app.get('/api/auth/check', (req, res) => {
+app.get('/api/auth/check', async (req, res) => {
   const { token } = req.cookies || {};
   if (!token) return res.json({ authenticated: false });
   try {
-    jwt.verify(token, JWT_SECRET);
-    res.json({ authenticated: true });
+    const { sid, id } = jwt.verify(token, JWT_SECRET);
+    const session = sid ? await activeSession(sid, id) : null;
+    if (!session) return res.json({ authenticated: false });
+    const role = session.role || 'viewer';
+    res.json({
+      authenticated: true,
+      user: {
+        username: session.username,
+        role,
+        mustChangePassword: Boolean(session.must_change_password),
+        permissions: permissionsFor(role)
+      }
+    });
   } catch {
     res.json({ authenticated: false });
   }
 });
 
-// Logout
-app.post('/api/logout', (req, res) => {
+// Logout: revoke the server-side session so the JWT stops working everywhere
+app.post('/api/logout', async (req, res) => {
+  const { token } = req.cookies || {};
+  let claims = null;
+  try {
+    if (token) claims = jwt.verify(token, JWT_SECRET);
+  } catch {
+    // Expired or invalid session: nothing to log out of
+  }
+  if (claims?.sid) {
+    try {
+      if (await revokeSession(claims.sid, 'logout')) audit(req, { event: 'logout', user: claims });
+    } catch (err) {
+      console.error(`Could not revoke session on logout: ${err.message}`);
+    }
+  }
   res.clearCookie('token');
   res.json({ success: true });
 });
 
-// GET /api/reports/:type?account=<tenant>&start=<ISO>&end=<ISO>
-app.get('/api/reports/:type', async (req, res) => {
-  const { type } = req.params;
-  const { account, start, end, limit: limitStr, startKey } = req.query;
+// Every API route registered below requires a valid session
+app.use('/api', requireAuth);
+
+// Report queries and exports go to the activity log (see auditLog.js)
+app.use('/api', auditRequests(audit));
+
+// POST /api/account/password { currentPassword, newPassword }
+// Any signed-in user may change their own password; this also clears a
+// pending forced change.
+app.post('/api/account/password', async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword || !newPassword || typeof currentPassword !== 'string') {
+    return res.status(400).json({ error: 'Current and new password required' });
+  }
+  const passwordErr = passwordError(newPassword);
+  if (passwordErr) return res.status(400).json({ error: passwordErr });
+  try {
+    if (!(await verifyPassword(req.user.id, currentPassword))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    await setPassword(req.user.id, newPassword);
+    // Sign out every session, including this one, and carry on in a new one
+    await revokeUserSessions(req.user.id, 'password changed');
+    await startSession(req, res, { ...req.user, mustChangePassword: false });
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Returns an error message for an unacceptable new password, else null
+function passwordError(password) {
+  if (typeof password !== 'string') return 'Password must be a string';
+  if (password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  return null;
+}
+
+// --- User administration (admin only) ---
+
+// Validate the optional profile fields shared by create and update.
+// Returns an error message or null.
+function userFieldError({ username, email, role, disabled }) {
+  if (username !== undefined && (typeof username !== 'string' || !username.trim())) return 'Username cannot be empty';
+  if (email !== undefined && (typeof email !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(email))) return 'Invalid email';
+  if (role !== undefined && !ROLES.includes(role)) return `Role must be one of ${ROLES.join(', ')}`;
+  if (disabled !== undefined && typeof disabled !== 'boolean') return 'Disabled must be true or false';
+  return null;
+}
+
+// Map duplicate-key errors to 409, everything else to 500
+function sendUserError(res, err) {
+  if (err.code === 'ER_DUP_ENTRY') {
+    return res.status(409).json({ error: 'Username or email already exists' });
+  }
+  console.error(err);
+  res.status(500).json({ error: 'Server error' });
+}
+
+// GET /api/users
+app.get('/api/users', authorize, async (req, res) => {
+  try {
+    res.json({ data: await listUsers() });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// POST /api/users { username, email, password, role }
+app.post('/api/users', authorize, async (req, res) => {
+  const { username, email, password, role = 'viewer' } = req.body || {};
+  if (!username || !email || !password) {
+    return res.status(400).json({ error: 'Username, email and password required' });
+  }
+  const fieldErr = userFieldError({ username, email, role }) || passwordError(password);
+  if (fieldErr) return res.status(400).json({ error: fieldErr });
+  try {
+    const id = await createUser({ username: username.trim(), email, password, role });
+    res.status(201).json({ data: await getUser(id) });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// PATCH /api/users/:id { username?, email?, role?, disabled? }
+app.patch('/api/users/:id', authorize, async (req, res) => {
+  const id = Number(req.params.id);
+  const { username, email, role, disabled } = req.body || {};
+  const fieldErr = userFieldError({ username, email, role, disabled });
+  if (fieldErr) return res.status(400).json({ error: fieldErr });
+
+  // Guard against admins locking themselves out
+  if (id === req.user.id && ((role !== undefined && role !== 'admin') || disabled)) {
+    return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+  }
+  try {
+    const target = await getUser(id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    // Never leave the system without an active admin
+    const losesAdmin = target.role === 'admin' && !target.disabled &&
+      ((role !== undefined && role !== 'admin') || disabled);
+    if (losesAdmin && (await countAdmins()) <= 1) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+
+    await updateUser(id, { username: username?.trim(), email, role, disabled });
+    if (disabled) await revokeUserSessions(id, 'account disabled');
+    else if (role !== undefined && role !== target.role) await revokeUserSessions(id, 'role changed');
+    res.json({ data: await getUser(id) });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// POST /api/users/:id/reset-password { password? }
+// Sets the given (or a generated) temporary password and forces the user to
+// change it at next login. A generated password is returned once.
+app.post('/api/users/:id/reset-password', authorize, async (req, res) => {
+  const id = Number(req.params.id);
+  const supplied = req.body?.password;
+  const passwordErr = supplied ? passwordError(supplied) : null;
+  if (passwordErr) return res.status(400).json({ error: passwordErr });
+  const password = supplied || generatePassword();
+  try {
+    const found = await setPassword(id, password, { mustChange: true });
+    if (!found) return res.status(404).json({ error: 'User not found' });
+    await revokeUserSessions(id, 'password reset');
+    res.json({ success: true, ...(!supplied && { temporaryPassword: password }) });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// GET /api/users/:id/scope – { tenants, queues, campaigns } allow-lists
+app.get('/api/users/:id/scope', authorize, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    if (!(await getUser(id))) return res.status(404).json({ error: 'User not found' });
+    res.json({ data: await getUserScopes(id) });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// PUT /api/users/:id/scope { tenants?, queues?, campaigns? }
+// Each list replaces the stored one; an empty list lifts that restriction.
+app.put('/api/users/:id/scope', authorize, async (req, res) => {
+  const id = Number(req.params.id);
+  const { tenants, queues, campaigns } = req.body || {};
+  for (const list of [tenants, queues, campaigns]) {
+    if (list !== undefined && !Array.isArray(list)) {
+      return res.status(400).json({ error: 'Scope lists must be arrays' });
+    }
+  }
+  try {
+    if (!(await getUser(id))) return res.status(404).json({ error: 'User not found' });
+    await setUserScopes(id, { tenants, queues, campaigns });
+    res.json({ data: await getUserScopes(id) });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// --- Sessions (admin only) ---
+
+// GET /api/admin/sessions – every active login session; `current` marks the caller's
+app.get('/api/admin/sessions', authorize, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions();
+    res.json({ data: sessions.map(s => ({ ...s, current: s.id === req.user.sid })) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/admin/sessions/:id – sign that session out immediately
+app.delete('/api/admin/sessions/:id', authorize, async (req, res) => {
+  if (req.params.id === req.user.sid) {
+    return res.status(400).json({ error: 'Log out to end your own session' });
+  }
+  try {
+    const session = await revokeSession(req.params.id, `ended by ${req.user.username}`);
+    if (!session) return res.status(404).json({ error: 'Session not found or already ended' });
+    const owner = await getUser(session.user_id);
+    audit(req, { event: 'session_revoked', detail: `Session of ${owner?.username ?? `user ${session.user_id}`} from ${session.ip ?? 'unknown address'}` });
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
+// --- Tenants ---
+
+// Resolve ?account=<tenant> against the tenant registry and expose the
+// settings as req.tenant and the user's row-level scope as req.scope.
+// 400 when missing, 404 when unknown or disabled, 403 when outside the
+// user's tenant allow-list.
+async function requireTenant(req, res, next) {
+  const { account } = req.query;
   if (!account) {
     return res.status(400).json({ error: 'Missing account query param' });
   }
+  try {
+    req.tenant = await resolveTenant(account);
+  } catch (err) {
+    if (err.code === 'UNKNOWN_TENANT') return res.status(404).json({ error: err.message });
+    throw err;
+  }
+  req.scope = await scopeForUser(req.user);
+  if (!tenantInScope(req.scope, account)) {
+    return res.status(403).json({ error: 'Tenant not in your scope' });
+  }
+  next();
+}
+
+// Validate tenant fields shared by create and update. Returns an error or null.
+function tenantFieldError({ slug, baseUrl }) {
+  if (slug !== undefined && !/^[\w.-]+$/.test(String(slug))) return 'Slug may only contain letters, digits, dot, dash and underscore';
+  if (baseUrl !== undefined && !/^https?:\/\/\S+$/.test(String(baseUrl))) return 'Base URL must start with http:// or https://';
+  return null;
+}
+
+// GET /api/tenants – tenants available in the picker (admins also see disabled ones)
+app.get('/api/tenants', authorize, async (req, res) => {
+  try {
+    const includeDisabled = permissionsFor(req.user.role).includes('tenants:manage');
+    const scope = await scopeForUser(req.user);
+    const tenants = await listTenants({ includeDisabled });
+    res.json({ data: tenants.filter(t => tenantInScope(scope, t.slug)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/tenants { slug, displayName, baseUrl, username, password, accountIdHeader? }
+app.post('/api/tenants', authorize, async (req, res) => {
+  const { slug, displayName, baseUrl, username, password, accountIdHeader } = req.body || {};
+  if (!slug || !baseUrl || !username || !password) {
+    return res.status(400).json({ error: 'Slug, base URL, username and password required' });
+  }
+  const fieldErr = tenantFieldError({ slug, baseUrl });
+  if (fieldErr) return res.status(400).json({ error: fieldErr });
+  try {
+    const id = await createTenant({ slug, displayName: displayName || slug, baseUrl, username, password, accountIdHeader });
+    res.status(201).json({ data: { id, slug } });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Tenant already exists' });
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/tenants/:slug { displayName?, baseUrl?, username?, password?, accountIdHeader?, enabled? }
+app.patch('/api/tenants/:slug', authorize, async (req, res) => {
+  const { slug } = req.params;
+  const { displayName, baseUrl, username, password, accountIdHeader, enabled } = req.body || {};
+  const fieldErr = tenantFieldError({ baseUrl });
+  if (fieldErr) return res.status(400).json({ error: fieldErr });
+  try {
+    // Blank credentials in the form mean "keep the stored value"
+    const found = await updateTenant(slug, {
+      displayName,
+      baseUrl,
+      username: username || undefined,
+      password: password || undefined,
+      accountIdHeader,
+      enabled
+    });
+    if (!found) return res.status(404).json({ error: 'Tenant not found' });
+    forgetPortalToken(slug);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Scheduled report jobs (admin only) ---
+
+// Pick the job definition fields out of a request body
+function jobFromBody(body = {}) {
+  const { name, report_type, tenant, range_name, filters, format, cron_expr, output_dir, email_to, enabled } = body;
+  return { name, report_type, tenant, range_name, filters, format, cron_expr, output_dir, email_to, enabled };
+}
+
+// Error message when a job names a tenant that is unknown or disabled, else null
+async function jobTenantError(tenant) {
+  if (tenant === undefined) return null;
+  try {
+    await resolveTenant(tenant);
+    return null;
+  } catch (err) {
+    if (err.code === 'UNKNOWN_TENANT') return err.message;
+    throw err;
+  }
+}
+
+// GET /api/jobs – definitions plus the choices the admin form offers
+app.get('/api/jobs', authorize, async (req, res) => {
+  try {
+    res.json({
+      data: await listJobs(),
+      options: { reportTypes: JOB_REPORT_TYPES, ranges: RANGE_NAMES, formats: JOB_FORMATS }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/jobs { name, report_type, tenant, range_name, cron_expr, filters?, format?, output_dir?, email_to?, enabled? }
+app.post('/api/jobs', authorize, async (req, res) => {
+  const job = jobFromBody(req.body);
+  const fieldErr = jobFieldError(job, { create: true });
+  if (fieldErr) return res.status(400).json({ error: fieldErr });
+  if (!job.output_dir && !job.email_to?.length) {
+    return res.status(400).json({ error: 'Choose an output directory and/or email recipients' });
+  }
+  try {
+    const tenantErr = await jobTenantError(job.tenant);
+    if (tenantErr) return res.status(400).json({ error: tenantErr });
+    const id = await createJob(job, req.user.id);
+    res.status(201).json({ data: await getJob(id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/jobs/:id { …any POST field }
+app.patch('/api/jobs/:id', authorize, async (req, res) => {
+  const id = Number(req.params.id);
+  const job = jobFromBody(req.body);
+  const fieldErr = jobFieldError(job);
+  if (fieldErr) return res.status(400).json({ error: fieldErr });
+  if (job.output_dir !== undefined && job.email_to !== undefined && !job.output_dir && !job.email_to.length) {
+    return res.status(400).json({ error: 'Choose an output directory and/or email recipients' });
+  }
+  try {
+    const tenantErr = await jobTenantError(job.tenant);
+    if (tenantErr) return res.status(400).json({ error: tenantErr });
+    if (!(await updateJob(id, job))) return res.status(404).json({ error: 'Job not found' });
+    res.json({ data: await getJob(id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/jobs/:id – also drops its run history
+app.delete('/api/jobs/:id', authorize, async (req, res) => {
+  try {
+    if (!(await deleteJob(Number(req.params.id)))) return res.status(404).json({ error: 'Job not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/jobs/:id/run – run now and wait for the result
+app.post('/api/jobs/:id/run', authorize, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    if (!(await getJob(id))) return res.status(404).json({ error: 'Job not found' });
+    const run = await runJob(id, 'manual');
+    if (!run) return res.status(409).json({ error: 'Job is already running' });
+    res.json({ data: run });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/jobs/:id/runs – latest runs first
+app.get('/api/jobs/:id/runs', authorize, async (req, res) => {
+  try {
+    res.json({ data: await listRuns(Number(req.params.id)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// --- Report cache (admin only) ---
+
+// GET /api/admin/cache – store, hit/miss counters, size and TTL policy
+app.get('/api/admin/cache', authorize, async (req, res) => {
+  try {
+    res.json({ data: await cacheStats() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/admin/cache?report=<type>&tenant=<tenant> – both optional
+app.delete('/api/admin/cache', authorize, async (req, res) => {
+  const { report, tenant } = req.query;
+  if (report && !ENDPOINTS[report]) return res.status(400).json({ error: `Unknown report type: ${report}` });
+  try {
+    res.json({ removed: await purgeCache({ report, tenant }) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/warehouse – sync checkpoint per tenant and report type
+app.get('/api/admin/warehouse', authorize, async (req, res) => {
+  try {
+    res.json({ data: await syncStatus() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/warehouse/sync { tenant?, report? } – sync now and wait
+app.post('/api/admin/warehouse/sync', authorize, async (req, res) => {
+  const { tenant, report } = req.body || {};
+  if (report && !WAREHOUSE_TYPES.includes(report)) {
+    return res.status(400).json({ error: `report must be one of ${WAREHOUSE_TYPES.join(', ')}` });
+  }
+  try {
+    const results = await syncAll({ ...(tenant && { tenants: [tenant] }), ...(report && { types: [report] }) });
+    res.json({ data: results });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/recording-archive – archived recordings per tenant and the
+// archiver settings
+app.get('/api/admin/recording-archive', authorize, async (req, res) => {
+  try {
+    res.json(await archiveStatus());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/recording-archive/run { tenant?, start?, end? } – archive
+// now (the recent window unless a range is given), apply retention and wait
+app.post('/api/admin/recording-archive/run', authorize, async (req, res) => {
+  const { tenant, start, end } = req.body || {};
+  let range;
+  if (start || end) {
+    range = { startDate: Math.floor(Date.parse(start) / 1000), endDate: Math.floor(Date.parse(end) / 1000) };
+    if (Number.isNaN(range.startDate) || Number.isNaN(range.endDate)) {
+      return res.status(400).json({ error: 'start and end must both be ISO dates' });
+    }
+  }
+  try {
+    const results = await archiveAll({ ...(tenant && { tenants: [tenant] }), range });
+    res.json({ data: results, purged: await purgeArchive() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Recording audit trail (admin only) ---
+
+// Viewer filters from the query string: { tenant, user, recording, call, ip,
+// action, startDate, endDate } or null after sending a 400
+function auditFiltersFromQuery(req, res) {
+  const params = rangeFromQuery(req, res);
+  if (!params) return null;
+  const { tenant, user, recording, call, ip, action } = req.query;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    res.status(400).json({ error: `action must be one of ${AUDIT_ACTIONS.join(', ')}` });
+    return null;
+  }
+  return { tenant, user, recording, call, ip, action, ...params };
+}
+
+// GET /api/admin/recording-audit?tenant&user&recording&call&ip&action&start&end&page&pageSize
+app.get('/api/admin/recording-audit', authorize, async (req, res) => {
+  const filters = auditFiltersFromQuery(req, res);
+  if (!filters) return;
+  const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 100, 1), 500);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  try {
+    res.json({ ...(await searchRecordingAudit(filters, { limit: pageSize, offset: (page - 1) * pageSize })), page, pageSize });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/recording-audit/export?<same filters> – every match as CSV
+app.get('/api/admin/recording-audit/export', authorize, async (req, res) => {
+  const filters = auditFiltersFromQuery(req, res);
+  if (!filters) return;
+  setDownloadHeaders(res, 'recording_audit', filters, 'csv', 'text/csv; charset=utf-8');
+  async function* records() {
+    for await (const rows of recordingAuditRows(filters)) yield rows.map(auditCsvRecord);
+  }
+  await streamExport(res, () => writeCsv(res, records(), { headers: AUDIT_CSV_HEADERS }));
+});
+
+// --- Activity log (admin only) ---
+
+// GET /api/admin/audit-log?event&user&tenant&ip&report&start&end&page&pageSize
+app.get('/api/admin/audit-log', authorize, async (req, res) => {
+  const params = rangeFromQuery(req, res);
+  if (!params) return;
+  const { event, user, tenant, ip, report } = req.query;
+  if (event && !AUDIT_EVENTS.includes(event)) {
+    return res.status(400).json({ error: `event must be one of ${AUDIT_EVENTS.join(', ')}` });
+  }
+  const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 100, 1), 500);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  try {
+    const result = await searchAuditLog({ event, user, tenant, ip, report, ...params }, { limit: pageSize, offset: (page - 1) * pageSize });
+    res.json({ ...result, page, pageSize });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/audit-log/retention – { days } (null keeps everything)
+app.get('/api/admin/audit-log/retention', authorize, async (req, res) => {
+  try {
+    res.json({ days: await getAuditRetention() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/admin/audit-log/retention { days } – set it and purge right away
+app.put('/api/admin/audit-log/retention', authorize, async (req, res) => {
+  const { days = null } = req.body || {};
+  if (days !== null && !(Number.isInteger(days) && days > 0)) {
+    return res.status(400).json({ error: 'days must be a positive whole number or null' });
+  }
+  try {
+    await setAuditRetention(days, req.user);
+    audit(req, { event: 'settings', detail: `Audit log retention set to ${days == null ? 'forever' : `${days} days`}` });
+    res.json({ days, purged: await purgeAuditLog() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Parse the ISO `start`/`end` query params into the epoch-second window that
+// fetchReport expects. Sends a 400 and returns null when either is malformed.
+function rangeFromQuery(req, res) {
+  const { start, end } = req.query;
   const params = {};
   if (start) {
     const startDate = Date.parse(start);
     if (Number.isNaN(startDate)) {
-      return res.status(400).json({ error: 'Invalid start date' });
+      res.status(400).json({ error: 'Invalid start date' });
+      return null;
     }
     params.startDate = Math.floor(startDate / 1000);
   }
   if (end) {
     const endDate = Date.parse(end);
     if (Number.isNaN(endDate)) {
-      return res.status(400).json({ error: 'Invalid end date' });
+      res.status(400).json({ error: 'Invalid end date' });
+      return null;
     }
     params.endDate = Math.floor(endDate / 1000);
   }
+  return params;
+}
 
-  const limit = Math.min(Number(limitStr) || 1000, 1000);
+// Send a 500 carrying the most specific message available from upstream
+function sendUpstreamError(res, err) {
+  const upstreamErr = err.response?.data?.error;
+  // Prefer specific message from upstream if present
+  const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+  console.error(err.response?.data || err.stack || err.message);
+  res.status(500).json({ error: msg });
+}
 
-  // Debug: log exactly what we are about to request
-  console.log('fetchReport payload', {
-    type,
-    account,
-    startDate: params.startDate,
-    endDate: params.endDate,
-    startKey,
-    limit
-  });
+// Set download headers for an export named after the report and range
+function setDownloadHeaders(res, name, params, ext, contentType) {
+  const range = params.startDate && params.endDate
+    ? `_${localDate(params.startDate)}_${localDate(params.endDate - 1)}`
+    : '';
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}${range}.${ext}"`);
+}
 
+// Run an export that streams into `res`. Upstream failures before the first
+// byte become a normal 500; after that the connection is cut so the download
+// fails visibly instead of ending as a silently truncated file.
+async function streamExport(res, run) {
   try {
-    const result = await fetchReport(type, account, { ...params, ...(startKey && { start_key: startKey }), maxRows: limit });
+    const written = await run();
+    if (typeof written === 'number') res.locals.rowCount = written;
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return sendUpstreamError(res, err);
+    }
+    console.error(err.response?.data || err.stack || err.message);
+    res.destroy(err);
+  }
+}
 
-    const rows = Array.isArray(result) ? result : result.rows;
-    const nextToken = Array.isArray(result) ? null : result.next;
+// Parse the export query: { params, filters } or null after sending a 400
+function exportQuery(req, res) {
+  const params = rangeFromQuery(req, res);
+  if (!params) return null;
+  try {
+    return { params, filters: parseFilterParam(req.query.filters) };
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
 
-    const processedData = rows.map(row => {
-      // Ensure agent_history is an array
-      let history = row.agent_history;
-      if (typeof history === 'string') {
-        try { history = JSON.parse(history); } catch { history = []; }
-      }
+// GET /api/reports/unified/export?account=<tenant>&start=<ISO>&end=<ISO>&filters=<JSON>&format=<csv|xlsx>
+// The whole unified range as CSV (default) or as an XLSX workbook with a
+// sheet per call type. `filters` is { column: term } using the report
+// table's column names, matched like the filter boxes on the page.
+app.get('/api/reports/unified/export', authorize, requireTenant, async (req, res) => {
+  const { account, format = 'csv' } = req.query;
+  if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'Format must be csv or xlsx' });
+  const query = exportQuery(req, res);
+  if (!query) return;
 
-      let ts = row.answered_time;
-      if (!ts && Array.isArray(history)) {
-        const answerEvt = history.find(e => e.event === 'answer' || e.connected);
-        if (answerEvt?.last_attempt) {
-          const ms = answerEvt.last_attempt > 10_000_000_000 ? answerEvt.last_attempt : answerEvt.last_attempt * 1000;
-          ts = new Date(ms).toISOString();
-        }
-      }
-      return { ...row, answered_time: ts ?? '--' };
-    });
-    res.json({ data: processedData, next: nextToken });
-  } catch (err) {
-    const upstreamErr = err.response?.data?.error;
-    // Prefer specific message from upstream if present
-    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
-    console.error(err.response?.data || err.stack || err.message);
-    res.status(500).json({ error: msg });
+  const rowFilter = scopeRowFilter(req.scope, account);
+  const pages = unifiedRows(account, query.params, { filters: query.filters, rowFilter });
+  if (format === 'xlsx') {
+    setDownloadHeaders(res, `unified_${account}`, query.params, 'xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return streamExport(res, () => writeXlsx(res, pages, { tenant: account, ...query }));
   }
+  setDownloadHeaders(res, `unified_${account}`, query.params, 'csv', 'text/csv; charset=utf-8');
+  await streamExport(res, () => writeCsv(res, pages, { headers: HEADERS }));
 });
 
-// Simple in-memory cache: recordingId ⇒ duration (seconds)
-const durationCache = new Map();
+// GET /api/reports/summary/pdf?account=<tenant>&start=<ISO>&end=<ISO>
+// One-page branded KPI summary of the range
+app.get('/api/reports/summary/pdf', authorize, requireTenant, async (req, res) => {
+  const { account } = req.query;
+  const params = rangeFromQuery(req, res);
+  if (!params) return;
+  if (!params.startDate || !params.endDate) return res.status(400).json({ error: 'Start and end dates required' });
 
-// Lightweight endpoint to expose recording duration without downloading full file
-app.get('/api/recordings/:id/meta', async (req, res) => {
-  const { id } = req.params;
+  setDownloadHeaders(res, `summary_${account}`, params, 'pdf', 'application/pdf');
+  const rowFilter = scopeRowFilter(req.scope, account);
+  await streamExport(res, () => buildSummaryPdf(res, account, params, { rowFilter, label: req.tenant.displayName }));
+});
+
+// Aggregated reports: one row per agent / queue for the range, built from the
+// raw report rows in analytics.js. Each gets a JSON route and a CSV / XLSX
+// export; `columns` tells the client how to format each field (a function of
+// the build options when the layout depends on them). `options` turns extra
+// query params into build options and throws on bad input.
+const AGGREGATE_REPORTS = {
+  // Offered / answered / missed, talk and handle time, transfers, dispositions
+  agentKpi: { build: agentKpiReport, columns: AGENT_KPI_COLUMNS, sheetName: 'Agent KPIs', file: 'agent_kpi' },
+  // Offered / answered / abandoned, service level against QUEUE_SLA, ASA, longest wait
+  queueSla: { build: queueSlaReport, columns: QUEUE_SLA_COLUMNS, sheetName: 'Queue SLA', file: 'queue_sla' },
+  // Volumes and KPIs per 15 / 30 / 60-minute interval (?bucket=<minutes>)
+  interval: {
+    build: intervalReport,
+    columns: INTERVAL_COLUMNS,
+    sheetName: 'Intervals',
+    file: 'interval',
+    options: ({ bucket = '30' }, { startDate, endDate }) => {
+      const minutes = Number(bucket);
+      if (!INTERVAL_MINUTES.includes(minutes)) throw new Error(`bucket must be one of ${INTERVAL_MINUTES.join(', ')}`);
+      if ((endDate - startDate) / (minutes * 60) > MAX_INTERVALS) throw new Error('Range too long for this interval');
+      return { minutes };
+    }
+  },
+  // Agent status history (?view=daily|timeline, optional ?name= / ?extension=)
+  agentActivity: {
+    build: agentActivityReport,
+    columns: ({ view }) => AGENT_ACTIVITY_COLUMNS[view],
+    sheetName: 'Agent Activity',
+    file: 'agent_activity',
+    options: ({ view = 'daily', name, extension }, { startDate, endDate }) => {
+      if (!ACTIVITY_VIEWS.includes(view)) throw new Error(`view must be one of ${ACTIVITY_VIEWS.join(', ')}`);
+      if (endDate - startDate > MAX_ACTIVITY_DAYS * 86400) throw new Error(`Range must not exceed ${MAX_ACTIVITY_DAYS} days`);
+      return { view, name: name || undefined, extension: extension || undefined };
+    }
+  }
+};
+
+// Range, build options and columns from the query, or null after sending a 400;
+// aggregates need both ends of the range
+function aggregateQuery(req, res, report) {
+  const params = rangeFromQuery(req, res);
+  if (!params) return null;
+  if (!params.startDate || !params.endDate) {
+    res.status(400).json({ error: 'Start and end dates required' });
+    return null;
+  }
+  try {
+    const options = report.options ? report.options(req.query, params) : {};
+    const columns = typeof report.columns === 'function' ? report.columns(options) : report.columns;
+    return { params, options, columns };
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+for (const [name, report] of Object.entries(AGGREGATE_REPORTS)) {
+  // GET /api/reports/<name>?account=<tenant>&start=<ISO>&end=<ISO>
+  app.get(`/api/reports/${name}`, authorize, requireTenant, async (req, res) => {
+    const { account } = req.query;
+    const query = aggregateQuery(req, res, report);
+    if (!query) return;
+    try {
+      const rows = await report.build(account, query.params, { ...query.options, rowFilter: scopeRowFilter(req.scope, account) });
+      res.json({ columns: query.columns, data: rows });
+    } catch (err) {
+      sendUpstreamError(res, err);
+    }
+  });
+
+  // GET /api/reports/<name>/export?account=<tenant>&start=<ISO>&end=<ISO>&format=<csv|xlsx>
+  app.get(`/api/reports/${name}/export`, authorize, requireTenant, async (req, res) => {
+    const { account, format = 'csv' } = req.query;
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'Format must be csv or xlsx' });
+    const query = aggregateQuery(req, res, report);
+    if (!query) return;
+    const { params, columns } = query;
+
+    let rows;
+    try {
+      rows = await report.build(account, params, { ...query.options, rowFilter: scopeRowFilter(req.scope, account) });
+    } catch (err) {
+      return sendUpstreamError(res, err);
+    }
+    if (format === 'xlsx') {
+      setDownloadHeaders(res, `${report.file}_${account}`, params, 'xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return streamExport(res, () => writeTableXlsx(res, rows, columns, { sheetName: report.sheetName, tenant: account, params }));
+    }
+    setDownloadHeaders(res, `${report.file}_${account}`, params, 'csv', 'text/csv; charset=utf-8');
+    await streamExport(res, () => writeTableCsv(res, rows, columns));
+  });
+}
+
+// GET /api/reports/dashboard?account=<tenant>&start=<ISO>&end=<ISO>
+// Chart data for dashboard.html: range summary plus hourly buckets
+app.get('/api/reports/dashboard', authorize, requireTenant, async (req, res) => {
   const { account } = req.query;
+  const params = rangeFromQuery(req, res);
+  if (!params) return;
+  if (!params.startDate || !params.endDate) return res.status(400).json({ error: 'Start and end dates required' });
+  if ((params.endDate - params.startDate) / 3600 > MAX_INTERVALS) return res.status(400).json({ error: 'Range too long for the dashboard' });
 
-  if (!account) {
-    return res.status(400).json({ error: 'Missing account query param' });
+  try {
+    res.json(await dashboardReport(account, params, { rowFilter: scopeRowFilter(req.scope, account) }));
+  } catch (err) {
+    sendUpstreamError(res, err);
   }
+});
+
+// GET /api/reports/:type/export?account=<tenant>&start=<ISO>&end=<ISO>&filters=<JSON>
+// The whole range of one report type as CSV; `filters` use raw column names.
+app.get('/api/reports/:type/export', authorize, requireTenant, async (req, res) => {
+  const { type } = req.params;
+  const { account } = req.query;
+  if (!ENDPOINTS[type]) return res.status(400).json({ error: `Unknown report type: ${type}` });
+  const query = exportQuery(req, res);
+  if (!query) return;
+
+  setDownloadHeaders(res, `${type}_${account}`, query.params, 'csv', 'text/csv; charset=utf-8');
+  const rowFilter = scopeRowFilter(req.scope, account);
+  await streamExport(res, () =>
+    writeCsv(res, reportRows(type, account, query.params, { filters: query.filters, rowFilter }))
+  );
+});
 
-  // Return cached value if present
-  if (durationCache.has(id)) {
-    return res.json({ duration: durationCache.get(id) });
+// GET /api/reports/unified?account=<tenant>&start=<ISO>&end=<ISO>&limit=<n>&cursor=<token>
+// Inbound, outbound, campaign and CDR rows normalised to the report table
+// schema, merged newest-first and de-duplicated by Call ID. Pass the returned
+// `next` back as `cursor` to continue; `next` is null at the end of the range.
+app.get('/api/reports/unified', authorize, requireTenant, async (req, res) => {
+  const { account, limit: limitStr, cursor } = req.query;
+
+  const params = rangeFromQuery(req, res);
+  if (!params) return;
+
+  try {
+    decodeCursor(cursor);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
+  const limit = Math.min(Number(limitStr) || 500, 1000);
+
   try {
-    const token = await getPortalToken(account);
-    const url = `${process.env.BASE_URL}/api/v2/reports/recordings/${id}`;
+    const rowFilter = scopeRowFilter(req.scope, account);
+    const { rows, next } = await fetchUnifiedReport(account, params, { cursor, limit, rowFilter });
+    res.json({ headers: HEADERS, data: rows, next });
+  } catch (err) {
+    sendUpstreamError(res, err);
+  }
+});
 
-    // Fetch first 128 KB – enough for metadata / VBR TOC
-    const upstreamRes = await axios.get(url, {
-      responseType: 'arraybuffer',
-      httpsAgent,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? account,
-        Range: 'bytes=0-131071',
-        'Accept-Encoding': 'identity'
-      },
-      decompress: false
-    });
+// GET /api/reports/:type?account=<tenant>&start=<ISO>&end=<ISO>
+app.get('/api/reports/:type', authorize, requireTenant, async (req, res) => {
+  const { type } = req.params;
+  const { account, limit: limitStr, startKey } = req.query;
 
-    const { format } = await parseBuffer(Buffer.from(upstreamRes.data), 'audio/mpeg');
-    if (!format.duration) throw new Error('Unable to determine duration');
+  const params = rangeFromQuery(req, res);
+  if (!params) return;
 
-    durationCache.set(id, format.duration);
-    res.json({ duration: format.duration });
+  const limit = Math.min(Number(limitStr) || 1000, 1000);
+
+  try {
+    // Fully synced ranges are served from the local warehouse
+    const { rows, next: nextToken, source } = await fetchReportPage(type, account, { ...params, ...(startKey && { start_key: startKey }), maxRows: limit });
+
+    // Row-level scope: drop calls outside the user's queues / campaigns
+    rows.forEach(r => indexRecording(account, type, r));
+    const visible = rows.filter(r => rowInScope(req.scope, type, r));
+
+    res.json({ data: visible.map(deriveAnsweredTime), next: nextToken, source });
   } catch (err) {
-    const status = err.response?.status || 500;
-    if (status !== 404) {
-      console.error(err.response?.data || err.stack || err.message);
-    }
-    res.status(status).json({ error: err.message });
+    sendUpstreamError(res, err);
   }
 });
 
-// Proxy: GET /api/recordings/:id?account=<tenant>
-// Streams the MP3 recording from the upstream UC backend while adding the required auth token.
-app.get('/api/recordings/:id', async (req, res) => {
-  const { id } = req.params;
+// GET /api/agents/status?account=<tenant> – every agent's current state,
+// time in state (from `since`) and extension, plus counts per state
+// Users restricted to queues or campaigns see no agents (see rowInScope)
+app.get('/api/agents/status', authorize, requireTenant, async (req, res) => {
+  try {
+    const board = await agentBoard(req.query.account);
+    const { agents, counts, updatedAt } = visibleBoard(board, agent => rowInScope(req.scope, 'agentStatus', agent));
+    res.json({ data: agents, counts, updatedAt });
+  } catch (err) {
+    sendUpstreamError(res, err);
+  }
+});
+
+// GET /api/agents/stream?account=<tenant> – the same board as Server-Sent
+// Events (`status` on every poll, `failure` when a poll fails), scoped like
+// /api/agents/status. The stream closes once the session is revoked.
+app.get('/api/agents/stream', authorize, requireTenant, (req, res) => {
+  subscribeWallboard(req.query.account, req, res, {
+    visible: agent => rowInScope(req.scope, 'agentStatus', agent),
+    active: async () => Boolean(await activeSession(req.user.sid, req.user.id))
+  });
+});
+
+// GET /api/calls/:callId?account=<tenant>&at=<ISO>  (or &start=<ISO>&end=<ISO>)
+// Every record of one call across the four sources plus its timeline, for
+// call.html. `at` is the call's start; the search covers an hour before to
+// four hours after it.
+app.get('/api/calls/:callId', authorize, requireTenant, async (req, res) => {
+  const { account, at } = req.query;
+  let params;
+  if (at) {
+    const atMs = Date.parse(at);
+    if (Number.isNaN(atMs)) return res.status(400).json({ error: 'Invalid at' });
+    const atSec = Math.floor(atMs / 1000);
+    params = { startDate: atSec - WINDOW_BEFORE_SECONDS, endDate: atSec + WINDOW_AFTER_SECONDS };
+  } else {
+    params = rangeFromQuery(req, res);
+    if (!params) return;
+    if (!params.startDate || !params.endDate) return res.status(400).json({ error: 'Either at or start and end required' });
+  }
+
+  try {
+    const detail = await callDetail(account, req.params.callId, params, { rowFilter: scopeRowFilter(req.scope, account) });
+    if (!detail) return res.status(404).json({ error: 'Call not found in this range' });
+    res.json(detail);
+  } catch (err) {
+    sendUpstreamError(res, err);
+  }
+});
+
+// Stream a ZIP of recordings plus manifest.csv (see recordingZip.js): the
+// recordings of the range's calls that pass `filters`, or only `ids` when
+// given. Ids without a range are packed by id, without call details.
+async function sendRecordingZip(req, res, ids) {
   const { account } = req.query;
+  const query = exportQuery(req, res);
+  if (!query) return;
+  const { params, filters } = query;
+  const ranged = Boolean(params.startDate && params.endDate);
+  if (!ranged && !ids) return res.status(400).json({ error: 'Start and end dates required' });
 
-  if (!account) {
-    return res.status(400).json({ error: 'Missing account query param' });
+  const max = maxZipRecordings();
+  if (ids && ids.length > max) return res.status(400).json({ error: `At most ${max} recordings per download` });
+  let entries;
+  try {
+    entries = ranged
+      ? await recordingEntries(account, params, { filters, ids, rowFilter: scopeRowFilter(req.scope, account), limit: max })
+      : ids.map(id => ({ id }));
+  } catch (err) {
+    return sendUpstreamError(res, err);
+  }
+  const inScope = await recordingsInScope(req.scope, account, entries.map(e => e.id));
+  entries = entries.filter(e => inScope.has(e.id));
+  if (!entries.length) return res.status(404).json({ error: 'No recordings found' });
+  if (entries.length > max) {
+    return res.status(400).json({ error: `More than ${max} recordings; narrow the range or filters` });
+  }
+
+  setDownloadHeaders(res, `recordings_${account}`, params, 'zip', 'application/zip');
+  await streamExport(res, () => writeRecordingZip(res, account, entries, {
+    onWritten: entry => logRecordingAccess(req, account, entry.id, 'download', { callId: entry.callId })
+  }));
+}
+
+// GET /api/recordings/zip?account=<tenant>&start=<ISO>&end=<ISO>&filters=<JSON>
+app.get('/api/recordings/zip', authorize, requireTenant, (req, res) => sendRecordingZip(req, res, null));
+
+// POST /api/recordings/zip?account=<tenant>[&start=<ISO>&end=<ISO>] { ids: [recordingId, …] }
+app.post('/api/recordings/zip', authorize, requireTenant, (req, res) => {
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids) || !ids.length || ids.some(id => typeof id !== 'string' || !id.trim())) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of recording ids' });
+  }
+  return sendRecordingZip(req, res, [...new Set(ids.map(id => id.trim()))]);
+});
+
+// POST /api/recordings/meta?account=<tenant> { ids: [recordingId, …] }
+// Duration, size, bitrate and channels of a page of recordings in one call;
+// each recording is probed once and remembered (see recordingMeta.js).
+app.post('/api/recordings/meta', authorize, requireTenant, async (req, res) => {
+  const { ids } = req.body || {};
+  const { account } = req.query;
+  if (!Array.isArray(ids) || !ids.length || ids.some(id => typeof id !== 'string' || !id.trim())) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of recording ids' });
+  }
+  const unique = [...new Set(ids.map(id => id.trim()))];
+  if (unique.length > META_BATCH_MAX) {
+    return res.status(400).json({ error: `At most ${META_BATCH_MAX} recordings per request` });
   }
 
   try {
-    // Obtain (cached) JWT for this tenant
-    const token = await getPortalToken(account);
+    const inScope = await recordingsInScope(req.scope, account, unique);
+    const allowed = unique.filter(id => inScope.has(id));
+    const recordings = await recordingMeta(account, allowed);
+    unique
+      .filter(id => !recordings[id])
+      .forEach(id => { recordings[id] = { error: 'Recording not in your scope', status: 403 }; });
+    res.json({ recordings });
+  } catch (err) {
+    console.error(err.stack || err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lightweight endpoint to expose recording duration without downloading full file
+app.get('/api/recordings/:id/meta', authorize, requireTenant, async (req, res) => {
+  const { id } = req.params;
+  const { account } = req.query;
 
-    const upstreamUrl = `${process.env.BASE_URL}/api/v2/reports/recordings/${id}`;
-    // Ensure we get Content-Range/Length: if browser didn't request a range, request the full file starting from byte 0
-    let rangeHdr = req.headers.range;
-    if (!rangeHdr) {
-      rangeHdr = 'bytes=0-';
+  try {
+    if (!(await recordingInScope(req.scope, account, id))) {
+      return res.status(403).json({ error: 'Recording not in your scope' });
     }
+    const { [id]: meta } = await recordingMeta(account, [id]);
+    if (meta.error) return res.status(meta.status).json({ error: meta.error });
+    res.json(meta);
+  } catch (err) {
+    sendUpstreamError(res, err);
+  }
+});
 
-    const upstreamRes = await axios.get(upstreamUrl, {
-      responseType: 'stream',
-      httpsAgent,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? account,
-        Range: rangeHdr,
-        'Accept-Encoding': 'identity'
-      },
-      // Ensure axios does not decompress so byte positions stay intact
-      decompress: false
-    });
+// Write a recording audit record (see recordingAudit.js); failures are logged
+// and never affect the response
+function logRecordingAccess(req, account, id, action, { range = null, callId } = {}) {
+  recordAccess({ tenant: account, recordingId: id, callId, user: req.user, ip: req.ip, action, range })
+    .catch(err => console.error(`Recording audit failed for ${account}/${id}: ${err.message}`));
+}
+
+// Bytes a recording response covers, from its Content-Range / Content-Length
+function servedRange(res) {
+  const match = /bytes (\d+)-(\d+)/.exec(res.getHeader('content-range') ?? '');
+  if (match) return { start: Number(match[1]), end: Number(match[2]) };
+  const length = Number(res.getHeader('content-length'));
+  return length ? { start: 0, end: length - 1 } : null;
+}
+
+// Audit a recording request once its response is over, whether complete or
+// cut short by the player; failed requests are not recorded
+function auditRecording(req, res, account, id, action) {
+  res.once('close', () => {
+    if (res.statusCode >= 400) return;
+    logRecordingAccess(req, account, id, action, { range: servedRange(res) });
+  });
+}
+
+// Duration headers for a recording whose duration is already known, so
+// browsers can show the timeline immediately
+function durationHeaders(account, id) {
+  const meta = cachedMeta(account, id);
+  if (!meta) return {};
+  const dur = meta.duration.toFixed(3);
+  // X-Content-Duration is non-standard but understood by Chrome/Firefox;
+  // Content-Duration is RFC 3803 (used by QuickTime / Safari)
+  return { 'X-Content-Duration': dur, 'Content-Duration': dur };
+}
+
+// Stream a recording from the upstream UC backend, passing the browser's
+// Range through and mirroring the headers needed for playback and seeking
+async function proxyRecording(req, res, account, id) {
+  try {
+    // Without a browser Range the whole file is requested from byte 0 (see
+    // openRecording) so Content-Range / Length always come back
+    const upstreamRes = await openRecording(account, id, { range: req.headers.range || undefined });
 
     // Mirror upstream status (200 or 206 for range requests) and critical headers
     res.status(upstreamRes.status);
@@ -256,15 +1320,7 @@ app.get('/api/recordings/:id', async (req, res) => {
         res.setHeader(h, upstreamRes.headers[h]);
       }
     });
-
-    // If we have cached duration, advertise it so browsers can show timeline immediately
-    if (durationCache.has(id)) {
-      const dur = durationCache.get(id);
-      // Non-standard but understood by Chrome/Firefox
-      res.setHeader('X-Content-Duration', dur.toFixed(3));
-      // RFC 3803 (used by QuickTime / Safari)
-      res.setHeader('Content-Duration', dur.toFixed(3));
-    }
+    Object.entries(durationHeaders(account, id)).forEach(([h, v]) => res.setHeader(h, v));
 
     // Stream data
     upstreamRes.data.pipe(res);
@@ -275,8 +1331,39 @@ app.get('/api/recordings/:id', async (req, res) => {
     }
     res.status(status).json({ error: err.message });
   }
+}
+
+// GET /api/recordings/:id?account=<tenant>
+// Serves the archived copy (see recordingArchive.js) when there is one, with
+// Range support; otherwise streams the recording from the portal. Every play
+// or download is audited (see recordingAudit.js).
+app.get('/api/recordings/:id', authorize, requireTenant, async (req, res) => {
+  const { id } = req.params;
+  const { account } = req.query;
+
+  if (!(await recordingInScope(req.scope, account, id))) {
+    return res.status(403).json({ error: 'Recording not in your scope' });
+  }
+
+  // The player always asks for a range; a plain GET fetches the whole file
+  auditRecording(req, res, account, id, req.headers.range ? 'play' : 'download');
+
+  let archived = null;
+  try {
+    archived = await findArchived(account, id);
+  } catch (err) {
+    console.warn(`Recording archive unavailable (${err.message}); streaming ${id} from the portal`);
+  }
+  if (!archived || !(await sendArchived(res, archived, durationHeaders(account, id)))) {
+    return proxyRecording(req, res, account, id);
+  }
 });
 
 app.listen(PORT, HOST, () => {
   console.log(`Web app running at ${PUBLIC_URL}`);
+  startScheduler();
+  startWarehouseSync();
+  startRecordingArchive();
+  startAuditLogPurge();
+  startSessionSweep();
 });
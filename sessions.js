@@ -0,0 +1,179 @@
+// sessions.js
+// Server-side login sessions (table `sessions`). The session JWT carries the
+// id of its row as `sid`, and requireSession() checks on every request that the
+// row belongs to the user and is neither revoked nor expired. A logout, an
+// admin's kill or a password change therefore ends a session at once
+// instead of when its JWT runs out.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ms from 'ms';
+import { pool } from './db.js';
+
+// last_seen_at is written at most once a minute per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const TOUCHED_MAX = 10000;
+const touched = new Map();   // Map<sid,epoch ms of the last last_seen_at write>
+
+// Expired and revoked rows are kept this long for the record
+const KEEP_DAYS = 30;
+
+/**
+ * Open a session.
+ *
+ * @param {number} userId
+ * @param {object} opts
+ * @param {number} opts.ttlMs      – lifetime; extendSession() slides it.
+ * @param {string} [opts.ip]
+ * @param {string} [opts.userAgent]
+ * @returns {Promise<string>} session id
+ */
+export async function createSession(userId, { ttlMs, ip, userAgent }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  await pool.query(
+    `INSERT INTO sessions (id, user_id, ip, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, NOW() + INTERVAL ? SECOND)`,
+    [id, userId, ip ?? null, userAgent ? String(userAgent).slice(0, 255) : null, Math.ceil(ttlMs / 1000)]
+  );
+  return id;
+}
+
+/**
+ * The user's session `id` when it is still active and the account enabled,
+ * else null. The row carries the user's current username, email, role and
+ * must_change_password, so a role change applies on the next request.
+ * Records the activity in last_seen_at.
+ */
+export async function activeSession(id, userId) {
+  const [rows] = await pool.query(
+    `SELECT s.*, u.username, u.email, u.role, u.must_change_password
+       FROM sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.disabled = 0`,
+    [id, userId]
+  );
+  const session = rows[0] || null;
+  if (session && Date.now() - (touched.get(id) ?? 0) > TOUCH_INTERVAL_MS) {
+    touched.delete(id);
+    touched.set(id, Date.now());
+    if (touched.size > TOUCHED_MAX) touched.delete(touched.keys().next().value);
+    pool.query('UPDATE sessions SET last_seen_at = NOW() WHERE id = ?', [id])
+      .catch(err => console.warn(`Could not update session activity (${err.message})`));
+  }
+  return session;
+}
+
+/**
+ * Middleware that verifies the session cookie and that its server-side
+ * session is still open, exposes the user as req.user and slides the expiry
+ * forward for active users. Role and the forced password change come from
+ * the users row rather than the JWT, so a demotion applies at once.
+ * Responds 401 when the session is missing, expired or revoked.
+ *
+ * @param {object} opts
+ * @param {string} opts.secret     – JWT signing secret.
+ * @param {number} opts.ttlMs      – session lifetime.
+ * @param {number} opts.refreshMs  – re-issue the JWT once less than this remains.
+ * @param {Function} opts.reissue  – (res, user, sid) → void, sets a fresh cookie.
+ * @returns {Function} Express middleware
+ */
+export function requireSession({ secret, ttlMs, refreshMs, reissue }) {
+  return async (req, res, next) => {
+    const { token } = req.cookies || {};
+    if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+    let claims;
+    try {
+      claims = jwt.verify(token, secret);
+    } catch {
+      res.clearCookie('token');
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    let session;
+    try {
+      session = claims.sid ? await activeSession(claims.sid, claims.id) : null;
+    } catch (err) {
+      console.error(err);
+      return res.status(503).json({ error: 'Session store unavailable' });
+    }
+    if (!session) {
+      res.clearCookie('token');
+      return res.status(401).json({ error: 'Session ended' });
+    }
+
+    req.user = {
+      ...claims,
+      username: session.username,
+      email: session.email,
+      role: session.role || 'viewer',
+      mustChangePassword: Boolean(session.must_change_password)
+    };
+    if (claims.exp * 1000 - Date.now() < refreshMs) {
+      reissue(res, req.user, claims.sid);
+      extendSession(claims.sid, ttlMs)
+        .catch(err => console.warn(`Could not extend session (${err.message})`));
+    }
+    next();
+  };
+}
+
+/** Push an active session's expiry to `ttlMs` from now (when its JWT is re-issued). */
+export async function extendSession(id, ttlMs) {
+  await pool.query(
+    'UPDATE sessions SET expires_at = NOW() + INTERVAL ? SECOND WHERE id = ? AND revoked_at IS NULL',
+    [Math.ceil(ttlMs / 1000), id]
+  );
+}
+
+/**
+ * End one session.
+ * @returns {Promise<object|null>} the revoked session, null when it was not active
+ */
+export async function revokeSession(id, reason) {
+  const [rows] = await pool.query(
+    'SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+    [id]
+  );
+  if (!rows.length) return null;
+  await pool.query('UPDATE sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ?', [reason, id]);
+  touched.delete(id);
+  return rows[0];
+}
+
+/**
+ * End every active session of a user.
+ * @returns {Promise<number>} sessions revoked
+ */
+export async function revokeUserSessions(userId, reason) {
+  const [result] = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [reason, userId]
+  );
+  return result.affectedRows;
+}
+
+/** Active sessions of all users, most recently used first. */
+export async function listActiveSessions() {
+  const [rows] = await pool.query(
+    `SELECT s.id, s.user_id, u.username, u.role, s.ip, s.user_agent, s.created_at, s.last_seen_at, s.expires_at
+       FROM sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.revoked_at IS NULL AND s.expires_at > NOW()
+      ORDER BY s.last_seen_at DESC`
+  );
+  return rows;
+}
+
+/**
+ * Delete sessions that expired or were revoked more than KEEP_DAYS ago,
+ * now and every SESSION_SWEEP_INTERVAL (default 1d).
+ */
+export function startSessionSweep() {
+  const sweep = () => pool.query(
+    `DELETE FROM sessions
+      WHERE expires_at < NOW() - INTERVAL ? DAY OR revoked_at < NOW() - INTERVAL ? DAY`,
+    [KEEP_DAYS, KEEP_DAYS]
+  ).catch(err => console.error('Session sweep failed:', err.message));
+  sweep();
+  setInterval(sweep, ms(process.env.SESSION_SWEEP_INTERVAL || '1d')).unref();
+}
@@ -0,0 +1,183 @@
+// tenantRegistry.js
+// Per-tenant portal settings kept in the `tenants` table: base URL, API
+// credentials, X-Account-ID override and display name.
+//
+// Credentials are encrypted at rest with AES-256-GCM; the key is derived from
+// the TENANT_SECRET_KEY environment variable. Installs that have not
+// registered any tenant yet keep working through the legacy .env settings
+// (BASE_URL, API_USERNAME, API_PASSWORD, ACCOUNT_ID_HEADER), which are used
+// for DEFAULT_TENANT (default `shams`) only.
+
+import crypto from 'crypto';
+import ms from 'ms';
+import { pool } from './db.js';
+
+const CACHE_TTL = ms('1m');
+const cache = new Map();   // Map<slug,{expires:number,tenant:object|null}>
+
+function defaultTenantSlug() {
+  return process.env.DEFAULT_TENANT || 'shams';
+}
+
+function secretKey() {
+  const secret = process.env.TENANT_SECRET_KEY;
+  if (!secret) throw new Error('TENANT_SECRET_KEY is not set');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a credential for storage. Output format: `iv.tag.ciphertext`
+ * (base64 each).
+ */
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, data] = String(stored).split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+// Settings from .env for installs without a tenants table entry
+function legacyTenant(slug) {
+  if (slug !== defaultTenantSlug() || !process.env.BASE_URL) return null;
+  return {
+    slug,
+    displayName: slug,
+    baseUrl: process.env.BASE_URL,
+    username: process.env.API_USERNAME,
+    password: process.env.API_PASSWORD,
+    accountIdHeader: process.env.ACCOUNT_ID_HEADER || slug,
+    legacy: true
+  };
+}
+
+function fromRow(row) {
+  return {
+    slug: row.slug,
+    displayName: row.display_name,
+    baseUrl: row.base_url.replace(/\/+$/, ''),
+    username: decryptSecret(row.api_username_enc),
+    password: decryptSecret(row.api_password_enc),
+    accountIdHeader: row.account_id_header || row.slug
+  };
+}
+
+function unknownTenant(slug) {
+  const err = new Error(`Unknown tenant: ${slug}`);
+  err.code = 'UNKNOWN_TENANT';
+  return err;
+}
+
+/**
+ * Resolve the portal settings for a tenant.
+ *
+ * @param {string} slug – tenant / domain, e.g. `shams`.
+ * @returns {Promise<{slug, displayName, baseUrl, username, password, accountIdHeader}>}
+ * @throws {Error} code UNKNOWN_TENANT when the tenant is unknown or disabled.
+ */
+export async function resolveTenant(slug) {
+  const now = Date.now();
+  const cached = cache.get(slug);
+  if (cached && now < cached.expires) {
+    if (!cached.tenant) throw unknownTenant(slug);
+    return cached.tenant;
+  }
+
+  let row;
+  let tenant = null;
+  try {
+    [[row]] = await pool.query('SELECT * FROM tenants WHERE slug = ? AND enabled = 1', [slug]);
+  } catch (err) {
+    // Keep the default tenant reachable when the database is down
+    tenant = legacyTenant(slug);
+    if (!tenant) throw err;
+    console.warn(`Tenant registry unavailable (${err.message}); using .env settings for ${slug}`);
+  }
+  // Outside the query's try: a missing or changed TENANT_SECRET_KEY is a
+  // configuration error, not a database outage
+  if (row) {
+    try {
+      tenant = fromRow(row);
+    } catch (err) {
+      throw new Error(`Cannot decrypt the credentials of tenant ${slug}: ${err.message}`);
+    }
+  } else if (!tenant) {
+    tenant = legacyTenant(slug);
+  }
+
+  cache.set(slug, { expires: now + CACHE_TTL, tenant });
+  if (!tenant) throw unknownTenant(slug);
+  return tenant;
+}
+
+/**
+ * List registered tenants without credentials. When none are registered the
+ * legacy .env tenant is returned so the UI always has something to pick.
+ *
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeDisabled=false]
+ * @returns {Promise<object[]>} rows of { id, slug, display_name, base_url, account_id_header, enabled }
+ */
+export async function listTenants({ includeDisabled = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT id, slug, display_name, base_url, account_id_header, enabled, created_at, updated_at
+       FROM tenants ${includeDisabled ? '' : 'WHERE enabled = 1'} ORDER BY display_name`
+  );
+  if (!rows.length) {
+    const legacy = legacyTenant(defaultTenantSlug());
+    if (legacy) {
+      return [{ id: null, slug: legacy.slug, display_name: legacy.displayName, base_url: legacy.baseUrl, account_id_header: legacy.accountIdHeader, enabled: 1 }];
+    }
+  }
+  return rows;
+}
+
+/**
+ * Register a tenant; credentials are encrypted before they are stored.
+ * @returns {Promise<number>} new tenant id
+ */
+export async function createTenant({ slug, displayName, baseUrl, username, password, accountIdHeader = null, enabled = true }) {
+  const [result] = await pool.query(
+    `INSERT INTO tenants (slug, display_name, base_url, api_username_enc, api_password_enc, account_id_header, enabled)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [slug, displayName, baseUrl, encryptSecret(username), encryptSecret(password), accountIdHeader || null, enabled ? 1 : 0]
+  );
+  invalidateTenant(slug);
+  return result.insertId;
+}
+
+/**
+ * Update a tenant; only keys present in `changes` are written.
+ * @returns {Promise<boolean>} false when the tenant does not exist.
+ */
+export async function updateTenant(slug, changes) {
+  const sets = [];
+  const values = [];
+  const put = (column, value) => { sets.push(`${column} = ?`); values.push(value); };
+
+  if (changes.displayName !== undefined) put('display_name', changes.displayName);
+  if (changes.baseUrl !== undefined) put('base_url', changes.baseUrl);
+  if (changes.username !== undefined) put('api_username_enc', encryptSecret(changes.username));
+  if (changes.password !== undefined) put('api_password_enc', encryptSecret(changes.password));
+  if (changes.accountIdHeader !== undefined) put('account_id_header', changes.accountIdHeader || null);
+  if (changes.enabled !== undefined) put('enabled', changes.enabled ? 1 : 0);
+
+  invalidateTenant(slug);
+  if (!sets.length) {
+    const [rows] = await pool.query('SELECT id FROM tenants WHERE slug = ?', [slug]);
+    return rows.length > 0;
+  }
+  const [result] = await pool.query(`UPDATE tenants SET ${sets.join(', ')} WHERE slug = ?`, [...values, slug]);
+  return result.affectedRows > 0;
+}
+
+// Drop cached settings so the next lookup re-reads the table
+export function invalidateTenant(slug) {
+  cache.delete(slug);
+}
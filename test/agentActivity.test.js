@@ -0,0 +1,83 @@
+// test/agentActivity.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTimelines, dailySummaries } from '../agentActivity.js';
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const START = Date.UTC(2026, 0, 9, 20) / 1000;   // 2026-01-10 00:00 in Dubai
+const range = { startDate: START, endDate: START + 2 * DAY };
+const row = (status, at, extra = {}) => ({ extension: '101', name: 'Amal', status, status_time: at, ...extra });
+
+// Logged in before the range, lunch break, back, logout; next day 08:00–10:00
+const history = [
+  row('available', START - HOUR),
+  row('break', START + 4 * HOUR, { pause_reason: 'lunch' }),
+  row('available', START + 5 * HOUR),
+  row('available', START + 6 * HOUR),
+  row('logout', START + 9 * HOUR),
+  row('available', START + DAY + 8 * HOUR),
+  row('logout', START + DAY + 10 * HOUR)
+];
+
+test('buildTimelines clamps to the range and merges repeated states', () => {
+  const timeline = buildTimelines(history, range);
+  assert.deepEqual(timeline.map(e => [e.state, e.reason, e.start - START, e.seconds]), [
+    ['available', null, 0, 4 * HOUR],
+    ['break', 'lunch', 4 * HOUR, HOUR],
+    ['available', null, 5 * HOUR, 4 * HOUR],
+    ['logout', null, 9 * HOUR, DAY - HOUR],
+    ['available', null, DAY + 8 * HOUR, 2 * HOUR],
+    ['logout', null, DAY + 10 * HOUR, DAY - 10 * HOUR]
+  ]);
+});
+
+test('buildTimelines keeps agents apart and skips rows without a time', () => {
+  const timeline = buildTimelines([
+    row('available', START + HOUR),
+    { extension: '102', name: 'Badr', status: 'available', status_time: START + 2 * HOUR },
+    { extension: '102', name: 'Badr', status: 'logout' }
+  ], { startDate: START, endDate: START + 3 * HOUR });
+  assert.deepEqual(timeline.map(e => [e.agent, e.seconds]), [['Amal', 2 * HOUR], ['Badr', HOUR]]);
+});
+
+test('dailySummaries splits states at Dubai midnight', () => {
+  const days = dailySummaries(buildTimelines(history, range));
+  assert.deepEqual(days.map(d => d.date), ['2026-01-10', '2026-01-11']);
+  const [first, second] = days;
+
+  assert.equal(first.firstLogin, START);           // carried over from before the range
+  assert.equal(first.lastLogout, START + 9 * HOUR);
+  assert.equal(first.loggedInSeconds, 9 * HOUR);
+  assert.equal(first.stateChanges, 4);
+  assert.deepEqual(first.stateSeconds, { 'available': 8 * HOUR, 'break (lunch)': HOUR, 'logout': 15 * HOUR });
+
+  // The logout running past midnight counts on both days but only changes state once
+  assert.equal(second.firstLogin, START + DAY + 8 * HOUR);
+  assert.equal(second.lastLogout, START + DAY + 10 * HOUR);
+  assert.equal(second.loggedInSeconds, 2 * HOUR);
+  assert.equal(second.stateChanges, 2);
+  assert.equal(second.stateSeconds.logout, 8 * HOUR + 14 * HOUR);
+});
+
+test('dailySummaries starts a shift carried past midnight at midnight', () => {
+  // Night shift 22:00–02:00 Dubai time, then a break into the morning
+  const night = [
+    row('available', START + 22 * HOUR),
+    row('break', START + DAY + 2 * HOUR, { pause_reason: 'rest' }),
+    row('logout', START + DAY + 3 * HOUR)
+  ];
+  const [first, second] = dailySummaries(buildTimelines(night, range));
+
+  assert.equal(first.date, '2026-01-10');
+  assert.equal(first.firstLogin, START + 22 * HOUR);
+  assert.equal(first.loggedInSeconds, 2 * HOUR);
+  assert.equal(first.stateChanges, 1);
+
+  assert.equal(second.date, '2026-01-11');
+  assert.equal(second.firstLogin, START + DAY);
+  assert.equal(second.loggedInSeconds, 3 * HOUR);
+  assert.equal(second.lastLogout, START + DAY + 3 * HOUR);
+  assert.equal(second.stateChanges, 2);
+  assert.deepEqual(second.stateSeconds, { 'available': 2 * HOUR, 'break (rest)': HOUR, 'logout': 21 * HOUR });
+});
@@ -0,0 +1,213 @@
+// test/analytics.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toSeconds, loadSlaPolicy, summarizeQueues, summarizeAgents, summarizeIntervals, MAX_INTERVALS
+} from '../analytics.js';
+
+async function* pages(...lists) {
+  yield* lists;
+}
+
+// Run `fn` with QUEUE_SLA set to `policy` (JSON-encoded unless a string)
+function withSla(policy, fn) {
+  const saved = process.env.QUEUE_SLA;
+  process.env.QUEUE_SLA = typeof policy === 'string' ? policy : JSON.stringify(policy);
+  try {
+    return fn();
+  } finally {
+    if (saved === undefined) delete process.env.QUEUE_SLA;
+    else process.env.QUEUE_SLA = saved;
+  }
+}
+
+test('toSeconds reads seconds and H:MM:SS', () => {
+  assert.equal(toSeconds(12), 12);
+  assert.equal(toSeconds('12.5'), 12.5);
+  assert.equal(toSeconds('01:02:03'), 3723);
+  assert.equal(toSeconds(''), null);
+  assert.equal(toSeconds(undefined), null);
+  assert.equal(toSeconds('--'), null);
+});
+
+test('loadSlaPolicy merges default, queue and tenant/queue entries', () => {
+  const slaFor = withSla({ default: { threshold: '30s' }, Sales: { threshold: 15 }, 'shams/Sales': { target: 0.9 } }, loadSlaPolicy);
+  assert.deepEqual(slaFor('other', 'Ops'), { seconds: 30, target: 0.8 });
+  assert.deepEqual(slaFor('other', 'Sales'), { seconds: 15, target: 0.8 });
+  assert.deepEqual(slaFor('shams', 'Sales'), { seconds: 15, target: 0.9 });
+});
+
+test('loadSlaPolicy falls back to the default on invalid values', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const slaFor = withSla({ Bad: { threshold: 'twenty seconds', target: 80 }, Worse: { threshold: -5, target: 'high' } }, loadSlaPolicy);
+  assert.deepEqual(slaFor('t', 'Bad'), { seconds: 20, target: 0.8 });
+  assert.deepEqual(slaFor('t', 'Worse'), { seconds: 20, target: 0.8 });
+  assert.ok(warn.mock.callCount() >= 4);
+
+  // Each invalid value is reported once
+  const count = warn.mock.callCount();
+  slaFor('t', 'Bad');
+  assert.equal(warn.mock.callCount(), count);
+});
+
+test('loadSlaPolicy ignores a QUEUE_SLA that is not JSON', t => {
+  t.mock.method(console, 'warn', () => {});
+  const slaFor = withSla('{oops', loadSlaPolicy);
+  assert.deepEqual(slaFor('t', 'Any'), { seconds: 20, target: 0.8 });
+});
+
+test('summarizeQueues computes service level, ASA and abandon rate per queue', async () => {
+  const slaFor = () => ({ seconds: 20, target: 0.5 });
+  const result = await summarizeQueues(pages(
+    [
+      { queue_name: 'Sales', wait_duration: '10' },
+      { queue_name: 'Sales', wait_duration: '30' },
+      { queue_name: 'Sales', wait_duration: '45', abandoned: 'YES' }
+    ],
+    [
+      { queue_name: 'Sales', wait_duration: '00:00:20' },
+      { queue_name: 'Ops', wait_duration: '5' }
+    ]
+  ), { tenant: 't', slaFor });
+
+  assert.deepEqual(result.map(q => q.queue), ['Sales', 'Ops']);
+  const [sales, ops] = result;
+  assert.equal(sales.offered, 4);
+  assert.equal(sales.answered, 3);
+  assert.equal(sales.abandoned, 1);
+  assert.equal(sales.abandonRate, 0.25);
+  assert.equal(sales.serviceLevel, 0.5);          // 10s and 20s within 20s, of 4 offered
+  assert.equal(sales.meetsTarget, true);
+  assert.equal(sales.asaSeconds, 20);             // (10 + 30 + 20) / 3
+  assert.equal(sales.longestWaitSeconds, 45);
+  assert.equal(ops.serviceLevel, 1);
+});
+
+test('summarizeQueues never counts a call without a wait as within SLA', async () => {
+  const result = await summarizeQueues(pages([
+    { queue_name: 'Q', wait_duration: '5' },
+    { queue_name: 'Q' },
+    { queue_name: 'Q', wait_duration: '' }
+  ]), { tenant: 't', slaFor: () => ({ seconds: 20, target: 0.8 }) });
+
+  const [q] = result;
+  assert.equal(q.offered, 3);
+  assert.equal(q.answered, 3);
+  assert.equal(q.serviceLevel, 1 / 3);
+  assert.equal(q.asaSeconds, 5);
+});
+
+test('summarizeQueues puts rows without a queue under "(no queue)"', async () => {
+  const [q] = await summarizeQueues(pages([{ wait_duration: '1' }]), { tenant: 't', slaFor: () => ({ seconds: 20, target: 0.8 }) });
+  assert.equal(q.queue, '(no queue)');
+});
+
+test('summarizeAgents credits offers, answers, handle time, transfers and dispositions', async () => {
+  const answeredAt = '2026-01-10T08:00:00Z';
+  const result = await summarizeAgents({
+    queueCalls: pages([
+      {
+        answered_time: answeredAt, talked_duration: '100', agent_talk_time: '80', agent_disposition: { name: 'Sale' },
+        agent_history: [{ first_name: 'Amal', event: 'noanswer' }, { first_name: 'Badr', event: 'answer', connected: true }]
+      },
+      {
+        answered_time: answeredAt, talked_duration: '60', agent_transfer: '1', agent_disposition: 'Callback',
+        agent_history: [{ first_name: 'Badr', event: 'answer' }]
+      },
+      { answered_time: '--', agent_history: [{ first_name: 'Amal', event: 'noanswer' }] }
+    ]),
+    queueOutboundCalls: pages([
+      { agent_first_name: 'Amal', answered_time: answeredAt, talked_duration: '30', agent_disposition: 'Sale' }
+    ]),
+    campaignsActivity: pages([
+      { agent_name: 'Amal', agent_talk_time: '00:00:40', disposition: 'Interested' },
+      { agent_name: 'Amal', agent_talk_time: '0', answered_time: '--' },
+      { agent_talk_time: '10' }
+    ])
+  });
+
+  assert.deepEqual(result.map(a => a.agent), ['Amal', 'Badr']);
+  const [amal, badr] = result;
+
+  assert.equal(amal.offered, 5);
+  assert.equal(amal.answered, 2);
+  assert.equal(amal.missed, 3);
+  assert.equal(amal.answerRate, 0.4);
+  assert.equal(amal.avgTalkSeconds, 35);           // (30 + 40) / 2
+  assert.equal(amal.avgHandleSeconds, 35);
+  assert.equal(amal.transfers, 0);
+  assert.deepEqual(amal.dispositionCounts, { Sale: 1, Interested: 1 });
+
+  assert.equal(badr.offered, 2);
+  assert.equal(badr.answered, 2);
+  assert.equal(badr.missed, 0);
+  assert.equal(badr.talkSeconds, 140);             // agent_talk_time 80, then talked_duration 60
+  assert.equal(badr.avgHandleSeconds, 80);         // (100 + 60) / 2
+  assert.equal(badr.transfers, 1);
+  assert.equal(badr.dispositions, 2);
+  assert.deepEqual(badr.dispositionCounts, { Sale: 1, Callback: 1 });
+});
+
+test('summarizeAgents credits only the first agent who connected', async () => {
+  const [first, second] = await summarizeAgents({
+    queueCalls: pages([{
+      answered_time: '2026-01-10T08:00:00Z', talked_duration: '50',
+      agent_history: [{ first_name: 'Amal', connected: true }, { first_name: 'Badr', connected: true }]
+    }])
+  });
+  assert.deepEqual([first.agent, first.answered, first.offered], ['Amal', 1, 1]);
+  assert.deepEqual([second.agent, second.answered, second.missed], ['Badr', 0, 1]);
+});
+
+// 2026-01-10 09:00 in Dubai
+const NINE = Date.UTC(2026, 0, 10, 5) / 1000;
+const unified = (type, at, extra = {}) => ({ Type: type, 'Called Time': at, ...extra });
+
+test('summarizeIntervals buckets calls on the Dubai clock, empty intervals included', async () => {
+  const intervals = await summarizeIntervals(pages(
+    [
+      unified('Inbound', NINE + 60, { Abandoned: 'NO', 'Wait Duration': '00:00:10', 'Talk Duration': 100 }),
+      unified('Inbound', NINE + 1799, { Abandoned: 'YES', 'Wait Duration': 30 }),
+      unified('Outbound', (NINE + 3600) * 1000, { 'Answered time': '--', 'Talk Duration': 0 })
+    ],
+    [
+      unified('Campaign', new Date((NINE + 3700) * 1000).toISOString(), { 'Talk Duration': 50 }),
+      unified('CDR', NINE + 5400),                  // the range end: outside
+      unified('Inbound', NINE - 1, { Abandoned: 'NO' })  // before the range
+    ]
+  ), { startDate: NINE, endDate: NINE + 5400, minutes: 30 });
+
+  assert.deepEqual(intervals.map(i => i.start), [NINE, NINE + 1800, NINE + 3600]);
+  const [first, empty, third] = intervals;
+  assert.deepEqual(first, {
+    start: NINE, calls: 2, inbound: 2, outbound: 0, campaign: 0, cdr: 0,
+    answered: 1, abandoned: 1, avgWaitSeconds: 20, avgTalkSeconds: 100
+  });
+  assert.deepEqual(empty, {
+    start: NINE + 1800, calls: 0, inbound: 0, outbound: 0, campaign: 0, cdr: 0,
+    answered: 0, abandoned: 0, avgWaitSeconds: 0, avgTalkSeconds: 0
+  });
+  assert.equal(third.calls, 2);
+  assert.equal(third.outbound, 1);
+  assert.equal(third.campaign, 1);
+  assert.equal(third.answered, 1);               // the campaign call talked, the outbound one did not
+  assert.equal(third.avgTalkSeconds, 50);
+});
+
+test('summarizeIntervals aligns a mid-interval start and covers a quiet day', async () => {
+  const DUBAI_MIDNIGHT = Date.UTC(2026, 0, 9, 20) / 1000;
+  const hours = await summarizeIntervals(pages([]), { startDate: DUBAI_MIDNIGHT, endDate: DUBAI_MIDNIGHT + 86400, minutes: 60 });
+  assert.equal(hours.length, 24);
+  assert.equal(hours[0].start, DUBAI_MIDNIGHT);
+  assert.ok(hours.every(h => h.calls === 0));
+
+  const quarters = await summarizeIntervals(pages([]), { startDate: NINE + 420, endDate: NINE + 1800, minutes: 15 });
+  assert.deepEqual(quarters.map(q => q.start - NINE), [0, 900]);
+});
+
+test('summarizeIntervals refuses more than MAX_INTERVALS buckets', async () => {
+  await assert.rejects(
+    summarizeIntervals(pages([]), { startDate: 0, endDate: (MAX_INTERVALS + 1) * 900, minutes: 15 }),
+    /Range too long/
+  );
+});
@@ -0,0 +1,96 @@
+// test/auditLog.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { pool } from '../db.js';
+import { requestActivity, auditRequests, getAuditRetention, purgeAuditLog } from '../auditLog.js';
+
+test('requestActivity names report queries and exports', () => {
+  assert.deepEqual(requestActivity('/api/reports/queueCalls'), { event: 'report', report: 'queueCalls' });
+  assert.deepEqual(requestActivity('/api/reports/summary/export'), { event: 'export', report: 'summary' });
+  assert.deepEqual(requestActivity('/api/reports/agents/pdf'), { event: 'export', report: 'agents' });
+  assert.deepEqual(requestActivity('/api/recordings/zip'), { event: 'export', report: 'recordings/zip' });
+  assert.equal(requestActivity('/api/users'), null);
+  assert.equal(requestActivity('/api/recordings/abc'), null);
+});
+
+test('auditRequests logs each report and export once, with its row count', async t => {
+  const entries = [];
+  let logged;
+  const app = express();
+  app.use(express.json());
+  app.use('/api', auditRequests((req, entry) => { entries.push(entry); logged(); }));
+  app.get('/api/reports/cdrs', (req, res) => res.json({ data: [1, 2, 3], next: null }));
+  app.get('/api/reports/cdrs/export', (req, res) => {
+    res.locals.rowCount = 5;
+    res.end('a,b\n');
+  });
+  app.get('/api/reports/broken', (req, res) => res.status(500).json({ error: 'Server error' }));
+  app.post('/api/recordings/zip', (req, res) => res.end());
+  app.get('/api/users', (req, res) => res.json({ data: [] }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (path, init) => {
+    const written = new Promise(resolve => { logged = resolve; });
+    await (await fetch(url + path, init)).text();
+    await written;
+    return entries.at(-1);
+  };
+
+  assert.deepEqual(await request('/api/reports/cdrs?account=acme&start=2026-01-01'), {
+    event: 'report', report: 'cdrs', tenant: 'acme', path: '/api/reports/cdrs',
+    params: { start: '2026-01-01' }, rowCount: 3, status: 200
+  });
+  const exported = await request('/api/reports/cdrs/export?account=acme&format=csv');
+  assert.equal(exported.event, 'export');
+  assert.equal(exported.rowCount, 5);
+  const failed = await request('/api/reports/broken?account=acme');
+  assert.equal(failed.rowCount, undefined);
+  assert.equal(failed.status, 500);
+  const zip = await request('/api/recordings/zip?account=acme', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids: ['a', 'b'] })
+  });
+  assert.deepEqual(zip.params, { ids: 2 });
+
+  await (await fetch(`${url}/api/users`)).text();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(entries.length, 4);
+});
+
+test('getAuditRetention prefers the admin setting over AUDIT_LOG_RETENTION_DAYS', async t => {
+  t.after(() => delete process.env.AUDIT_LOG_RETENTION_DAYS);
+  let setting = [];
+  t.mock.method(pool, 'query', async () => [setting]);
+
+  delete process.env.AUDIT_LOG_RETENTION_DAYS;
+  assert.equal(await getAuditRetention(), null);
+  process.env.AUDIT_LOG_RETENTION_DAYS = '90';
+  assert.equal(await getAuditRetention(), 90);
+  setting = [{ value: '30' }];
+  assert.equal(await getAuditRetention(), 30);
+  setting = [{ value: '' }];     // cleared by an admin: keep forever
+  assert.equal(await getAuditRetention(), null);
+  setting = [{ value: 'soon' }];
+  assert.equal(await getAuditRetention(), null);
+});
+
+test('purgeAuditLog deletes in batches until a short batch', async t => {
+  const deletes = [];
+  const removedPerBatch = [5000, 5000, 12];
+  t.mock.method(pool, 'query', async (sql, values) => {
+    if (/FROM app_settings/.test(sql)) return [[{ value: '30' }]];
+    deletes.push(values);
+    return [{ affectedRows: removedPerBatch[deletes.length - 1] }];
+  });
+
+  assert.equal(await purgeAuditLog(), 10_012);
+  assert.deepEqual(deletes, [[30, 5000], [30, 5000], [30, 5000]]);
+});
+
+test('purgeAuditLog keeps everything without a retention period', async t => {
+  const query = t.mock.method(pool, 'query', async () => [[{ value: '' }]]);
+  assert.equal(await purgeAuditLog(), 0);
+  assert.equal(query.mock.callCount(), 1);
+});
@@ -0,0 +1,80 @@
+// test/callDetail.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rowEvents, linkRows } from '../callDetail.js';
+
+const T0 = Date.UTC(2026, 0, 10, 8) / 1000;
+
+test('linkRows follows shared leg ids transitively', () => {
+  const rows = [
+    { type: 'cdrs', row: { call_id: 'leg-b' } },                                  // reached through the queue row
+    { type: 'queueCalls', row: { call_id: 'A', bleg_call_id: 'leg-b' } },
+    { type: 'queueCalls', row: { call_id: 'T', a_leg: 'leg-b', interaction_id: 'i-9' } },
+    { type: 'campaignsActivity', row: { callid: 'C', interaction_id: 'i-9' } },
+    { type: 'cdrs', row: { call_id: 'unrelated' } },
+    { type: 'cdrs', row: { caller_id_number: '100' } }                           // no leg id at all
+  ];
+  const linked = linkRows(rows, 'A');
+  assert.deepEqual(linked.map(r => r.row.call_id ?? r.row.callid), ['leg-b', 'A', 'T', 'C']);
+  assert.deepEqual(Object.keys(linked[0]), ['type', 'row']);
+});
+
+test('linkRows matches numeric ids and returns nothing for an unknown call', () => {
+  assert.equal(linkRows([{ type: 'cdrs', row: { call_id: 42 } }], '42').length, 1);
+  assert.deepEqual(linkRows([{ type: 'cdrs', row: { call_id: 'x' } }], 'y'), []);
+});
+
+test('rowEvents turns a CDR into leg, answer and hangup', () => {
+  const events = rowEvents('cdrs', {
+    call_id: 'c1', caller_id_number: '100', callee_id_number: '200', timestamp: T0,
+    answered_time: T0 + 5, duration_seconds: 60, hangup_cause: 'NORMAL_CLEARING'
+  });
+  assert.deepEqual(events.map(e => [e.event, e.ts - T0, e.text]), [
+    ['leg', 0, 'Call leg 100 → 200'],
+    ['answer', 5, 'Leg answered'],
+    ['hangup', 60, 'Leg ended (NORMAL_CLEARING)']
+  ]);
+  assert.ok(events.every(e => e.source === 'CDR' && e.callId === 'c1'));
+});
+
+test('rowEvents walks queue and agent history of an inbound call', () => {
+  const events = rowEvents('queueCalls', {
+    call_id: 'q1',
+    called_time: T0,
+    queue_history: [{ queue_name: 'Sales' }, { queue_name: 'Support', ts: T0 + 40 }],
+    agent_history: [
+      { first_name: 'Amal', ext: '101', event: 'noanswer', last_attempt: T0 + 10 },
+      { first_name: 'Badr', ext: '102', event: 'answer', last_attempt: T0 + 20 }
+    ],
+    agent_disposition: { name: 'Sale' },
+    agent_hangup: '1',
+    hangup_time: T0 + 120
+  });
+  assert.deepEqual(events.map(e => [e.event, e.ts - T0, e.text]), [
+    ['queue', 0, 'Entered queue Sales'],
+    ['transfer', 40, 'Transferred to queue Support'],
+    ['ring', 10, 'Rang Amal (101) – noanswer'],
+    ['answer', 20, 'Answered by Badr (102)'],
+    ['disposition', 120, 'Disposition: Sale'],
+    ['hangup', 120, 'Hung up by agent']
+  ]);
+});
+
+test('rowEvents falls back to answered_time and skips unknown times', () => {
+  const events = rowEvents('queueOutboundCalls', { call_id: 'o1', called_time: T0, to: '555', queue_name: 'Out', answered_time: '--' });
+  assert.deepEqual(events.map(e => e.event), ['dial']);
+  assert.equal(events[0].text, 'Outbound call to 555 via queue Out');
+});
+
+test('rowEvents lists campaign attempts and the disposition', () => {
+  const events = rowEvents('campaignsActivity', {
+    call_id: 'k1', campaign_name: 'Promo', lead_number: '555', timestamp: T0,
+    lead_history: [{ type: 'call', agent: { first_name: 'Amal' }, last_attempt: T0 + 30, hangup_cause: 'BUSY' }],
+    agent_disposition: 'Callback'
+  });
+  assert.deepEqual(events.map(e => [e.event, e.ts - T0, e.text]), [
+    ['dial', 0, 'Campaign Promo dialled 555'],
+    ['attempt', 30, 'call – Amal (BUSY)'],
+    ['disposition', 0, 'Disposition: Callback']
+  ]);
+});
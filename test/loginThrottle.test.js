@@ -0,0 +1,64 @@
+// test/loginThrottle.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loginLockout, recordLoginFailure, clearLoginFailures } from '../loginThrottle.js';
+
+const MINUTE = 60 * 1000;
+let now = Date.UTC(2026, 0, 14, 6);
+let address = 0;
+// Counters are module state: every test uses fresh usernames and addresses
+const fresh = name => ({ username: `${name}-${now}`, ip: `10.0.0.${++address}` });
+
+beforeEach(t => {
+  now += 24 * 60 * MINUTE;
+  t.mock.method(Date, 'now', () => now);
+});
+
+test('five failures for one username lock it for the lockout period', () => {
+  const sara = fresh('sara');
+  for (let i = 1; i < 5; i++) assert.equal(recordLoginFailure({ ...sara, ip: `10.1.0.${i}` }), 0);
+  assert.equal(recordLoginFailure({ ...sara, ip: '10.1.0.5' }), 15 * 60);
+
+  // Locked from any address, and regardless of case
+  assert.equal(loginLockout({ username: sara.username.toUpperCase(), ip: '10.9.9.9' }), 15 * 60);
+  now += 10 * MINUTE;
+  assert.equal(loginLockout({ ...sara, ip: '10.9.9.9' }), 5 * 60);
+  now += 5 * MINUTE;
+  assert.equal(loginLockout({ ...sara, ip: '10.9.9.9' }), 0);
+});
+
+test('failures older than the window do not count', () => {
+  const omar = fresh('omar');
+  for (let i = 0; i < 4; i++) recordLoginFailure(omar);
+  now += 16 * MINUTE;
+  assert.equal(recordLoginFailure(omar), 0);
+  for (let i = 0; i < 3; i++) recordLoginFailure(omar);
+  assert.equal(recordLoginFailure(omar), 15 * 60);
+});
+
+test('twenty failures from one address lock the address for every username', () => {
+  const { ip } = fresh('spray');
+  for (let i = 1; i < 20; i++) assert.equal(recordLoginFailure({ username: `user${i}-${now}`, ip }), 0);
+  assert.ok(recordLoginFailure({ username: `user20-${now}`, ip }) > 0);
+  assert.equal(loginLockout({ username: `never-tried-${now}`, ip }), 15 * 60);
+  assert.equal(loginLockout({ username: `never-tried-${now}`, ip: '10.2.0.1' }), 0);
+});
+
+test('a successful login clears the username\'s failures', () => {
+  const amal = fresh('amal');
+  for (let i = 0; i < 4; i++) recordLoginFailure(amal);
+  clearLoginFailures(amal.username);
+  assert.equal(recordLoginFailure(amal), 0);
+});
+
+test('limits and windows come from the environment', t => {
+  process.env.LOGIN_MAX_USER_FAILURES = '2';
+  process.env.LOGIN_LOCKOUT = '1h';
+  t.after(() => {
+    delete process.env.LOGIN_MAX_USER_FAILURES;
+    delete process.env.LOGIN_LOCKOUT;
+  });
+  const badr = fresh('badr');
+  assert.equal(recordLoginFailure(badr), 0);
+  assert.equal(recordLoginFailure(badr), 60 * 60);
+});
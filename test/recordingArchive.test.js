@@ -0,0 +1,147 @@
+// test/recordingArchive.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import axios from 'axios';
+import express from 'express';
+import { pool } from '../db.js';
+import { archiveRecording, findArchived, sendArchived, purgeArchive } from '../recordingArchive.js';
+
+let dir;
+const AUDIO = Buffer.from('RIFF....WAVEfmt fake audio payload');
+// 2026-01-10 01:00 in Dubai, still the 9th in UTC
+const CALL_TIME = Date.UTC(2026, 0, 9, 21) / 1000;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-archive-'));
+  process.env.RECORDING_ARCHIVE_DIR = dir;
+  // Portal settings from .env (the legacy tenant)
+  process.env.DEFAULT_TENANT = 'acme';
+  process.env.BASE_URL = 'https://portal.test';
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('archiveRecording stores the file by Dubai call date with its checksum', async t => {
+  const inserts = [];
+  t.mock.method(pool, 'query', async (sql, values) => {
+    if (/FROM tenants/.test(sql)) return [[]];
+    if (/INSERT INTO recording_archive/.test(sql)) {
+      inserts.push(values);
+      return [{ affectedRows: 1 }];
+    }
+    throw new Error(`unexpected query: ${sql}`);
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(axios, 'post', async () => ({ data: { accessToken: 'token' } }));
+  const get = t.mock.method(axios, 'get', async () => ({
+    headers: { 'content-type': 'audio/x-wav; charset=binary' },
+    data: Readable.from([AUDIO.subarray(0, 10), AUDIO.subarray(10)])
+  }));
+
+  const recordingId = 'calls/rec 1';
+  const idHash = crypto.createHash('sha1').update(recordingId).digest('hex').slice(0, 8);
+  const result = await archiveRecording('acme', { recordingId, callId: 'c1', reportType: 'queueCalls', callTime: CALL_TIME });
+
+  const relPath = path.join('acme', '2026', '01', '10', `rec_1_${idHash}.wav`);
+  const sha256 = crypto.createHash('sha256').update(AUDIO).digest('hex');
+  assert.deepEqual(result, { path: relPath, size: AUDIO.length, sha256 });
+  assert.deepEqual(fs.readFileSync(path.join(dir, relPath)), AUDIO);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'acme', '2026', '01', '10')), [`rec_1_${idHash}.wav`]);
+  assert.deepEqual(inserts, [['acme', recordingId, 'c1', 'queueCalls', CALL_TIME, relPath, AUDIO.length, 'audio/x-wav', sha256]]);
+  assert.equal(get.mock.calls[0].arguments[0], 'https://portal.test/api/v2/reports/recordings/calls/rec 1');
+});
+
+test('archiveRecording leaves nothing behind when the download breaks', async t => {
+  t.mock.method(pool, 'query', async sql => {
+    if (/FROM tenants/.test(sql)) return [[]];
+    throw new Error(`unexpected query: ${sql}`);
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(axios, 'post', async () => ({ data: { accessToken: 'token' } }));
+  t.mock.method(axios, 'get', async () => ({
+    headers: { 'content-type': 'audio/mpeg' },
+    data: Readable.from((async function* () {
+      yield AUDIO;
+      throw new Error('socket hang up');
+    })())
+  }));
+
+  await assert.rejects(
+    archiveRecording('acme', { recordingId: 'broken', reportType: 'cdrs', callTime: CALL_TIME + 86400 }),
+    /socket hang up/
+  );
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'acme', '2026', '01', '11')), []);
+});
+
+test('sendArchived serves byte ranges of the archived file', async t => {
+  const file = path.join(dir, 'range.mp3');
+  fs.writeFileSync(file, '0123456789');
+  const archived = { tenant: 'acme', recording_id: 'range.mp3', file, content_type: 'audio/mpeg' };
+  const missing = { ...archived, file: path.join(dir, 'gone.mp3') };
+  t.mock.method(console, 'warn', () => {});
+
+  const app = express();
+  app.get('/archived', async (req, res) => {
+    if (!(await sendArchived(res, archived, { 'X-Content-Duration': '1.5' }))) res.status(502).end();
+  });
+  app.get('/missing', async (req, res) => {
+    if (!(await sendArchived(res, missing))) res.status(502).json({ fallback: true });
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const partial = await fetch(`${url}/archived`, { headers: { Range: 'bytes=2-5' } });
+  assert.equal(partial.status, 206);
+  assert.equal(partial.headers.get('content-range'), 'bytes 2-5/10');
+  assert.equal(partial.headers.get('content-type'), 'audio/mpeg');
+  assert.equal(partial.headers.get('x-content-duration'), '1.5');
+  assert.equal(await partial.text(), '2345');
+
+  const whole = await fetch(`${url}/archived`);
+  assert.equal(whole.status, 200);
+  assert.equal(await whole.text(), '0123456789');
+
+  const gone = await fetch(`${url}/missing`);
+  assert.equal(gone.status, 502);
+  assert.deepEqual(await gone.json(), { fallback: true });
+});
+
+test('findArchived resolves index paths under the archive root', async t => {
+  t.mock.method(pool, 'query', async () => [[{ tenant: 'acme', recording_id: 'r1', path: 'acme/2026/01/10/r1_ab.mp3' }]]);
+  assert.equal((await findArchived('acme', 'r1')).file, path.join(dir, 'acme/2026/01/10/r1_ab.mp3'));
+});
+
+test('purgeArchive deletes files and rows of calls past the retention period', async t => {
+  const now = Date.UTC(2026, 5, 1);
+  t.mock.method(Date, 'now', () => now);
+  fs.mkdirSync(path.join(dir, 'old'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'old', 'a.mp3'), 'a');
+  const old = [
+    { tenant: 'acme', recording_id: 'a', path: 'old/a.mp3' },
+    { tenant: 'acme', recording_id: 'b', path: 'old/b.mp3' }   // file already gone
+  ];
+  const statements = [];
+  t.mock.method(pool, 'query', async (sql, values) => {
+    statements.push([sql.trim().split(/\s+/)[0], values]);
+    if (/^SELECT/.test(sql.trim())) return [statements.length === 1 ? old : []];
+    return [{ affectedRows: 1 }];
+  });
+
+  delete process.env.RECORDING_ARCHIVE_RETENTION;
+  assert.equal(await purgeArchive(), 0);
+  assert.equal(statements.length, 0);
+
+  process.env.RECORDING_ARCHIVE_RETENTION = '30d';
+  t.after(() => delete process.env.RECORDING_ARCHIVE_RETENTION);
+  assert.equal(await purgeArchive(), 2);
+  assert.deepEqual(statements[0], ['SELECT', [now / 1000 - 30 * 86400, 500]]);
+  assert.deepEqual(statements.slice(1, 3), [['DELETE', ['acme', 'a']], ['DELETE', ['acme', 'b']]]);
+  assert.equal(statements.length, 4);
+  assert.equal(fs.existsSync(path.join(dir, 'old', 'a.mp3')), false);
+});
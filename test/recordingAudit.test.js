@@ -0,0 +1,60 @@
+// test/recordingAudit.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { recordAccess } from '../recordingAudit.js';
+
+const user = { id: 7, username: 'sara' };
+
+// Fake recording_audit: INSERTs get ids 1, 2, …; every statement is kept
+function fakeAudit(t) {
+  const statements = [];
+  t.mock.method(pool, 'query', async (sql, values) => {
+    statements.push({ sql: sql.trim().split(/\s+/)[0], values });
+    return [{ insertId: statements.filter(s => s.sql === 'INSERT').length, affectedRows: 1 }];
+  });
+  return statements;
+}
+
+test('range requests of one playback collapse into a single play row', async t => {
+  const statements = fakeAudit(t);
+  const access = { tenant: 'acme', recordingId: 'rec-1', callId: 'call-1', user, ip: '10.0.0.5', action: 'play' };
+
+  const ids = [];
+  ids.push(await recordAccess({ ...access, range: { start: 0, end: 65535 } }));
+  ids.push(await recordAccess({ ...access, range: { start: 65536, end: 131071 } }));
+  ids.push(await recordAccess({ ...access, range: { start: 0, end: 1023 } }));
+
+  assert.deepEqual(ids, [1, 1, 1]);
+  assert.deepEqual(statements.map(s => s.sql), ['INSERT', 'UPDATE', 'UPDATE']);
+  assert.deepEqual(statements[0].values, ['acme', 'rec-1', 'call-1', 'play', 7, 'sara', '10.0.0.5', 0, 65535]);
+  assert.equal(statements[1].values.at(-1), 1);
+});
+
+test('another user, address or recording opens its own play row', async t => {
+  const statements = fakeAudit(t);
+  const access = { tenant: 'acme', recordingId: 'rec-2', callId: 'call-2', user, ip: '10.0.0.5', action: 'play' };
+
+  await recordAccess(access);
+  await recordAccess({ ...access, user: { id: 8, username: 'omar' } });
+  await recordAccess({ ...access, ip: '10.0.0.6' });
+  await recordAccess({ ...access, recordingId: 'rec-3' });
+  assert.deepEqual(statements.map(s => s.sql), ['INSERT', 'INSERT', 'INSERT', 'INSERT']);
+});
+
+test('a play after the session gap and every download get new rows', async t => {
+  const statements = fakeAudit(t);
+  let now = Date.UTC(2026, 0, 14, 6);
+  t.mock.method(Date, 'now', () => now);
+  const access = { tenant: 'acme', recordingId: 'rec-4', callId: 'call-4', user, ip: '10.0.0.5' };
+
+  await recordAccess({ ...access, action: 'play' });
+  now += 9 * 60_000;
+  await recordAccess({ ...access, action: 'play' });
+  now += 11 * 60_000;
+  await recordAccess({ ...access, action: 'play' });
+  await recordAccess({ ...access, action: 'download' });
+  await recordAccess({ ...access, action: 'download' });
+
+  assert.deepEqual(statements.map(s => s.sql), ['INSERT', 'UPDATE', 'INSERT', 'INSERT', 'INSERT']);
+});
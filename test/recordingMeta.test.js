@@ -0,0 +1,66 @@
+// test/recordingMeta.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pool } from '../db.js';
+import { recordingMeta, cachedMeta } from '../recordingMeta.js';
+
+let dir;
+
+// 300 silent 128 kbit/s MPEG-1 layer III frames at 44.1 kHz stereo
+function writeMp3(file) {
+  const frame = Buffer.alloc(417);
+  frame.writeUInt32BE(0xfffb9064, 0);
+  fs.writeFileSync(file, Buffer.concat(Array(300).fill(frame)));
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-meta-'));
+  process.env.RECORDING_ARCHIVE_DIR = dir;
+  writeMp3(path.join(dir, 'rec-1.mp3'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a stored duration is served from recording_meta without probing', async t => {
+  const query = t.mock.method(pool, 'query', async sql => {
+    if (/FROM recording_meta/.test(sql)) {
+      return [[{ recording_id: 'rec-0', duration_seconds: '61.5', size_bytes: '984000', bitrate: 128000, channels: 1, sample_rate: 8000 }]];
+    }
+    throw new Error(`unexpected query: ${sql}`);
+  });
+
+  const { 'rec-0': meta } = await recordingMeta('acme', ['rec-0']);
+  assert.deepEqual(meta, { duration: 61.5, size: 984000, bitrate: 128000, channels: 1, sampleRate: 8000 });
+  assert.equal(query.mock.callCount(), 1);
+  assert.deepEqual(cachedMeta('acme', 'rec-0'), meta);
+});
+
+test('an unknown recording is probed once, stored, then served from memory', async t => {
+  const inserts = [];
+  const query = t.mock.method(pool, 'query', async (sql, values) => {
+    if (/FROM recording_meta/.test(sql)) return [[]];
+    if (/FROM recording_archive/.test(sql)) {
+      return [[{ tenant: 'acme', recording_id: 'rec-1', path: 'rec-1.mp3', size_bytes: 125100, content_type: 'audio/mpeg' }]];
+    }
+    if (/INSERT INTO recording_meta/.test(sql)) {
+      inserts.push(values);
+      return [{ affectedRows: 1 }];
+    }
+    throw new Error(`unexpected query: ${sql}`);
+  });
+
+  const { 'rec-1': meta } = await recordingMeta('acme', ['rec-1']);
+  assert.equal(meta.duration.toFixed(3), (300 * 1152 / 44100).toFixed(3));
+  assert.equal(meta.size, 125100);
+  assert.equal(meta.bitrate, 128000);
+  assert.equal(inserts.length, 1);
+  assert.deepEqual(inserts[0].slice(0, 3), ['acme', 'rec-1', meta.duration]);
+
+  const calls = query.mock.callCount();
+  assert.deepEqual(await recordingMeta('acme', ['rec-1']), { 'rec-1': meta });
+  assert.equal(query.mock.callCount(), calls);
+});
+
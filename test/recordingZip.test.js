@@ -0,0 +1,90 @@
+// test/recordingZip.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { pool } from '../db.js';
+import { recordingFileName, writeRecordingZip } from '../recordingZip.js';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-zip-'));
+  process.env.RECORDING_ARCHIVE_DIR = dir;
+  fs.writeFileSync(path.join(dir, 'a.mp3'), 'first recording');
+  fs.writeFileSync(path.join(dir, 'b.wav'), 'second recording');
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Entries of a stored (uncompressed) ZIP, read through its central directory
+function unzipStored(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const files = {};
+  for (let n = buf.readUInt16LE(end + 10), at = buf.readUInt32LE(end + 16); n > 0; n--) {
+    const size = buf.readUInt32LE(at + 20);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLength);
+    const local = buf.readUInt32LE(at + 42);
+    const data = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    files[name] = buf.toString('utf8', data, data + size);
+    at += 46 + nameLength + buf.readUInt16LE(at + 30) + buf.readUInt16LE(at + 32);
+  }
+  return files;
+}
+
+// 2026-01-10 09:05:30 in Dubai
+const CALLED = Date.UTC(2026, 0, 10, 5, 5, 30);
+
+test('recordingFileName names files by Dubai time, call, agent and number', () => {
+  assert.equal(
+    recordingFileName({ id: 'rec-1.WAV', calledAt: CALLED, callId: 'c/1', agent: 'Amal Saeed', number: '+971 50 123' }),
+    '2026-01-10_09-05-30_c-1_Amal-Saeed_+971-50-123.wav'
+  );
+  // A time alone does not identify the call, so the id is used
+  assert.equal(recordingFileName({ id: 'rec-2', calledAt: CALLED, agent: '' }), 'rec-2.mp3');
+  assert.equal(recordingFileName({ id: 'x/../y.ogg' }), 'x-y.ogg');
+  assert.equal(recordingFileName({ id: '...' }), 'recording.mp3');
+});
+
+test('writeRecordingZip streams archived recordings with a manifest', async t => {
+  t.mock.method(pool, 'query', async (sql, [, id]) => {
+    if (/FROM recording_archive/.test(sql)) {
+      const archived = { 'a.mp3': 'a.mp3', 'b.wav': 'b.wav', 'a-again.mp3': 'a.mp3' };
+      return [archived[id] ? [{ path: archived[id] }] : []];
+    }
+    if (/FROM tenants/.test(sql)) return [[]];
+    throw new Error(`unexpected query: ${sql}`);
+  });
+  t.mock.method(console, 'warn', () => {});
+
+  const entries = [
+    { id: 'a.mp3', callId: 'c1', type: 'Inbound', calledAt: CALLED, queue: 'Sales', agent: 'Amal', number: '050' },
+    { id: 'missing.mp3', callId: 'c2', type: 'CDR', calledAt: CALLED },
+    { id: 'b.wav' },
+    { id: 'a-again.mp3', callId: 'c1', type: 'Inbound', calledAt: CALLED, queue: 'Sales', agent: 'Amal', number: '050' }
+  ];
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', c => chunks.push(c));
+  const written = [];
+  const count = await writeRecordingZip(out, 'nowhere', entries, { concurrency: 1, onWritten: e => written.push(e.id) });
+
+  assert.equal(count, 3);
+  assert.deepEqual(written, ['a.mp3', 'b.wav', 'a-again.mp3']);
+  const files = unzipStored(Buffer.concat(chunks));
+  assert.deepEqual(Object.keys(files).sort(), [
+    '2026-01-10_09-05-30_c1_Amal_050.mp3', '2026-01-10_09-05-30_c1_Amal_050_2.mp3', 'b.wav', 'manifest.csv'
+  ]);
+  assert.equal(files['2026-01-10_09-05-30_c1_Amal_050.mp3'], 'first recording');
+  assert.equal(files['b.wav'], 'second recording');
+
+  const manifest = files['manifest.csv'].trim().split('\n');
+  assert.equal(manifest[0], 'File,Recording ID,Call ID,Type,Called Time,Queue / Campaign Name,Agent name,Number,Status');
+  assert.equal(manifest[1], '2026-01-10_09-05-30_c1_Amal_050.mp3,a.mp3,c1,Inbound,2026-01-10T05:05:30.000Z,Sales,Amal,050,ok');
+  assert.match(manifest[2], /^,missing\.mp3,c2,CDR,.*,failed: Unknown tenant: nowhere$/);
+  assert.equal(manifest[3], 'b.wav,b.wav,,,,,,,ok');
+  assert.match(manifest[4], /^2026-01-10_09-05-30_c1_Amal_050_2\.mp3,a-again\.mp3,/);
+});
@@ -0,0 +1,54 @@
+// test/reportCache.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheGet, cacheSet, cacheStats, ttlFor } from '../reportCache.js';
+import { makeCacheKey } from '../reportFetcher.js';
+
+// The store is created on first use, so these apply to the whole file
+process.env.REPORT_CACHE_STORE = 'memroy';
+process.env.REPORT_CACHE_MAX_ENTRIES = '2';
+process.env.REPORT_CACHE_TTL = JSON.stringify({ cdrs: { live: '30s', historical: '2h' } });
+process.env.REPORT_CACHE_LIVE_WINDOW = '1h';
+
+const meta = { report: 'cdrs', tenant: 'acme', params: {} };
+const page = n => ({ rows: [{ n }], next: null });
+
+test('an unknown store warns and falls back to memory', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const stats = await cacheStats();
+  assert.equal(stats.store, 'memory');
+  assert.equal(stats.maxEntries, 2);
+  assert.match(warn.mock.calls[0].arguments[0], /Unknown REPORT_CACHE_STORE "memroy"/);
+});
+
+test('the memory store evicts the least recently used page', async () => {
+  await cacheSet('a', page(1), meta);
+  await cacheSet('b', page(2), meta);
+  assert.deepEqual(await cacheGet('a'), page(1)); // a is now the most recent
+  await cacheSet('c', page(3), meta);
+
+  assert.equal(await cacheGet('b'), undefined);
+  assert.deepEqual(await cacheGet('a'), page(1));
+  assert.deepEqual(await cacheGet('c'), page(3));
+  assert.equal((await cacheStats()).evictions, 1);
+});
+
+test('cache keys include the window and the page', () => {
+  const params = { startDate: 100, endDate: 200, maxRows: 50 };
+  const first = makeCacheKey('cdrs', 'acme', params);
+  assert.equal(first, 'cdrs|acme|100|200||50');
+  assert.notEqual(makeCacheKey('cdrs', 'acme', { ...params, start_key: 'k2' }), first);
+  assert.notEqual(makeCacheKey('cdrs', 'other', params), first);
+  assert.notEqual(makeCacheKey('cdrs', 'acme', { ...params, endDate: 300 }), first);
+  assert.equal(makeCacheKey('cdrs', 'acme'), 'cdrs|acme||||');
+});
+
+test('ttlFor picks the live TTL for recent windows and the historical one otherwise', () => {
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(ttlFor('cdrs', {}), 30_000);
+  assert.equal(ttlFor('cdrs', { endDate: now - 60 }), 30_000);
+  assert.equal(ttlFor('cdrs', { endDate: now - 2 * 3600 }), 2 * 3600_000);
+  // Types without an override use the defaults
+  assert.equal(ttlFor('queueCalls', { endDate: now - 60 }), 60_000);
+  assert.equal(ttlFor('queueCalls', { endDate: now - 2 * 3600 }), 24 * 3600_000);
+});
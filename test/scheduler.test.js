@@ -0,0 +1,74 @@
+// test/scheduler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jobFieldError } from '../scheduler.js';
+import { RANGE_NAMES, resolveRange } from '../timeUtils.js';
+
+const job = {
+  name: 'Daily CDRs',
+  report_type: 'cdrs',
+  tenant: 'acme',
+  range_name: 'yesterday',
+  cron_expr: '0 6 * * *',
+  output_dir: 'daily',
+  filters: { caller_id_number: '971' },
+  enabled: true
+};
+
+test('jobFieldError accepts a complete job', () => {
+  assert.equal(jobFieldError(job, { create: true }), null);
+  assert.equal(jobFieldError({ enabled: false }), null);
+});
+
+test('jobFieldError requires the core fields on create only', () => {
+  for (const field of ['name', 'report_type', 'tenant', 'range_name', 'cron_expr']) {
+    const { [field]: _, ...rest } = job;
+    assert.match(jobFieldError(rest, { create: true }), /required/, field);
+    assert.match(jobFieldError({ ...job, [field]: null }, { create: true }), /required/, field);
+    assert.equal(jobFieldError(rest), null, field);
+  }
+});
+
+test('jobFieldError rejects values of the wrong type', () => {
+  assert.equal(jobFieldError({ name: 42 }), 'Name cannot be empty');
+  assert.equal(jobFieldError({ name: '  ' }), 'Name cannot be empty');
+  assert.equal(jobFieldError({ tenant: 7 }), 'Tenant must be a tenant slug');
+  assert.match(jobFieldError({ filters: 'caller=1' }), /Filters must be an object/);
+  assert.match(jobFieldError({ filters: ['a'] }), /Filters must be an object/);
+  assert.match(jobFieldError({ filters: null }), /Filters must be an object/);
+  assert.equal(jobFieldError({ enabled: 'yes' }), 'Enabled must be true or false');
+  assert.equal(jobFieldError({ cron_expr: 5 }), 'Invalid cron expression');
+  assert.equal(jobFieldError({ cron_expr: 'every day' }), 'Invalid cron expression');
+  assert.equal(jobFieldError({ output_dir: 3 }), 'Output directory must be a path');
+  assert.match(jobFieldError({ output_dir: '../etc' }), /relative/);
+  assert.equal(jobFieldError({ email_to: 'a@b.c' }), 'Email recipients must be a list');
+  assert.equal(jobFieldError({ email_to: ['a@b.c', 5] }), 'Invalid email recipient');
+  assert.match(jobFieldError({ range_name: 'last_year' }), /Range must be one of/);
+});
+
+test('resolveRange resolves every range name to Dubai midnights', () => {
+  // Wednesday 2026-01-14 10:00 in Dubai
+  const now = new Date(Date.UTC(2026, 0, 14, 6));
+  const midnight = (y, m, d) => Date.UTC(y, m, d) / 1000 - 4 * 3600;
+  const expected = {
+    today: [midnight(2026, 0, 14), now / 1000],
+    yesterday: [midnight(2026, 0, 13), midnight(2026, 0, 14)],
+    last_7_days: [midnight(2026, 0, 7), midnight(2026, 0, 14)],
+    this_week: [midnight(2026, 0, 12), now / 1000],
+    last_week: [midnight(2026, 0, 5), midnight(2026, 0, 12)],
+    this_month: [midnight(2026, 0, 1), now / 1000],
+    last_month: [midnight(2025, 11, 1), midnight(2026, 0, 1)]
+  };
+  assert.deepEqual(Object.keys(expected).sort(), [...RANGE_NAMES].sort());
+  for (const name of RANGE_NAMES) {
+    const { startDate, endDate } = resolveRange(name, now);
+    assert.deepEqual([startDate, endDate], expected[name], name);
+  }
+  assert.throws(() => resolveRange('last_year', now), /Unknown range/);
+});
+
+test('resolveRange uses the Dubai day, not the UTC one', () => {
+  // 2026-01-14 22:00 UTC is already the 15th in Dubai
+  const { startDate } = resolveRange('today', new Date(Date.UTC(2026, 0, 14, 22)));
+  assert.equal(startDate, Date.UTC(2026, 0, 15) / 1000 - 4 * 3600);
+});
@@ -0,0 +1,95 @@
+// test/scope.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { rowInScope, indexRecording, recordingsInScope, recordingCallId } from '../scope.js';
+
+const unrestricted = { tenants: null, queues: null, campaigns: null };
+const salesOnly = { tenants: null, queues: new Set(['Sales']), campaigns: null };
+const promoOnly = { tenants: null, queues: null, campaigns: new Set(['Promo']) };
+
+test('rowInScope lets every row through without queue or campaign lists', () => {
+  assert.equal(rowInScope(unrestricted, 'cdrs', {}), true);
+  assert.equal(rowInScope({ ...unrestricted, tenants: new Set(['a']) }, 'queueCalls', { queue_name: 'Ops' }), true);
+});
+
+test('rowInScope matches queue rows on queue_name', () => {
+  assert.equal(rowInScope(salesOnly, 'queueCalls', { queue_name: 'Sales' }), true);
+  assert.equal(rowInScope(salesOnly, 'queueOutboundCalls', { queue_name: 'Ops' }), false);
+});
+
+test('rowInScope does not restrict a dimension without a list', () => {
+  assert.equal(rowInScope(salesOnly, 'campaignsActivity', { campaign_name: 'Anything' }), true);
+  assert.equal(rowInScope(promoOnly, 'queueCalls', { queue_name: 'Anything' }), true);
+  assert.equal(rowInScope(promoOnly, 'campaignsActivity', { campaign_name: 'Other' }), false);
+});
+
+test('rowInScope hides CDRs and agent status from queue / campaign restricted users', () => {
+  assert.equal(rowInScope(salesOnly, 'cdrs', { call_id: 'c1' }), false);
+  assert.equal(rowInScope(promoOnly, 'agentStatus', { extension: '101' }), false);
+});
+
+test('recordingsInScope decides indexed recordings without the database', async t => {
+  const query = t.mock.method(pool, 'query', async () => [[]]);
+  indexRecording('t1', 'queueCalls', { media_recording_id: 'idx-sales', queue_name: 'Sales' });
+  indexRecording('t1', 'queueCalls', { media_recording_id: 'idx-ops', queue_name: 'Ops' });
+  const allowed = await recordingsInScope(salesOnly, 't1', ['idx-sales', 'idx-ops']);
+  assert.deepEqual([...allowed], ['idx-sales']);
+  assert.equal(query.mock.callCount(), 0);
+});
+
+test('recordingsInScope looks unknown recordings up in the warehouse and indexes them', async t => {
+  const query = t.mock.method(pool, 'query', async () => [[
+    { reportType: 'queueCalls', media_recording_id: 'wh-sales', queue_name: 'Sales', call_id: 'call-1' },
+    { reportType: 'queueCalls', media_recording_id: 'wh-ops', queue_name: 'Ops', call_id: 'call-2' }
+  ]]);
+  const allowed = await recordingsInScope(salesOnly, 't2', ['wh-sales', 'wh-ops', 'wh-missing']);
+  assert.deepEqual([...allowed], ['wh-sales']);
+  assert.equal(query.mock.callCount(), 1);
+  assert.deepEqual(query.mock.calls[0].arguments[1].slice(0, 2), ['t2', ['wh-sales', 'wh-ops', 'wh-missing']]);
+  assert.equal(recordingCallId('t2', 'wh-sales'), 'call-1');
+
+  // Now indexed: no second lookup
+  await recordingsInScope(salesOnly, 't2', ['wh-sales']);
+  assert.equal(query.mock.callCount(), 1);
+});
+
+test('recordingsInScope refuses unknown recordings when the lookup fails', async t => {
+  t.mock.method(pool, 'query', async () => { throw new Error('connect ECONNREFUSED'); });
+  t.mock.method(console, 'warn', () => {});
+  assert.equal((await recordingsInScope(salesOnly, 't3', ['x'])).size, 0);
+});
+
+test('recordingsInScope allows everything for unrestricted users', async t => {
+  const query = t.mock.method(pool, 'query', async () => [[]]);
+  assert.deepEqual([...await recordingsInScope(unrestricted, 't4', ['a', 'b'])], ['a', 'b']);
+  assert.equal(query.mock.callCount(), 0);
+});
+
+test('a CDR row does not replace the queue owner of a recording', async t => {
+  const query = t.mock.method(pool, 'query', async () => [[]]);
+  indexRecording('t5', 'queueCalls', { media_recording_id: 'rec-1', queue_name: 'Sales', call_id: 'q-1' });
+  indexRecording('t5', 'cdrs', { media_recording_id: 'rec-1', call_id: 'leg-1' });
+  assert.deepEqual([...await recordingsInScope(salesOnly, 't5', ['rec-1'])], ['rec-1']);
+  assert.equal(query.mock.callCount(), 0);
+  assert.equal(recordingCallId('t5', 'rec-1'), 'q-1');
+});
+
+test('a recording seen only in CDRs is looked up in the warehouse', async t => {
+  const query = t.mock.method(pool, 'query', async () => [[
+    { reportType: 'queueCalls', media_recording_id: 'rec-2', queue_name: 'Sales', call_id: 'q-2' }
+  ]]);
+  indexRecording('t5', 'cdrs', { media_recording_id: 'rec-2', call_id: 'leg-2' });
+  assert.deepEqual([...await recordingsInScope(salesOnly, 't5', ['rec-2'])], ['rec-2']);
+  assert.equal(query.mock.callCount(), 1);
+});
+
+test('a recording is allowed when any of its owners is in scope', async t => {
+  t.mock.method(pool, 'query', async () => [[]]);
+  indexRecording('t5', 'queueCalls', { media_recording_id: 'rec-3', queue_name: 'Ops' });
+  indexRecording('t5', 'campaignsActivity', { media_recording_id: 'rec-3', campaign_name: 'Promo' });
+  const promoAndSales = { tenants: null, queues: new Set(['Sales']), campaigns: new Set(['Promo']) };
+  assert.deepEqual([...await recordingsInScope(promoAndSales, 't5', ['rec-3'])], ['rec-3']);
+  const salesAndOther = { tenants: null, queues: new Set(['Sales']), campaigns: new Set(['Other']) };
+  assert.equal((await recordingsInScope(salesAndOther, 't5', ['rec-3'])).size, 0);
+});
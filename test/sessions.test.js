@@ -0,0 +1,114 @@
+// test/sessions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import { pool } from '../db.js';
+import { requireSession, revokeSession, revokeUserSessions } from '../sessions.js';
+
+const SECRET = 'test-secret';
+const HOUR = 60 * 60 * 1000;
+
+// In-memory `sessions` joined with `users`, answering the queries sessions.js makes
+function fakeSessions(t, rows) {
+  const byId = new Map(rows.map(r => [r.id, { revoked_at: null, ...r }]));
+  t.mock.method(pool, 'query', async (sql, values) => {
+    if (/^SELECT s\.\*/.test(sql.trim())) {
+      const [id, userId] = values;
+      const s = byId.get(id);
+      return [s && s.user_id === userId && !s.revoked_at && !s.disabled ? [s] : []];
+    }
+    if (/^SELECT \* FROM sessions/.test(sql.trim())) {
+      const s = byId.get(values[0]);
+      return [s && !s.revoked_at ? [s] : []];
+    }
+    if (/^UPDATE sessions SET revoked_at/.test(sql.trim())) {
+      const [reason, key] = values;
+      const hit = [...byId.values()].filter(s => !s.revoked_at && (/user_id = \?/.test(sql) ? s.user_id === key : s.id === key));
+      hit.forEach(s => { s.revoked_at = new Date(); s.revoked_reason = reason; });
+      return [{ affectedRows: hit.length }];
+    }
+    return [{ affectedRows: 1 }];   // last_seen_at / expires_at updates
+  });
+  return byId;
+}
+
+function server(t) {
+  const reissued = [];
+  const app = express();
+  app.use(cookieParser());
+  app.use(requireSession({ secret: SECRET, ttlMs: 2 * HOUR, refreshMs: HOUR, reissue: (res, user, sid) => reissued.push(sid) }));
+  app.get('/me', (req, res) => res.json(req.user));
+  const listening = app.listen(0);
+  t.after(() => listening.close());
+  const url = `http://127.0.0.1:${listening.address().port}/me`;
+  const get = (claims, { secret = SECRET, expiresIn = '2h' } = {}) =>
+    fetch(url, { headers: claims ? { Cookie: `token=${jwt.sign(claims, secret, { expiresIn })}` } : {} });
+  return { get, reissued };
+}
+
+const sara = { sid: 's1', id: 7, username: 'sara', role: 'admin' };
+
+test('requireSession takes the role from the users row, not the token', async t => {
+  fakeSessions(t, [{ id: 's1', user_id: 7, username: 'sara', email: 's@x.ae', role: 'viewer', must_change_password: 1 }]);
+  const { get } = server(t);
+
+  const res = await get(sara);
+  assert.equal(res.status, 200);
+  const user = await res.json();
+  assert.equal(user.role, 'viewer');
+  assert.equal(user.mustChangePassword, true);
+  assert.equal(user.email, 's@x.ae');
+});
+
+test('requireSession rejects a token whose session was revoked', async t => {
+  fakeSessions(t, [
+    { id: 's1', user_id: 7, username: 'sara', role: 'admin' },
+    { id: 's2', user_id: 7, username: 'sara', role: 'admin' },
+    { id: 's3', user_id: 8, username: 'omar', role: 'qa' }
+  ]);
+  const { get } = server(t);
+  assert.equal((await get(sara)).status, 200);
+
+  assert.equal((await revokeSession('s1', 'logout')).id, 's1');
+  assert.equal(await revokeSession('s1', 'logout'), null);
+  const ended = await get(sara);
+  assert.equal(ended.status, 401);
+  assert.deepEqual(await ended.json(), { error: 'Session ended' });
+  assert.match(ended.headers.get('set-cookie'), /^token=;/);
+
+  // A password change ends every session of that user only
+  assert.equal((await get({ ...sara, sid: 's2' })).status, 200);
+  assert.equal(await revokeUserSessions(7, 'password changed'), 1);
+  assert.equal((await get({ ...sara, sid: 's2' })).status, 401);
+  assert.equal((await get({ sid: 's3', id: 8 })).status, 200);
+});
+
+test('requireSession rejects missing, forged and borrowed tokens', async t => {
+  fakeSessions(t, [{ id: 's1', user_id: 7, username: 'sara', role: 'admin' }, { id: 's4', user_id: 9, disabled: 1 }]);
+  const { get } = server(t);
+
+  assert.deepEqual(await (await get()).json(), { error: 'Authentication required' });
+  assert.deepEqual(await (await get(sara, { secret: 'other' })).json(), { error: 'Session expired' });
+  assert.equal((await get({ ...sara, id: 8 })).status, 401);      // someone else's session id
+  assert.equal((await get({ id: 7, username: 'sara' })).status, 401);   // token without a session
+  assert.equal((await get({ sid: 's4', id: 9 })).status, 401);   // disabled account
+});
+
+test('requireSession answers 503 when the session store is down', async t => {
+  t.mock.method(pool, 'query', async () => { throw new Error('connect ECONNREFUSED'); });
+  t.mock.method(console, 'error', () => {});
+  const { get } = server(t);
+  assert.equal((await get(sara)).status, 503);
+});
+
+test('requireSession re-issues a token that is close to expiry', async t => {
+  fakeSessions(t, [{ id: 's1', user_id: 7, username: 'sara', role: 'admin' }]);
+  const { get, reissued } = server(t);
+
+  await get(sara);
+  assert.deepEqual(reissued, []);
+  assert.equal((await get(sara, { expiresIn: '30m' })).status, 200);
+  assert.deepEqual(reissued, ['s1']);
+});
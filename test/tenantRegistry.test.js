@@ -0,0 +1,71 @@
+// test/tenantRegistry.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { encryptSecret, decryptSecret, resolveTenant } from '../tenantRegistry.js';
+
+beforeEach(() => {
+  process.env.TENANT_SECRET_KEY = 'test-key';
+  process.env.DEFAULT_TENANT = 'legacy';
+  process.env.BASE_URL = 'https://legacy.example.com';
+});
+
+const tenantRow = slug => ({
+  slug,
+  display_name: slug.toUpperCase(),
+  base_url: `https://${slug}.example.com/`,
+  api_username_enc: encryptSecret('api-user'),
+  api_password_enc: encryptSecret('s3cret:with.dots'),
+  account_id_header: null
+});
+
+test('encryptSecret and decryptSecret round-trip with a fresh IV each time', () => {
+  const stored = encryptSecret('s3cret:with.dots');
+  assert.match(stored, /^[\w+/=]+\.[\w+/=]+\.[\w+/=]+$/);
+  assert.notEqual(encryptSecret('s3cret:with.dots'), stored);
+  assert.equal(decryptSecret(stored), 's3cret:with.dots');
+  assert.equal(decryptSecret(encryptSecret('')), '');
+});
+
+test('decryptSecret rejects tampered values and other keys', () => {
+  const stored = encryptSecret('api-user');
+  const [iv, tag, data] = stored.split('.');
+  const flipped = Buffer.from(data, 'base64');
+  flipped[0] ^= 1;
+  assert.throws(() => decryptSecret([iv, tag, flipped.toString('base64')].join('.')));
+
+  process.env.TENANT_SECRET_KEY = 'another-key';
+  assert.throws(() => decryptSecret(stored));
+  delete process.env.TENANT_SECRET_KEY;
+  assert.throws(() => decryptSecret(stored), /TENANT_SECRET_KEY is not set/);
+});
+
+test('resolveTenant decrypts the stored credentials', async t => {
+  t.mock.method(pool, 'query', async () => [[tenantRow('acme')]]);
+  assert.deepEqual(await resolveTenant('acme'), {
+    slug: 'acme',
+    displayName: 'ACME',
+    baseUrl: 'https://acme.example.com',
+    username: 'api-user',
+    password: 's3cret:with.dots',
+    accountIdHeader: 'acme'
+  });
+});
+
+test('resolveTenant reports a key error instead of falling back to .env settings', async t => {
+  const row = tenantRow('legacy');
+  process.env.TENANT_SECRET_KEY = 'rotated-key';
+  const warn = t.mock.method(console, 'warn', () => {});
+  t.mock.method(pool, 'query', async () => [[row]]);
+
+  await assert.rejects(resolveTenant('legacy'), /Cannot decrypt the credentials of tenant legacy/);
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('resolveTenant falls back to .env settings only when the database is down', async t => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(pool, 'query', async () => { throw new Error('connect ECONNREFUSED'); });
+
+  assert.equal((await resolveTenant('legacy')).baseUrl, 'https://legacy.example.com');
+  await assert.rejects(resolveTenant('other'), /ECONNREFUSED/);
+});
@@ -0,0 +1,63 @@
+// test/unifiedReport.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sourcePageRows, followingPage, encodeCursor, decodeCursor } from '../unifiedReport.js';
+
+const T0 = Date.UTC(2026, 0, 10, 12) / 1000;   // epoch seconds
+const queueRow = (callId, calledTime, queue) => ({ call_id: callId, called_time: calledTime, queue_name: queue });
+
+test('sourcePageRows normalises and sorts newest first', () => {
+  const { rows, oldest } = sourcePageRows('in', [queueRow('a', T0 - 60, 'Sales'), queueRow('b', T0, 'Sales')]);
+  assert.deepEqual(rows.map(r => r['Call ID']), ['b', 'a']);
+  assert.equal(rows[0].Type, 'Inbound');
+  assert.equal(oldest, (T0 - 60) * 1000);
+});
+
+test('sourcePageRows takes the oldest time from rows the filter hides', () => {
+  const raw = [queueRow('a', T0 - 600, 'Ops'), queueRow('b', T0, 'Sales')];
+  const seen = [];
+  const { rows, oldest } = sourcePageRows('in', raw, (type, row) => {
+    seen.push(type);
+    return row.queue_name === 'Sales';
+  });
+  assert.deepEqual(rows.map(r => r['Call ID']), ['b']);
+  assert.equal(oldest, (T0 - 600) * 1000);
+  assert.deepEqual(seen, ['queueCalls', 'queueCalls']);
+});
+
+test('a fully hidden page still moves the time window back', () => {
+  const { rows, oldest } = sourcePageRows('in', [queueRow('a', T0, 'Ops')], () => false);
+  assert.equal(rows.length, 0);
+  const page = { startKey: null, endDate: null, skip: 0, windowed: false };
+  assert.deepEqual(followingPage(page, null, oldest, { startDate: T0 - 3600 }), {
+    startKey: null, endDate: T0 - 1, skip: 0, windowed: true
+  });
+});
+
+test('followingPage follows next_start_key when upstream hands one out', () => {
+  const page = { startKey: null, endDate: T0, skip: 3, windowed: true };
+  assert.deepEqual(followingPage(page, 'k2', T0 * 1000, {}), { startKey: 'k2', endDate: T0, skip: 0, windowed: false });
+});
+
+test('followingPage ends a source', () => {
+  const windowed = { startKey: null, endDate: T0, skip: 0, windowed: true };
+  // nothing seen on the page
+  assert.equal(followingPage(windowed, null, 0, {}), null);
+  // window would start before the range
+  assert.equal(followingPage(windowed, null, (T0 - 10) * 1000, { startDate: T0 - 5 }), null);
+  // no progress
+  assert.equal(followingPage(windowed, null, (T0 + 10) * 1000, {}), null);
+  // keyed source that ran out of keys
+  assert.equal(followingPage({ startKey: 'k1', endDate: null, skip: 0, windowed: false }, null, T0 * 1000, {}), null);
+});
+
+test('cursors round-trip and reject garbage', () => {
+  const state = decodeCursor();
+  assert.equal(state.served, 0);
+  assert.deepEqual(Object.keys(state.sources), ['in', 'out', 'camp', 'cdr']);
+  state.served = 12;
+  state.sources.in = { startKey: 'k', endDate: null, skip: 4, windowed: false };
+  assert.deepEqual(decodeCursor(encodeCursor(state)), state);
+  assert.throws(() => decodeCursor('not-a-cursor'), /Invalid cursor/);
+  assert.throws(() => decodeCursor(encodeCursor({ sources: { in: {} } })), /Invalid cursor/);
+});
@@ -0,0 +1,48 @@
+// test/wallboard.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { latestPerAgent, visibleBoard } from '../wallboard.js';
+import { rowInScope } from '../scope.js';
+import { normalizeAgentRow } from '../agentStatus.js';
+
+const START = Date.UTC(2026, 0, 9, 20) / 1000;   // 2026-01-10 00:00 in Dubai
+const row = (extension, status, at) => normalizeAgentRow({ extension, name: `Agent ${extension}`, status, status_time: at });
+
+test('latestPerAgent keeps the newest status of each agent, whatever the row order', () => {
+  const agents = latestPerAgent([
+    row('101', 'logout', START + 600),
+    row('102', 'available', START),
+    row('101', 'available', START),
+    row('101', 'break', START + 300)
+  ]);
+  assert.deepEqual(agents.map(a => [a.extension, a.state]), [['101', 'logout'], ['102', 'available']]);
+  assert.equal(agents[0].since, START + 600);
+});
+
+test('latestPerAgent keeps a row without a time only when nothing newer exists', () => {
+  const agents = latestPerAgent([row('101', 'available', START), row('101', 'unknown', undefined), row('103', 'break', undefined)]);
+  assert.deepEqual(agents.map(a => [a.extension, a.state]), [['101', 'available'], ['103', 'break']]);
+});
+
+test('visibleBoard filters agents and recomputes the counts per state', () => {
+  const snapshot = {
+    agents: [row('101', 'available', START), row('102', 'available', START), row('103', 'break', START)],
+    counts: { available: 2, break: 1 },
+    updatedAt: START
+  };
+  assert.equal(visibleBoard(snapshot), snapshot);
+
+  const mine = visibleBoard(snapshot, a => a.extension !== '102');
+  assert.deepEqual(mine.agents.map(a => a.extension), ['101', '103']);
+  assert.deepEqual(mine.counts, { available: 1, break: 1 });
+  assert.equal(mine.updatedAt, START);
+});
+
+test('visibleBoard hides every agent from queue-restricted users', () => {
+  const snapshot = { agents: [row('101', 'available', START)], counts: { available: 1 }, updatedAt: START };
+  const restricted = { tenants: null, queues: new Set(['Sales']), campaigns: null };
+  const unrestricted = { tenants: new Set(['t']), queues: null, campaigns: null };
+  assert.deepEqual(visibleBoard(snapshot, a => rowInScope(restricted, 'agentStatus', a)).agents, []);
+  assert.deepEqual(visibleBoard(snapshot, a => rowInScope(restricted, 'agentStatus', a)).counts, {});
+  assert.equal(visibleBoard(snapshot, a => rowInScope(unrestricted, 'agentStatus', a)).agents.length, 1);
+});
@@ -0,0 +1,56 @@
+// timeUtils.js
+// Relative report ranges ("yesterday", "last_week", …) resolved in the
+// call-center's local time. Dubai is UTC+4 all year (no DST), so a fixed
+// offset is enough.
+
+const TZ_OFFSET_MS = 4 * 60 * 60 * 1000;   // Asia/Dubai
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RANGE_NAMES = ['today', 'yesterday', 'last_7_days', 'this_week', 'last_week', 'this_month', 'last_month'];
+
+// Epoch ms of local midnight for the local day containing `ms`
+function localMidnight(ms) {
+  return Math.floor((ms + TZ_OFFSET_MS) / DAY_MS) * DAY_MS - TZ_OFFSET_MS;
+}
+
+// Epoch ms of local midnight on the 1st of the month, `deltaMonths` away
+function localMonthStart(ms, deltaMonths = 0) {
+  const local = new Date(ms + TZ_OFFSET_MS);
+  return Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + deltaMonths, 1) - TZ_OFFSET_MS;
+}
+
+/**
+ * Resolve a relative range name to the epoch-second window fetchReport
+ * expects. Ranges are [start, end) at local midnights, except the "this_*"
+ * and "today" ranges which end at `now`. Weeks start on Monday.
+ *
+ * @param {string} name – one of RANGE_NAMES.
+ * @param {Date}   [now=new Date()]
+ * @returns {{startDate:number, endDate:number}}
+ */
+export function resolveRange(name, now = new Date()) {
+  const nowMs = now.getTime();
+  const today = localMidnight(nowMs);
+  // 0 = Monday … 6 = Sunday
+  const weekday = (new Date(today + TZ_OFFSET_MS).getUTCDay() + 6) % 7;
+  const thisWeek = today - weekday * DAY_MS;
+
+  let start;
+  let end;
+  switch (name) {
+    case 'today': start = today; end = nowMs; break;
+    case 'yesterday': start = today - DAY_MS; end = today; break;
+    case 'last_7_days': start = today - 7 * DAY_MS; end = today; break;
+    case 'this_week': start = thisWeek; end = nowMs; break;
+    case 'last_week': start = thisWeek - 7 * DAY_MS; end = thisWeek; break;
+    case 'this_month': start = localMonthStart(nowMs); end = nowMs; break;
+    case 'last_month': start = localMonthStart(nowMs, -1); end = localMonthStart(nowMs); break;
+    default: throw new Error(`Unknown range: ${name}`);
+  }
+  return { startDate: Math.floor(start / 1000), endDate: Math.floor(end / 1000) };
+}
+
+// YYYY-MM-DD of an epoch-second timestamp in local time (for file names)
+export function localDate(epochSec) {
+  return new Date(epochSec * 1000 + TZ_OFFSET_MS).toISOString().slice(0, 10);
+}
@@ -2,6 +2,7 @@
 import axios from 'axios';
 import ms from 'ms';
 import https from 'https';
+import { resolveTenant } from './tenantRegistry.js';
 
 const cache = new Map();        // In prod use Redis
 const MAX_RETRIES = 3;
@@ -23,11 +24,12 @@ export async function getToken(tenant) {
   const cached = cache.get(tenant);
   if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
 
+  const { baseUrl, username, password } = await resolveTenant(tenant);
   for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
     try {
       const {data} = await axios.post(
-        `${process.env.BASE_URL}/portal/callcenter/reports/agents-status-activity`,
-        { username: process.env.API_USERNAME, password: process.env.API_PASSWORD, domain: tenant },
+        `${baseUrl}/portal/callcenter/reports/agents-status-activity`,
+        { username, password, domain: tenant },
         { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }   // ensure JSON
       );
       cache.set(tenant, {
@@ -57,14 +59,14 @@ export async function getPortalToken(tenant) {
   if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
 
   // Back-off loop across candidate endpoints / payloads
-  const base = process.env.BASE_URL;
+  const { baseUrl: base, username, password } = await resolveTenant(tenant);
   const candidates = [
     // OAuth login path used by the portal UI (works on modern installs)
-    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username, password } },
     // v2 login using domain (fallback for older back-ends)
-    { url: `${base}/api/v2/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/v2/login`, body: { domain: tenant, username, password } },
     // very old legacy login path
-    { url: `${base}/api/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/login`, body: { domain: tenant, username, password } },
   ];
 
   for (const { url, body } of candidates) {
@@ -100,4 +102,30 @@ export async function getPortalToken(tenant) {
   throw new Error('All portal login attempts failed – check credentials/endpoints');
 }
 
+/**
+ * Everything needed to call the portal's `/api/v2/...` routes for a tenant:
+ * its base URL plus the auth and account headers.
+ *
+ * @param {string} tenant - tenant / domain, e.g. `shams`.
+ * @returns {Promise<{baseUrl: string, headers: object}>}
+ */
+export async function getPortalSession(tenant) {
+  const { baseUrl, accountIdHeader } = await resolveTenant(tenant);
+  const token = await getPortalToken(tenant);
+  return {
+    baseUrl,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'X-User-Agent': 'portal',
+      'X-Account-ID': accountIdHeader
+    }
+  };
+}
+
+// Drop cached tokens, e.g. after a tenant's credentials changed
+export function forgetPortalToken(tenant) {
+  cache.delete(tenant);
+  cache.delete(`portal:${tenant}`);
+}
+
 export { httpsAgent };
\ No newline at end of file
@@ -0,0 +1,366 @@
+// unifiedReport.js
+// Server-side blend of the four call sources shown in the web UI:
+//   – queueCalls          (Inbound)
+//   – queueOutboundCalls  (Outbound)
+//   – campaignsActivity   (Campaign)
+//   – cdrs                (CDR)
+//
+// Rows are normalised to the report table schema (HEADERS), merged newest
+// first and de-duplicated by Call ID. Paging uses one opaque cursor that
+// records, per source, which upstream page is being consumed and how many of
+// its rows were already served, so requests stay stateless.
+
+import { fetchReport, deriveAnsweredTime } from './reportFetcher.js';
+
+// Source key → upstream report type
+export const SOURCES = {
+  in: 'queueCalls',
+  out: 'queueOutboundCalls',
+  camp: 'campaignsActivity',
+  cdr: 'cdrs'
+};
+const SOURCE_KEYS = Object.keys(SOURCES);
+
+// Column order of the combined report (matches the table in public/script.js)
+export const HEADERS = [
+  'S.No.',
+  'Type',
+  'Call ID',
+  'Queue / Campaign Name',
+  'Called Time',
+  'Caller ID Number',
+  'Caller ID / Lead Name',
+  'Answered time',
+  'Hangup time',
+  'Wait Duration',
+  'Talk Duration',
+  'Agent Disposition',
+  'Sub_disp_1',
+  'Sub_disp_2',
+  'Callee ID / Lead number',
+  'Status',
+  'Campaign Type',
+  'Abandoned',
+  'Agent History',
+  'Queue History',
+  'Recording',
+  'Agent name'
+];
+
+// Duplicates of one call land within seconds of each other, so only the Call
+// IDs served in this trailing window are carried over to the next page.
+const DEDUP_WINDOW_MS = 5 * 60 * 1000;
+
+// History fields may arrive as JSON strings; always hand back an array.
+export function asArray(value) {
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch { return []; }
+  }
+  return Array.isArray(value) ? value : [];
+}
+
+// Extract [sub1, sub2] disposition names (supports object or array)
+function subDispositions(row) {
+  let sd = row.agent_subdisposition ?? null;
+  if (Array.isArray(sd)) sd = sd[0];
+  if (!sd || typeof sd !== 'object') return ['', ''];
+  return [sd.name ?? '', sd.subdisposition?.name ?? ''];
+}
+
+// Determine Abandoned (YES/NO) for inbound calls based on agent_history
+export function computeAbandoned(row) {
+  const history = asArray(row.agent_history);
+  if (!history.length) return 'YES';
+
+  let connected = false;
+  let star7 = false;
+  history.forEach(h => {
+    if (h.connected) connected = true;
+    if ((h.event || '').toString().includes('*7')) star7 = true;
+  });
+
+  if (connected) return 'NO';
+  // Abandoned is YES only when not connected AND no *7 event
+  return star7 ? 'NO' : 'YES';
+}
+
+/**
+ * Normalise one raw API row to the unified report schema.
+ * History columns keep the raw arrays; rendering is left to the consumer.
+ *
+ * @param {object} row     – raw row as returned by fetchReport.
+ * @param {string} source  – one of SOURCES keys (in | out | camp | cdr).
+ * @returns {object}
+ */
+export function normalizeRow(row, source) {
+  if (source === 'camp') {
+    const [sub1, sub2] = subDispositions(row);
+    return {
+      'Type': 'Campaign',
+      'Call ID': row.call_id ?? row.callid ?? '',
+      'Queue / Campaign Name': row.campaign_name ?? '',
+      'Campaign Type': row.campaign_type ?? '',
+      'Caller ID / Lead Name': row.lead_name ?? '',
+      'Callee ID / Lead number': row.lead_number ?? '',
+      'Agent name': row.agent_name ?? '',
+      'Caller ID Number': row.agent_extension ?? '',
+      'Talk Duration': row.agent_talk_time ?? '',
+      'Agent Disposition': row.agent_disposition ?? '',
+      'Sub_disp_1': sub1,
+      'Sub_disp_2': sub2,
+      'Agent History': asArray(row.agent_history),
+      'Lead History': asArray(row.lead_history),
+      'Called Time': row.timestamp ?? row.datetime ?? '',
+      'Answered time': '',
+      'Hangup time': '',
+      'Wait Duration': '',
+      'Recording': row.media_recording_id ?? row.recording_filename ?? '',
+      'Status': row.status ?? '',
+      'Disposition': row.disposition ?? '',
+      'Lead disposition': row.lead_disposition ?? '',
+      'Abandoned': ''
+    };
+  }
+
+  if (source === 'cdr') {
+    // Use timestamp (seconds or ms) or ISO datetime as Called Time
+    let ts = row.timestamp ?? row.datetime ?? '';
+    if (typeof ts === 'number') {
+      const ms = ts < 1_000_000_000_000 ? ts * 1000 : ts; // sec → ms if needed
+      ts = new Date(ms).toISOString();
+    }
+    return {
+      'Type': 'CDR',
+      'Call ID': row.call_id ?? '',
+      'Queue / Campaign Name': '',
+      'Called Time': ts,
+      'Caller ID Number': row.caller_id_number ?? '',
+      'Caller ID / Lead Name': row.caller_id_name ?? '',
+      'Answered time': row.answered_time ?? '',
+      'Hangup time': '',
+      'Wait Duration': '',
+      'Talk Duration': row.duration_seconds ?? '',
+      'Agent Disposition': '',
+      'Sub_disp_1': '',
+      'Sub_disp_2': '',
+      'Callee ID / Lead number': row.callee_id_number ?? row.to ?? '',
+      'Status': '',
+      'Campaign Type': '',
+      'Abandoned': '',
+      'Agent History': [],
+      'Queue History': [],
+      'Agent name': '',
+      'Recording': row.media_recording_id ?? row.recording_filename ?? ''
+    };
+  }
+
+  // inbound / outbound queues
+  const isOutbound = source === 'out';
+  const [sub1, sub2] = subDispositions(row);
+  const agentHistory = asArray(row.agent_history);
+
+  // Derive Agent name from first entry in agent_history (if present)
+  const h0 = agentHistory[0];
+  const agentName = h0 ? `${h0.first_name ?? ''} ${h0.last_name ?? ''}`.trim() : '';
+
+  return {
+    'Type': isOutbound ? 'Outbound' : 'Inbound',
+    'Call ID': row.call_id ?? row.callid ?? '',
+    'Queue / Campaign Name': row.queue_name ?? '',
+    'Called Time': row.called_time ?? '',
+    'Caller ID Number': row.caller_id_number ?? '',
+    'Caller ID / Lead Name': row.caller_id_name ?? '',
+    'Answered time': row.answered_time ?? '',
+    'Hangup time': row.hangup_time ?? '',
+    'Wait Duration': row.wait_duration ?? '',
+    'Talk Duration': row.talked_duration ?? '',
+    'Callee ID / Lead number': isOutbound ? (row.to ?? '') : (row.callee_id_number ?? ''),
+    'Agent Disposition': row.agent_disposition ?? '',
+    'Sub_disp_1': sub1,
+    'Sub_disp_2': sub2,
+    'Queue History': asArray(row.queue_history),
+    'Agent History': agentHistory,
+    'Status': '',
+    'Campaign Type': '',
+    'Abandoned': isOutbound ? '' : computeAbandoned(row),
+    'Agent name': agentName,
+    'Recording': row.media_recording_id ?? row.recording_filename ?? ''
+  };
+}
+
+// Derive epoch (ms) from a normalised record's Called Time
+export function toEpoch(rec) {
+  const v = rec['Called Time'];
+  if (!v) return 0;
+  if (typeof v === 'number') {
+    // If value looks like epoch seconds (<1e11) convert to ms
+    return v < 1e11 ? v * 1000 : v;
+  }
+  if (typeof v === 'string' && /^\d+$/.test(v)) {
+    const num = Number(v);
+    return num < 1e11 ? num * 1000 : num;
+  }
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by fetchUnifiedReport. A missing cursor yields the
+ * initial state (first page of every source).
+ * @throws {Error} when the cursor is malformed.
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) {
+    const sources = {};
+    SOURCE_KEYS.forEach(k => { sources[k] = { startKey: null, endDate: null, skip: 0, windowed: false }; });
+    return { sources, seen: [], served: 0 };
+  }
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!state || typeof state.sources !== 'object' || !SOURCE_KEYS.every(k => k in state.sources)) {
+    throw new Error('Invalid cursor');
+  }
+  return { sources: state.sources, seen: Array.isArray(state.seen) ? state.seen : [], served: Number(state.served) || 0 };
+}
+
+/**
+ * Visible rows of one upstream page of a source, normalised and sorted newest
+ * first. `oldest` (epoch ms, 0 when unknown) is taken over every row upstream
+ * returned, so a page the user may not see still moves the time window of the
+ * next one back.
+ *
+ * @param {string} src         – key of SOURCES.
+ * @param {object[]} raw       – raw upstream rows.
+ * @param {Function} [rowFilter]
+ * @returns {{rows: object[], oldest: number}}
+ */
+export function sourcePageRows(src, raw, rowFilter) {
+  const visible = rowFilter ? raw.map(r => rowFilter(SOURCES[src], r)) : null;
+
+  const normalized = raw.map(r => normalizeRow(deriveAnsweredTime(r), src));
+  const oldest = normalized.reduce((min, r) => {
+    const ts = toEpoch(r);
+    return ts && (!min || ts < min) ? ts : min;
+  }, 0);
+  const rows = normalized
+    .filter((_, i) => !visible || visible[i])
+    .sort((a, b) => toEpoch(b) - toEpoch(a));
+  return { rows, oldest };
+}
+
+// Fetch one upstream page for a source (see sourcePageRows)
+async function fetchSourcePage(src, tenant, params, page, rowFilter) {
+  const query = {
+    ...params,
+    ...(page.endDate != null && { endDate: page.endDate }),
+    ...(page.startKey && { start_key: page.startKey })
+  };
+  const result = await fetchReport(SOURCES[src], tenant, query);
+  const raw = Array.isArray(result) ? result : result.rows;
+  const next = Array.isArray(result) ? null : result.next;
+  return { ...sourcePageRows(src, raw, rowFilter), next };
+}
+
+// Work out which page of a source follows the one just consumed. Sources that
+// never hand out a next_start_key are walked backwards by time window instead,
+// ending the window one second before the oldest row seen.
+export function followingPage(page, next, oldestMs, params) {
+  if (next) return { startKey: next, endDate: page.endDate ?? null, skip: 0, windowed: false };
+  const windowed = page.windowed || !page.startKey;
+  if (!windowed || !oldestMs) return null;
+  const endDate = Math.floor(oldestMs / 1000) - 1;
+  if (params.startDate && endDate < params.startDate) return null;
+  if (page.endDate != null && endDate >= page.endDate) return null;
+  return { startKey: null, endDate, skip: 0, windowed: true };
+}
+
+/**
+ * Fetch the next page of the blended report.
+ *
+ * @param {string} tenant                  – domain / account id.
+ * @param {object} params                  – { startDate, endDate } in epoch seconds.
+ * @param {object} [opts]
+ * @param {string} [opts.cursor]           – cursor returned by the previous call.
+ * @param {number} [opts.limit=500]        – max rows to return.
+ * @param {Function} [opts.rowFilter]      – (reportType, rawRow) → boolean, applied before normalising.
+ * @returns {Promise<{rows: object[], next: string|null}>}
+ */
+export async function fetchUnifiedReport(tenant, params = {}, { cursor, limit = 500, rowFilter } = {}) {
+  const state = decodeCursor(cursor);
+  const sources = { ...state.sources };   // src → page descriptor, null once exhausted
+  const buffers = {};                       // src → { page, rows, consumed, next, oldest }
+  const seen = new Set(state.seen);
+  const picked = [];                        // [{ id, ts }] for the dedup window carried forward
+  const rows = [];
+  let served = state.served;
+
+  const load = async src => {
+    const page = sources[src];
+    const { rows: pageRows, next, oldest } = await fetchSourcePage(src, tenant, params, page, rowFilter);
+    buffers[src] = { page, rows: pageRows.slice(page.skip || 0), consumed: page.skip || 0, next, oldest };
+  };
+
+  const advance = src => {
+    const b = buffers[src];
+    sources[src] = followingPage(b.page, b.next, b.oldest, params);
+    delete buffers[src];
+  };
+
+  while (rows.length < limit) {
+    await Promise.all(SOURCE_KEYS.filter(src => sources[src] && !buffers[src]).map(load));
+
+    const drained = SOURCE_KEYS.filter(src => buffers[src] && !buffers[src].rows.length);
+    if (drained.length) {
+      drained.forEach(advance);
+      continue;
+    }
+
+    // Pick newest record across buffers
+    let pickKey = null;
+    SOURCE_KEYS.forEach(k => {
+      if (!buffers[k]) return;
+      if (!pickKey || toEpoch(buffers[k].rows[0]) > toEpoch(buffers[pickKey].rows[0])) pickKey = k;
+    });
+    if (!pickKey) break; // every source exhausted
+
+    const rec = buffers[pickKey].rows.shift();
+    buffers[pickKey].consumed += 1;
+
+    const id = rec['Call ID'];
+    if (id) {
+      picked.push({ id, ts: toEpoch(rec) });
+      if (seen.has(id)) continue;
+      seen.add(id);
+    }
+    served += 1;
+    rows.push({ 'S.No.': served, ...rec });
+  }
+
+  // Persist where each source stopped
+  const nextSources = {};
+  SOURCE_KEYS.forEach(src => {
+    const b = buffers[src];
+    if (!b) nextSources[src] = sources[src];
+    else if (b.rows.length) nextSources[src] = { ...b.page, skip: b.consumed };
+    else nextSources[src] = followingPage(b.page, b.next, b.oldest, params);
+  });
+
+  if (SOURCE_KEYS.every(src => !nextSources[src])) {
+    return { rows, next: null };
+  }
+
+  let carried = state.seen;
+  if (picked.length) {
+    const lastTs = picked[picked.length - 1].ts;
+    carried = [...new Set(picked.filter(p => p.ts >= lastTs - DEDUP_WINDOW_MS).map(p => p.id))];
+  }
+  return { rows, next: encodeCursor({ sources: nextSources, seen: carried, served }) };
+}
@@ -0,0 +1,98 @@
+// users.js
+// Data access for the `users` table: the admin CRUD behind /api/users,
+// password resets and the lookup used by /api/login.
+
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { pool } from './db.js';
+
+export const ROLES = ['admin', 'supervisor', 'qa', 'viewer'];
+export const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+// Columns that are safe to hand to the admin UI (never the hash)
+const PUBLIC_COLUMNS = 'id, username, email, role, disabled, must_change_password, last_login, created_at, updated_at';
+
+export async function listUsers() {
+  const [rows] = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY username`);
+  return rows;
+}
+
+export async function getUser(id) {
+  const [rows] = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [id]);
+  return rows[0] || null;
+}
+
+// Login lookup by username or email; includes the password hash.
+export async function findUserForLogin(login) {
+  const [rows] = await pool.query(
+    'SELECT id, username, email, password, role, disabled, must_change_password FROM users WHERE username = ? OR email = ? LIMIT 1',
+    [login, login]
+  );
+  return rows[0] || null;
+}
+
+export async function countAdmins() {
+  const [[{ n }]] = await pool.query("SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled = 0");
+  return n;
+}
+
+/**
+ * Create a user with a bcrypt-hashed password.
+ * @param {object} user
+ * @param {string} user.username
+ * @param {string} user.email
+ * @param {string} user.password                    – plain text.
+ * @param {string} [user.role='viewer']
+ * @param {boolean} [user.mustChangePassword=true] – force a change on first login.
+ * @returns {Promise<number>} new user id
+ */
+export async function createUser({ username, email, password, role = 'viewer', mustChangePassword = true }) {
+  const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const [result] = await pool.query(
+    'INSERT INTO users (username, email, password, role, must_change_password) VALUES (?, ?, ?, ?, ?)',
+    [username, email, hash, role, mustChangePassword ? 1 : 0]
+  );
+  return result.insertId;
+}
+
+/**
+ * Update profile fields; only keys present in `changes` are written.
+ * @returns {Promise<boolean>} false when the user does not exist.
+ */
+export async function updateUser(id, changes) {
+  const sets = [];
+  const values = [];
+  for (const [key, column] of [['username', 'username'], ['email', 'email'], ['role', 'role'], ['disabled', 'disabled']]) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = ?`);
+    values.push(key === 'disabled' ? (changes[key] ? 1 : 0) : changes[key]);
+  }
+  if (!sets.length) return Boolean(await getUser(id));
+  const [result] = await pool.query(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`, [...values, id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Replace a user's password. Admin resets set `mustChange` so the user has
+ * to pick their own password at next login.
+ * @returns {Promise<boolean>} false when the user does not exist.
+ */
+export async function setPassword(id, password, { mustChange = false } = {}) {
+  const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const [result] = await pool.query(
+    'UPDATE users SET password = ?, must_change_password = ? WHERE id = ?',
+    [hash, mustChange ? 1 : 0, id]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function verifyPassword(id, password) {
+  const [rows] = await pool.query('SELECT password FROM users WHERE id = ?', [id]);
+  return rows.length ? bcrypt.compare(password, rows[0].password) : false;
+}
+
+// Random temporary password for admin-initiated resets
+export function generatePassword() {
+  return crypto.randomBytes(9).toString('base64url');
+}
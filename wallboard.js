@@ -0,0 +1,164 @@
+// wallboard.js
+// Live agent status for the wallboard page. While at least one browser is
+// subscribed to a tenant, its agent status is polled from the portal every
+// WALLBOARD_POLL_INTERVAL (default 10s) and pushed to every subscriber over
+// Server-Sent Events. Polling stops with the last subscriber, so an unwatched
+// tenant costs nothing. Each subscriber only gets the agents its user may see,
+// and its stream is closed once its session has ended.
+
+import ms from 'ms';
+import { fetchAgentStatus, normalizeAgentRow } from './agentStatus.js';
+import { resolveRange } from './timeUtils.js';
+
+// SSE comment line sent between updates so proxies keep the stream open
+const HEARTBEAT_MS = 25_000;
+
+const pollInterval = () => ms(process.env.WALLBOARD_POLL_INTERVAL || '10s');
+
+// tenant → { clients: Map<Response,{visible,active}>, timer, snapshot, busy }
+const boards = new Map();
+
+/**
+ * Latest status row per agent. The status report is a history with one row
+ * per state change (see agentActivity.js), so an agent is only in the state
+ * of their newest row.
+ */
+export function latestPerAgent(agents) {
+  const latest = new Map();
+  for (const a of agents) {
+    const key = a.extension || a.name;
+    const prev = latest.get(key);
+    if (!prev || (a.since ?? -Infinity) >= (prev.since ?? -Infinity)) latest.set(key, a);
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Current status of every agent of a tenant, with counts per state.
+ *
+ * @param {string} tenant
+ * @returns {Promise<{agents: object[], counts: object, updatedAt: number}>}
+ */
+export async function fetchAgentBoard(tenant) {
+  const today = resolveRange('today');
+  const rows = await fetchAgentStatus(tenant, { startDate: today.startDate * 1000, endDate: Date.now() });
+  const agents = latestPerAgent(rows.map(normalizeAgentRow))
+    .sort((a, b) => a.state.localeCompare(b.state) || a.name.localeCompare(b.name));
+  const counts = {};
+  agents.forEach(a => { counts[a.state] = (counts[a.state] || 0) + 1; });
+  return { agents, counts, updatedAt: Math.floor(Date.now() / 1000) };
+}
+
+/**
+ * The part of a board one user may see: the agents `visible` lets through,
+ * with the counts per state recomputed over them.
+ *
+ * @param {object} snapshot        – from fetchAgentBoard().
+ * @param {Function} [visible]     – agent → boolean; every agent when omitted.
+ */
+export function visibleBoard(snapshot, visible) {
+  if (!visible) return snapshot;
+  const agents = snapshot.agents.filter(visible);
+  const counts = {};
+  agents.forEach(a => { counts[a.state] = (counts[a.state] || 0) + 1; });
+  return { ...snapshot, agents, counts };
+}
+
+/**
+ * Latest board for a tenant: the one being streamed if it is fresh, else a
+ * new fetch.
+ */
+export async function agentBoard(tenant) {
+  const board = boards.get(tenant);
+  if (board?.snapshot && Date.now() / 1000 - board.snapshot.updatedAt < pollInterval() / 1000) {
+    return board.snapshot;
+  }
+  return fetchAgentBoard(tenant);
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Boards carry the server clock so browsers can count time in state
+// correctly even when their own clock is off
+const sendBoard = (res, snapshot, client) =>
+  send(res, 'status', { ...visibleBoard(snapshot, client.visible), now: Math.floor(Date.now() / 1000) });
+
+// Push the board to one subscriber once its session is confirmed; a session
+// that has ended closes the stream (the page then sends the user to log in).
+// When the check itself fails the push is skipped and the stream kept.
+async function push(res, client, snapshot) {
+  let active = true;
+  try {
+    active = client.active ? await client.active() : true;
+  } catch (err) {
+    console.warn(`Wallboard session check failed (${err.message}); skipping this update`);
+    return;
+  }
+  if (!active) {
+    res.end();
+    return;
+  }
+  sendBoard(res, snapshot, client);
+}
+
+async function poll(tenant) {
+  const board = boards.get(tenant);
+  if (!board || board.busy) return;
+  board.busy = true;
+  try {
+    board.snapshot = await fetchAgentBoard(tenant);
+    await Promise.all([...board.clients].map(([res, client]) => push(res, client, board.snapshot)));
+  } catch (err) {
+    console.error(`Wallboard poll for ${tenant} failed:`, err.response?.data || err.message);
+    board.clients.forEach((client, res) => send(res, 'failure', { error: err.message }));
+  } finally {
+    board.busy = false;
+  }
+}
+
+/**
+ * Attach an SSE response to a tenant's board. The latest snapshot (if any)
+ * is sent straight away; the subscription ends when the client disconnects
+ * or its session ends.
+ *
+ * @param {string} tenant
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} [opts]
+ * @param {Function} [opts.visible] – agent → boolean, e.g. the user's scope.
+ * @param {Function} [opts.active]  – () → Promise<boolean>, whether the
+ *   subscriber's session is still open; checked before every update.
+ */
+export function subscribe(tenant, req, res, { visible, active } = {}) {
+  const client = { visible, active };
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  let board = boards.get(tenant);
+  if (!board) {
+    board = { clients: new Map(), timer: null, snapshot: null, busy: false };
+    boards.set(tenant, board);
+    board.timer = setInterval(() => poll(tenant), pollInterval());
+    poll(tenant);
+  } else if (board.snapshot) {
+    sendBoard(res, board.snapshot, client);
+  }
+  board.clients.set(res, client);
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    board.clients.delete(res);
+    if (!board.clients.size) {
+      clearInterval(board.timer);
+      boards.delete(tenant);
+    }
+  });
+}
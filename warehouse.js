@@ -0,0 +1,331 @@
+// warehouse.js
+// Local call warehouse: copies of the four upstream reports in MySQL so that
+// historical ranges can be served without a live portal call.
+//
+// The sync pulls each tenant / report type through fetchReport (bypassing
+// the report cache) one day-sized window at a time, upserts rows on
+// (tenant, call_id) and advances a checkpoint in `sync_checkpoints` after
+// every window. Each window starts a little before the previous checkpoint
+// (WAREHOUSE_SYNC_OVERLAP, default 10m) and stops WAREHOUSE_SYNC_LAG (default
+// 5m) short of now, so late-arriving rows are picked up and re-synced rows
+// simply overwrite themselves.
+//
+// The background worker is opt-in: WAREHOUSE_SYNC=true runs a sync every
+// WAREHOUSE_SYNC_INTERVAL (default 15m). A new tenant / type starts from
+// WAREHOUSE_SYNC_FROM (ISO date, default 30 days ago). CLI at the bottom.
+
+import crypto from 'crypto';
+import ms from 'ms';
+import { pool } from './db.js';
+import { fetchReport, iterateReport } from './reportFetcher.js';
+import { listTenants } from './tenantRegistry.js';
+import { computeAbandoned } from './unifiedReport.js';
+import { toSeconds } from './analytics.js';
+
+const WINDOW_SECONDS = 24 * 60 * 60;
+const UPSERT_BATCH = 500;
+
+const recording = r => r.media_recording_id ?? r.recording_filename ?? null;
+const seconds = v => {
+  const n = toSeconds(v);
+  return n == null ? null : Math.round(n);
+};
+const firstAgent = r => {
+  const h0 = Array.isArray(r.agent_history) ? r.agent_history[0] : null;
+  return h0 ? `${h0.first_name ?? ''} ${h0.last_name ?? ''}`.trim() || null : null;
+};
+
+// Report type → table, the row's event time, and the indexed columns pulled
+// out of the raw row. The full row is kept in the JSON `data` column.
+const TABLES = {
+  cdrs: {
+    table: 'wh_cdrs',
+    time: r => r.timestamp ?? r.datetime,
+    columns: {
+      caller_id_number: r => r.caller_id_number ?? null,
+      callee_id_number: r => r.callee_id_number ?? r.to ?? null,
+      duration_seconds: r => seconds(r.duration_seconds),
+      media_recording_id: recording
+    }
+  },
+  queueCalls: {
+    table: 'wh_queue_calls',
+    time: r => r.called_time,
+    columns: {
+      queue_name: r => r.queue_name ?? null,
+      agent_name: firstAgent,
+      caller_id_number: r => r.caller_id_number ?? null,
+      abandoned: r => (computeAbandoned(r) === 'YES' ? 1 : 0),
+      wait_seconds: r => seconds(r.wait_duration),
+      talk_seconds: r => seconds(r.talked_duration),
+      media_recording_id: recording
+    }
+  },
+  queueOutboundCalls: {
+    table: 'wh_queue_outbound_calls',
+    time: r => r.called_time,
+    columns: {
+      queue_name: r => r.queue_name ?? null,
+      agent_name: firstAgent,
+      destination: r => r.to ?? null,
+      wait_seconds: r => seconds(r.wait_duration),
+      talk_seconds: r => seconds(r.talked_duration),
+      media_recording_id: recording
+    }
+  },
+  campaignsActivity: {
+    table: 'wh_campaign_activity',
+    time: r => r.timestamp ?? r.datetime,
+    columns: {
+      campaign_name: r => r.campaign_name ?? null,
+      agent_name: r => r.agent_name ?? null,
+      lead_number: r => r.lead_number ?? null,
+      status: r => r.status ?? null,
+      disposition: r => r.agent_disposition ?? null,
+      talk_seconds: r => seconds(r.agent_talk_time),
+      media_recording_id: recording
+    }
+  }
+};
+
+export const WAREHOUSE_TYPES = Object.keys(TABLES);
+
+// Epoch seconds from epoch s / ms / digit string / ISO string
+function epochSeconds(v) {
+  if (typeof v === 'number') return Math.floor(v > 10_000_000_000 ? v / 1000 : v);
+  if (typeof v !== 'string' || !v) return null;
+  if (/^\d+$/.test(v)) return Math.floor(v.length > 10 ? Number(v) / 1000 : Number(v));
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+// Rows without a call_id still need a stable key for idempotent upserts
+function rowKey(row) {
+  return row.call_id || row.callid || `sha1:${crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex')}`;
+}
+
+function settings() {
+  const from = process.env.WAREHOUSE_SYNC_FROM ? Date.parse(process.env.WAREHOUSE_SYNC_FROM) : Date.now() - ms('30d');
+  if (Number.isNaN(from)) throw new Error('WAREHOUSE_SYNC_FROM is not a valid date');
+  return {
+    from: Math.floor(from / 1000),
+    lag: ms(process.env.WAREHOUSE_SYNC_LAG || '5m') / 1000,
+    overlap: ms(process.env.WAREHOUSE_SYNC_OVERLAP || '10m') / 1000
+  };
+}
+
+async function upsertRows(type, tenant, rows) {
+  const { table, time, columns } = TABLES[type];
+  const values = rows
+    .map(r => ({ r, ts: epochSeconds(time(r)) }))
+    .filter(({ ts }) => ts != null)
+    .map(({ r, ts }) => [tenant, rowKey(r), ts, ...Object.values(columns).map(get => get(r)), JSON.stringify(r)]);
+  if (!values.length) return 0;
+
+  const cols = ['tenant', 'call_id', 'event_ts', ...Object.keys(columns), 'data'];
+  const updates = cols.slice(2).map(c => `${c} = VALUES(${c})`).join(', ');
+  for (let i = 0; i < values.length; i += UPSERT_BATCH) {
+    await pool.query(
+      `INSERT INTO ${table} (${cols.join(', ')}) VALUES ? ON DUPLICATE KEY UPDATE ${updates}, synced_at = NOW()`,
+      [values.slice(i, i + UPSERT_BATCH)]
+    );
+  }
+  return values.length;
+}
+
+async function getCheckpoint(tenant, type) {
+  const [rows] = await pool.query(
+    'SELECT * FROM sync_checkpoints WHERE tenant = ? AND report_type = ?',
+    [tenant, type]
+  );
+  return rows[0] || null;
+}
+
+async function saveCheckpoint(tenant, type, changes) {
+  const { syncedFrom = null, syncedUntil = null, rows = 0, error = null } = changes;
+  await pool.query(
+    `INSERT INTO sync_checkpoints (tenant, report_type, synced_from, synced_until, rows_synced, last_run_at, last_error)
+     VALUES (?, ?, ?, ?, ?, NOW(), ?)
+     ON DUPLICATE KEY UPDATE
+       synced_from = COALESCE(synced_from, VALUES(synced_from)),
+       synced_until = COALESCE(VALUES(synced_until), synced_until),
+       rows_synced = rows_synced + VALUES(rows_synced),
+       last_run_at = NOW(),
+       last_error = VALUES(last_error)`,
+    [tenant, type, syncedFrom, syncedUntil, rows, error]
+  );
+}
+
+/**
+ * Bring one tenant / report type up to date.
+ * @returns {Promise<{rows:number, syncedUntil:number}>}
+ */
+export async function syncReport(tenant, type) {
+  if (!TABLES[type]) throw new Error(`Unknown report type: ${type}`);
+  const { from, lag, overlap } = settings();
+  const checkpoint = await getCheckpoint(tenant, type);
+  const target = Math.floor(Date.now() / 1000 - lag);
+  const syncedFrom = checkpoint?.synced_from ?? from;
+  let cursor = checkpoint?.synced_until != null ? Math.max(syncedFrom, checkpoint.synced_until - overlap) : from;
+  let total = 0;
+
+  try {
+    while (cursor < target) {
+      const windowEnd = Math.min(cursor + WINDOW_SECONDS, target);
+      let rows = 0;
+      for await (const page of iterateReport(type, tenant, { startDate: cursor, endDate: windowEnd }, { cache: false })) {
+        rows += await upsertRows(type, tenant, page);
+      }
+      await saveCheckpoint(tenant, type, { syncedFrom, syncedUntil: windowEnd, rows });
+      total += rows;
+      cursor = windowEnd;
+    }
+  } catch (err) {
+    await saveCheckpoint(tenant, type, { syncedFrom, error: String(err.message).slice(0, 2000) })
+      .catch(e => console.error('Could not record sync failure:', e.message));
+    throw err;
+  }
+  return { rows: total, syncedUntil: cursor };
+}
+
+/**
+ * Sync every enabled tenant and report type (or a subset). Failures are
+ * logged per tenant / type and do not stop the others.
+ */
+export async function syncAll({ tenants, types = WAREHOUSE_TYPES } = {}) {
+  const slugs = tenants || (await listTenants()).map(t => t.slug);
+  const results = [];
+  for (const tenant of slugs) {
+    for (const type of types) {
+      try {
+        const { rows, syncedUntil } = await syncReport(tenant, type);
+        results.push({ tenant, type, rows, syncedUntil });
+      } catch (err) {
+        console.error(`Warehouse sync ${tenant}/${type} failed:`, err.response?.data || err.message);
+        results.push({ tenant, type, error: err.message });
+      }
+    }
+  }
+  return results;
+}
+
+export async function syncStatus() {
+  const [rows] = await pool.query('SELECT * FROM sync_checkpoints ORDER BY tenant, report_type');
+  return rows;
+}
+
+/**
+ * Whether [startDate, endDate] lies entirely inside the synced span of a
+ * tenant / report type.
+ */
+export async function isRangeSynced(tenant, type, { startDate, endDate }) {
+  if (!TABLES[type] || !startDate || !endDate) return false;
+  const checkpoint = await getCheckpoint(tenant, type);
+  return Boolean(checkpoint && checkpoint.synced_from != null && checkpoint.synced_until != null &&
+    startDate >= checkpoint.synced_from && endDate <= checkpoint.synced_until);
+}
+
+// Page keys handed out by the warehouse: "wh:<event_ts>:<call_id>"
+const WAREHOUSE_KEY = /^wh:(\d+):(.+)$/;
+
+/**
+ * One page of warehouse rows, newest first, with keyset paging.
+ *
+ * @returns {Promise<{rows: object[], next: string|null}>}
+ */
+export async function queryWarehouse(type, tenant, { startDate, endDate, start_key: startKey, maxRows = 1000 }) {
+  const { table } = TABLES[type];
+  const where = ['tenant = ?', 'event_ts >= ?', 'event_ts <= ?'];
+  const values = [tenant, startDate, endDate];
+  const key = startKey && String(startKey).match(WAREHOUSE_KEY);
+  if (key) {
+    where.push('(event_ts < ? OR (event_ts = ? AND call_id < ?))');
+    values.push(Number(key[1]), Number(key[1]), key[2]);
+  }
+  const [rows] = await pool.query(
+    `SELECT call_id, event_ts, data FROM ${table} WHERE ${where.join(' AND ')}
+      ORDER BY event_ts DESC, call_id DESC LIMIT ?`,
+    [...values, maxRows + 1]
+  );
+  const page = rows.slice(0, maxRows);
+  const last = page[page.length - 1];
+  return {
+    rows: page.map(r => (typeof r.data === 'string' ? JSON.parse(r.data) : r.data)),
+    next: rows.length > maxRows ? `wh:${last.event_ts}:${last.call_id}` : null
+  };
+}
+
+/**
+ * fetchReport with a warehouse fast path: ranges that are fully synced (and
+ * warehouse page keys) are answered from MySQL, everything else goes to the
+ * portal. A warehouse failure falls back to the portal.
+ *
+ * @returns {Promise<{rows: object[], next: string|null, source: 'warehouse'|'live'}>}
+ */
+export async function fetchReportPage(type, tenant, params) {
+  const fromWarehouse = Boolean(TABLES[type]) && WAREHOUSE_KEY.test(params.start_key || '');
+  try {
+    if (fromWarehouse || (!params.start_key && await isRangeSynced(tenant, type, params))) {
+      return { ...(await queryWarehouse(type, tenant, params)), source: 'warehouse' };
+    }
+  } catch (err) {
+    // A warehouse page key cannot be continued upstream
+    if (fromWarehouse) throw err;
+    console.warn(`Warehouse unavailable (${err.message}); fetching ${type} live`);
+  }
+  return { ...(await fetchReport(type, tenant, params)), source: 'live' };
+}
+
+/**
+ * Start the background sync when WAREHOUSE_SYNC=true. Runs never overlap.
+ */
+export function startWarehouseSync() {
+  if (process.env.WAREHOUSE_SYNC !== 'true') return;
+  const interval = ms(process.env.WAREHOUSE_SYNC_INTERVAL || '15m');
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const results = await syncAll();
+      const rows = results.reduce((n, r) => n + (r.rows || 0), 0);
+      console.log(`Warehouse sync: ${rows} rows across ${results.length} tenant/report pairs`);
+    } catch (err) {
+      console.error('Warehouse sync failed:', err.message);
+    } finally {
+      busy = false;
+    }
+  };
+  tick();
+  setInterval(tick, interval).unref();
+  console.log(`Warehouse sync every ${ms(interval)}`);
+}
+
+/**
+ * Minimal CLI:
+ *   node -r dotenv/config warehouse.js sync [tenant] [reportType]
+ *   node -r dotenv/config warehouse.js status
+ */
+async function cli() {
+  const [,, command, tenant, type] = process.argv;
+  if (command === 'sync') {
+    if (type && !TABLES[type]) throw new Error(`report = ${WAREHOUSE_TYPES.join(' | ')}`);
+    const results = await syncAll({ ...(tenant && { tenants: [tenant] }), ...(type && { types: [type] }) });
+    console.table(results);
+  } else if (command === 'status') {
+    console.table(await syncStatus());
+  } else {
+    console.error('Usage: node -r dotenv/config warehouse.js sync [tenant] [reportType] | status');
+    console.error(`reportType = ${WAREHOUSE_TYPES.join(' | ')}`);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli()
+    .then(() => pool.end())
+    .catch(err => {
+      console.error(err.response?.data || err.stack || err.message);
+      process.exit(1);
+    });
+}